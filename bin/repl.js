@@ -1,42 +1,60 @@
 #!/usr/bin/env node
 
+const fs = require("fs");
 const readline = require("readline");
 const SimpleRDBMS = require("../src/db");
+const { splitStatements, endsStatement } = require("../src/statement");
 
 class REPL {
-  constructor() {
-    this.db = new SimpleRDBMS();
+  constructor(path = null) {
+    this.db = new SimpleRDBMS({ path });
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
       prompt: "SQL> ",
     });
+    // Lines of a statement that has not been ended with `;` yet.
+    this.buffer = "";
 
     this.setupEventListeners();
   }
 
   setupEventListeners() {
     this.rl.on("line", (line) => {
-      this.handleCommand(line.trim());
+      this.handleLine(line);
+      this.rl.setPrompt(this.buffer ? "...> " : "SQL> ");
       this.rl.prompt();
     });
 
     this.rl.on("close", () => {
+      this.db.close();
       console.log("\nGoodbye!");
       process.exit(0);
     });
   }
 
-  handleCommand(input) {
-    if (!input) return;
-
-    if (input.startsWith(".")) {
-      this.handleMetaCommand(input);
+  // SQL is collected across lines until one ends it with `;`. Meta commands
+  // are only recognized at the start of a statement.
+  handleLine(line) {
+    if (!this.buffer && line.trim().startsWith(".")) {
+      this.handleMetaCommand(line.trim());
       return;
     }
 
-    const result = this.db.execute(input);
-    this.displayResult(result);
+    this.buffer += `${line}\n`;
+    if (splitStatements(this.buffer).length === 0) {
+      this.buffer = "";
+    } else if (endsStatement(this.buffer)) {
+      const script = this.buffer;
+      this.buffer = "";
+      this.runScript(script);
+    }
+  }
+
+  runScript(script) {
+    this.db
+      .executeScript(script)
+      .forEach((result) => this.displayResult(result));
   }
 
   handleMetaCommand(command) {
@@ -72,6 +90,18 @@ class REPL {
         this.loadDatabase(args[0]);
         break;
 
+      case "checkpoint":
+        this.checkpointDatabase();
+        break;
+
+      case "read":
+        this.readScript(args[0]);
+        break;
+
+      case "import":
+        this.importCsv(args[0], args[1]);
+        break;
+
       default:
         console.log(`Unknown command: .${cmd}`);
     }
@@ -79,7 +109,7 @@ class REPL {
 
   displayResult(result) {
     if (result.error) {
-      console.log(`Error: ${result.error}`);
+      console.log(`Error [${result.error.code}]: ${result.error.message}`);
       return;
     }
 
@@ -87,9 +117,9 @@ class REPL {
       console.log(result.message);
     }
 
-    if (result.data && result.data.length > 0) {
-      this.displayTable(result.data);
-    } else if (result.count === 0) {
+    if (result.rows.length > 0) {
+      this.displayTable(result.rows);
+    } else if (result.columns.length > 0) {
       console.log("(No rows returned)");
     }
   }
@@ -147,30 +177,92 @@ class REPL {
 
   showHelp() {
     const helpText = `
-SQL Commands:
+SQL Commands (end each with ; - a statement may span several lines, and
+-- or /* */ start comments):
   CREATE TABLE <name> (<col_def>, ...)
-    col_def: <name> <type> [PRIMARY KEY] [UNIQUE]
-    types: INT, TEXT, REAL, BOOLEAN
+    col_def: <name> <type> [AUTOINCREMENT] [PRIMARY KEY] [UNIQUE] [NOT NULL]
+             [DEFAULT <value>] [CHECK (<condition>)]
+             [REFERENCES <table> [(<col>)] [ON DELETE|UPDATE <action>]]
+    table constraints: CHECK (<condition>),
+             FOREIGN KEY (<cols>) REFERENCES <table> [(<cols>)] ...
+    actions: NO ACTION, RESTRICT, CASCADE, SET NULL, SET DEFAULT
+    types: INT, REAL, TEXT, VARCHAR(n), BOOLEAN, DATE, TIMESTAMP,
+           SERIAL (an INT with AUTOINCREMENT)
   
-  INSERT INTO <table> VALUES (<values>)
+  INSERT INTO <table> [(<columns>)] VALUES (<values>), ...
+  INSERT INTO <table> [(<columns>)] SELECT ...
+    [RETURNING <columns|*>]
   
-  SELECT <columns|*> FROM <table> [WHERE <condition>]
+  [WITH [RECURSIVE] <name> [(<columns>)] AS (SELECT ...), ...]
+  SELECT [DISTINCT] <columns|*> [FROM <table> [alias]]
+    [[INNER|LEFT|RIGHT|CROSS] JOIN <table> [alias] ON <condition> ...]
+    [WHERE <condition>] [GROUP BY <columns>] [HAVING <condition>]
+    [ORDER BY <expr> [ASC|DESC] [NULLS FIRST|LAST], ...]
+    [LIMIT <n>] [OFFSET <m>]
+    aggregates: COUNT(*), COUNT([DISTINCT] col), SUM, AVG, MIN, MAX
+    arithmetic: + - * / % and parentheses, in any expression
+    subqueries: (SELECT ...) as a value, x IN (SELECT ...),
+                EXISTS (SELECT ...), FROM (SELECT ...) alias
+    recursive: AS (SELECT ... UNION [ALL] SELECT ... FROM <name> ...)
   
   UPDATE <table> SET <col>=<val>, ... [WHERE <condition>]
+    [RETURNING <columns|*>]
   
-  DELETE FROM <table> [WHERE <condition>]
+  DELETE FROM <table> [WHERE <condition>] [RETURNING <columns|*>]
   
   DROP TABLE <table>
+
+  CREATE VIEW <name> AS SELECT ...
+  DROP VIEW <name>
+
+  ALTER TABLE <table> ADD [COLUMN] <col_def>
+  ALTER TABLE <table> DROP [COLUMN] <col>
+  ALTER TABLE <table> RENAME [COLUMN] <col> TO <new_name>
+  ALTER TABLE <table> RENAME TO <new_name>
+  ALTER TABLE <table> ALTER [COLUMN] <col> TYPE <type>
+
+  CREATE [UNIQUE] INDEX <name> ON <table> (<columns>)
+
+  DROP INDEX <name> [ON <table>]
   
   SHOW TABLES
   
   DESCRIBE <table>
 
+  EXPLAIN [ANALYZE] SELECT ...
+
+  BEGIN | COMMIT | ROLLBACK
+
+  SAVEPOINT <name> | ROLLBACK TO <name> | RELEASE <name>
+
+  CREATE USER <name> [PASSWORD '<password>'] [SUPERUSER]
+  ALTER USER <name> [PASSWORD '<password>' | PASSWORD NULL]
+    [SUPERUSER | NOSUPERUSER]
+  DROP USER <name>
+  CREATE ROLE <name> | DROP ROLE <name>
+  GRANT <privileges> ON <table|*> TO <role>
+  REVOKE <privileges> ON <table|*> FROM <role>
+    privileges: SELECT, INSERT, UPDATE, DELETE or ALL
+  GRANT <role> TO <user> | REVOKE <role> FROM <user>
+  SHOW USERS | SHOW GRANTS
+
+  CREATE TRIGGER <name> BEFORE|AFTER INSERT|UPDATE|DELETE ON <table>
+    [FOR EACH ROW] [WHEN (<condition>)]
+    BEGIN <statement>; ... END
+    statements: INSERT, UPDATE, DELETE, SELECT or SET NEW.<col> = <value>
+  DROP TRIGGER <name>
+  SHOW TRIGGERS
+
 Meta Commands:
   .help     - Show this help
   .tables   - List all tables
   .history  - Show command history
   .clear    - Clear screen
+  .save <file>   - Save the database to a JSON file
+  .load <file>   - Load the database from a JSON file
+  .checkpoint    - Write a snapshot and compact the log
+  .read <file>   - Run the SQL statements in a file
+  .import <file.csv> <table> - Insert the rows of a CSV file with a header
   .exit     - Exit REPL
 `;
     console.log(helpText);
@@ -178,12 +270,12 @@ Meta Commands:
 
   showTables() {
     const result = this.db.execute("SHOW TABLES");
-    if (result.data && result.data.length > 0) {
+    if (result.rows.length > 0) {
       console.log("\nTables:");
-      result.data.forEach((row) => {
-        console.log(`  - ${row.Table}`);
+      result.rows.forEach((row) => {
+        console.log(`  - ${row.Table}${row.Type === "VIEW" ? " (view)" : ""}`);
       });
-      console.log(`\nTotal: ${result.data.length} table(s)`);
+      console.log(`\nTotal: ${result.rows.length} table(s)`);
     } else {
       console.log("No tables in database");
     }
@@ -204,7 +296,6 @@ Meta Commands:
       console.log("Usage: .save <filename>");
       return;
     }
-    const fs = require("fs");
     fs.writeFileSync(filename, JSON.stringify(this.db.toJSON(), null, 2));
     console.log(`Database saved to ${filename}`);
   }
@@ -214,7 +305,6 @@ Meta Commands:
       console.log("Usage: .load <filename>");
       return;
     }
-    const fs = require("fs");
     if (!fs.existsSync(filename)) {
       console.log(`File not found: ${filename}`);
       return;
@@ -224,15 +314,87 @@ Meta Commands:
     console.log(`Database loaded from ${filename}`);
   }
 
+  readScript(filename) {
+    if (!filename) {
+      console.log("Usage: .read <file>");
+      return;
+    }
+    if (!fs.existsSync(filename)) {
+      console.log(`File not found: ${filename}`);
+      return;
+    }
+    this.runScript(fs.readFileSync(filename, "utf8"));
+  }
+
+  // The first line of the file names the columns. Empty fields are stored
+  // as NULL, and a row that fails rolls back the whole import.
+  importCsv(filename, table) {
+    if (!filename || !table) {
+      console.log("Usage: .import <file.csv> <table>");
+      return;
+    }
+    if (!fs.existsSync(filename)) {
+      console.log(`File not found: ${filename}`);
+      return;
+    }
+
+    const [header, ...records] = parseCsv(fs.readFileSync(filename, "utf8"));
+    if (!header) {
+      console.log(`No rows in ${filename}`);
+      return;
+    }
+
+    try {
+      const columns = header.map((name) => quoteName(name.trim())).join(", ");
+      const placeholders = header.map(() => "?").join(", ");
+      const insert = this.db.prepare(
+        `INSERT INTO ${quoteName(table)} (${columns}) VALUES (${placeholders})`
+      );
+      this.db.transaction(() => {
+        records.forEach((values, i) => {
+          const result = insert.run(
+            values.map((value) => (value === "" ? null : value))
+          );
+          if (result.error) {
+            throw new Error(`Row ${i + 1}: ${result.error.message}`);
+          }
+        });
+      });
+      console.log(`Imported ${records.length} row(s) into ${table}`);
+    } catch (error) {
+      console.log(`Error: ${error.message}`);
+    }
+  }
+
+  checkpointDatabase() {
+    if (!this.db.storage) {
+      console.log("Start the REPL with a database path to checkpoint");
+      return;
+    }
+    try {
+      this.db.checkpoint();
+      console.log("Checkpoint written");
+    } catch (error) {
+      console.log(`Error: ${error.message}`);
+    }
+  }
+
   start() {
     console.log("=".repeat(60));
     console.log("Simple RDBMS - Interactive REPL");
     console.log("=".repeat(60));
     console.log("Type SQL commands or .help for help, .exit to quit\n");
 
+    const tables = this.db.execute("SHOW TABLES");
+    if (tables.rows.length > 0) {
+      console.log(`Opened database with ${tables.rows.length} table(s)\n`);
+      this.rl.prompt();
+      return;
+    }
+
     this.db.execute(`
       CREATE TABLE users (
-        id INT PRIMARY KEY,
+        id INT PRIMARY KEY AUTOINCREMENT,
         name TEXT,
         email TEXT UNIQUE,
         age INT
@@ -248,8 +410,8 @@ Meta Commands:
 
     this.db.execute(`
       CREATE TABLE posts (
-        id INT PRIMARY KEY,
-        user_id INT,
+        id INT PRIMARY KEY AUTOINCREMENT,
+        user_id INT REFERENCES users(id) ON DELETE CASCADE,
         title TEXT,
         content TEXT
       )
@@ -268,7 +430,56 @@ Meta Commands:
   }
 }
 
+// Splits CSV text into rows of fields. A field in double quotes may hold
+// commas and line breaks, and "" inside it stands for one quote.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines hold no row.
+  return rows.filter((fields) => fields.length > 1 || fields[0] !== "");
+}
+
+// A name in backticks, which may hold any character; a backtick in it is
+// doubled.
+function quoteName(name) {
+  return `\`${name.replace(/`/g, "``")}\``;
+}
+
 if (require.main === module) {
-  const repl = new REPL();
+  const repl = new REPL(process.argv[2]);
   repl.start();
 }
@@ -1,17 +1,96 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const express = require('express');
 const SimpleRDBMS = require('../src/db');
+const { openApiDocument } = require('../src/openapi');
+
+// HTTP status for each error code. Codes not listed are server errors.
+const ERROR_STATUS = {
+  SYNTAX_ERROR: 400,
+  BIND_ERROR: 400,
+  INVALID_QUERY: 400,
+  TYPE_MISMATCH: 400,
+  SCHEMA_ERROR: 400,
+  NO_SUCH_TABLE: 404,
+  NO_SUCH_VIEW: 404,
+  NO_SUCH_COLUMN: 404,
+  NO_SUCH_INDEX: 404,
+  NO_SUCH_SAVEPOINT: 404,
+  NO_SUCH_USER: 404,
+  NO_SUCH_ROLE: 404,
+  NO_SUCH_TRIGGER: 404,
+  TABLE_EXISTS: 409,
+  VIEW_EXISTS: 409,
+  COLUMN_EXISTS: 409,
+  INDEX_EXISTS: 409,
+  USER_EXISTS: 409,
+  ROLE_EXISTS: 409,
+  TRIGGER_EXISTS: 409,
+  CONSTRAINT_PRIMARY_KEY: 409,
+  CONSTRAINT_UNIQUE: 409,
+  CONSTRAINT_NOT_NULL: 409,
+  CONSTRAINT_CHECK: 409,
+  CONSTRAINT_FOREIGN_KEY: 409,
+  TRANSACTION_STATE: 409,
+  AUTH_FAILED: 401,
+  PERMISSION_DENIED: 403,
+};
+
+// Pages anyone may load. Every other route needs credentials.
+const PUBLIC_PAGES = ['/', '/console'];
+
+// The user the console runs as until someone signs in. It only has the
+// readonly role.
+const CONSOLE_USER = 'console';
+
+const TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+
+const KEEP_ALIVE_MS = 30 * 1000;
+
+// Filter operators for /api list routes, as in ?age[gte]=25. A parameter
+// without one, as in ?name=Bob, tests equality.
+const FILTER_OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  in: 'IN',
+  null: 'IS NULL',
+};
+
+// Query parameters of list routes that are not filters.
+const PAGING_PARAMETERS = ['sort', 'limit', 'offset'];
+
+// A request the server answers with an error before running any SQL.
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
 
 class WebServer {
-  constructor(port = 3000) {
+  constructor(port = 3000, path = null, { adminPassword = null, corsOrigins = [] } = {}) {
     this.app = express();
-    this.db = new SimpleRDBMS();
+    this.db = new SimpleRDBMS({ path });
     this.port = port;
+    this.adminPassword = adminPassword;
+    // Browser pages from these origins may call the API; no others can.
+    this.corsOrigins = corsOrigins;
+    // API tokens from POST /auth/token, each with its user and expiry time.
+    this.tokens = new Map();
     
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupApiRoutes();
+    this.setupErrorHandler();
     this.initializeSampleData();
+    this.initializeUsers();
   }
 
   setupMiddleware() {
@@ -19,8 +98,22 @@ class WebServer {
     this.app.use(express.urlencoded({ extended: true }));
     
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+      res.header('Vary', 'Origin');
+      const origin = req.get('Origin');
+      if (origin && this.corsOrigins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+        if (req.method === 'OPTIONS') return res.sendStatus(204);
+      }
+      next();
+    });
+
+    // Statements of a request run in the session of the user it signed in
+    // as, so they need that user's privileges.
+    this.app.use((req, res, next) => {
+      if (req.method === 'GET' && PUBLIC_PAGES.includes(req.path)) return next();
+      req.session = this.authenticate(req, res);
       next();
     });
   }
@@ -48,6 +141,19 @@ class WebServer {
                 </div>
                 
                 <h2>API Endpoints</h2>
+                <p>Every route below needs a user name and password (<code>curl -u admin:secret</code>) or an API token (<code>-H "Authorization: Bearer &lt;token&gt;"</code>). Statements run with the privileges GRANTed to the user's roles.</p>
+                
+                <div class="endpoint">
+                    <h3>POST /auth/token</h3>
+                    <p>Get an API token for the user named by Basic auth; it is valid for an hour. <code>DELETE /auth/token</code> revokes the token sent with it.</p>
+                    <code>curl -X POST -u admin:secret http://localhost:${this.port}/auth/token</code>
+                </div>
+                
+                <div class="endpoint">
+                    <h3>GET /openapi.json</h3>
+                    <p>OpenAPI 3 description of every route, generated from the tables the user can read</p>
+                    <code>curl -u admin:secret http://localhost:${this.port}/openapi.json</code>
+                </div>
                 
                 <div class="endpoint">
                     <h3>GET /tables</h3>
@@ -63,20 +169,50 @@ class WebServer {
                 
                 <div class="endpoint">
                     <h3>POST /sql</h3>
-                    <p>Execute SQL query</p>
+                    <p>Execute SQL query, with optional <code>params</code> for its <code>?</code> or <code>:name</code> placeholders</p>
                     <code>curl -X POST http://localhost:${this.port}/sql -H "Content-Type: application/json" -d '{"query": "SELECT * FROM users"}'</code>
                 </div>
                 
+                <div class="endpoint">
+                    <h3>POST /script</h3>
+                    <p>Execute several SQL statements separated by semicolons and get a result for each</p>
+                    <code>curl -X POST http://localhost:${this.port}/script -H "Content-Type: application/json" -d '{"script": "SELECT * FROM users; SHOW TABLES;"}'</code>
+                </div>
+                
                 <div class="endpoint">
                     <h3>GET /users</h3>
-                    <p>Get all users</p>
-                    <code>curl http://localhost:${this.port}/users</code>
+                    <p>Get all users. Optional <code>sort</code> (comma-separated columns, prefix with <code>-</code> for descending), <code>limit</code> and <code>offset</code> query parameters.</p>
+                    <code>curl "http://localhost:${this.port}/users?sort=-age,name&amp;limit=10&amp;offset=0"</code>
                 </div>
                 
                 <div class="endpoint">
                     <h3>POST /users</h3>
-                    <p>Create a new user</p>
-                    <code>curl -X POST http://localhost:${this.port}/users -H "Content-Type: application/json" -d '{"id": 3, "name": "Charlie", "email": "charlie@example.com", "age": 35}'</code>
+                    <p>Create a new user and return it with its generated <code>id</code></p>
+                    <code>curl -X POST http://localhost:${this.port}/users -H "Content-Type: application/json" -d '{"name": "Dana", "email": "dana@example.com", "age": 35}'</code>
+                </div>
+                
+                <div class="endpoint">
+                    <h3>GET /api/:table</h3>
+                    <p>List the rows of any table or view. Filter with <code>column=value</code> or <code>column[op]=value</code>, where <code>op</code> is <code>eq</code>, <code>ne</code>, <code>gt</code>, <code>gte</code>, <code>lt</code>, <code>lte</code>, <code>like</code>, <code>in</code> (comma-separated values) or <code>null</code> (<code>true</code> or <code>false</code>). Also takes <code>sort</code>, <code>limit</code> and <code>offset</code>.</p>
+                    <code>curl -g "http://localhost:${this.port}/api/users?age[gte]=25&amp;name[like]=A%25"</code>
+                </div>
+                
+                <div class="endpoint">
+                    <h3>POST /api/:table</h3>
+                    <p>Insert a row from a JSON object; columns left out take their default</p>
+                    <code>curl -X POST http://localhost:${this.port}/api/posts -H "Content-Type: application/json" -d '{"user_id": 1, "title": "Hi"}'</code>
+                </div>
+                
+                <div class="endpoint">
+                    <h3>GET, PUT, PATCH, DELETE /api/:table/:key</h3>
+                    <p>Read, replace, update or delete the row with that primary key. PUT sets columns left out of the body to NULL; PATCH changes only the columns given.</p>
+                    <code>curl -X PATCH http://localhost:${this.port}/api/users/2 -H "Content-Type: application/json" -d '{"age": 31}'</code>
+                </div>
+                
+                <div class="endpoint">
+                    <h3>GET /events</h3>
+                    <p>Server-Sent Events for each row inserted, updated or deleted in a table, with the row before and after. <code>where</code> keeps only changes whose row meets a condition; browsers can pass the token as <code>access_token</code>.</p>
+                    <code>curl -N -u admin:secret "http://localhost:${this.port}/events?table=users&amp;where=age%20%3E%2025"</code>
                 </div>
                 
                 <h2>Interactive Console</h2>
@@ -87,66 +223,136 @@ class WebServer {
       `);
     });
 
+    // Trades the credentials of the request for an API token, so later
+    // requests need not send the password.
+    this.app.post('/auth/token', (req, res) => {
+      const { user } = req.session;
+      const { token, expires } = this.issueToken(user);
+      res.status(201).json({ token, user, expiresAt: new Date(expires).toISOString() });
+    });
+
+    this.app.delete('/auth/token', (req, res) => {
+      this.tokens.delete(bearerToken(req));
+      res.status(204).end();
+    });
+
+    // Streams the committed changes to one table as Server-Sent Events named
+    // "change". With ?where=, only changes whose row meets the condition
+    // before or after are sent. The user needs SELECT on the table, and
+    // changes stop coming while they lack it.
+    this.app.get('/events', (req, res) => {
+      const { table, where } = req.query;
+      if (typeof table !== 'string' || (where !== undefined && typeof where !== 'string')) {
+        return this.badRequest(res, 'Give one table parameter and at most one where parameter');
+      }
+
+      let stop;
+      try {
+        stop = req.session.watch(table, where || null, (change) => {
+          res.write(`event: change\ndata: ${JSON.stringify(change)}\n\n`);
+        });
+      } catch (error) {
+        if (!error.code) throw error;
+        return res.status(this.statusFor({ error })).json({ error });
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write(': watching\n\n');
+      // Comments keep proxies from closing a quiet stream.
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        stop();
+      });
+    });
+
+    this.app.get('/openapi.json', (req, res) => {
+      res.json(openApiDocument(req.session));
+    });
+
     this.app.get('/tables', (req, res) => {
-      const result = this.db.execute('SHOW TABLES');
-      res.json(result);
+      const result = req.session.execute('SHOW TABLES');
+      this.sendResult(res, result);
     });
 
     this.app.get('/tables/:name', (req, res) => {
-      const result = this.db.execute(`DESCRIBE ${req.params.name}`);
-      res.json(result);
+      const result = req.session.execute(`DESCRIBE ${quoteName(req.params.name)}`);
+      this.sendResult(res, result);
     });
 
     this.app.post('/sql', (req, res) => {
-      const { query } = req.body;
+      const { query, params } = req.body;
       if (!query) {
-        return res.status(400).json({ error: 'Query parameter required' });
+        return this.badRequest(res, 'Query parameter required');
       }
       
-      const result = this.db.execute(query);
-      res.json(result);
+      const result = req.session.execute(query, params);
+      this.sendResult(res, result);
+    });
+
+    // Runs several statements separated by semicolons. The status is that of
+    // the first statement that failed.
+    this.app.post('/script', (req, res) => {
+      const { script } = req.body;
+      if (!script) {
+        return this.badRequest(res, 'Script parameter required');
+      }
+
+      const results = req.session.executeScript(script);
+      const failed = results.find((result) => result.error);
+      res.status(failed ? this.statusFor(failed) : 200).json({ results });
     });
 
     this.app.get('/users', (req, res) => {
-      const result = this.db.execute('SELECT * FROM users');
-      res.json(result);
+      const params = [];
+      const paging = this.pagingClauses(this.resource('users'), req.query, params);
+      const result = req.session.execute(`SELECT * FROM users${paging}`, params);
+      this.sendResult(res, result);
     });
 
+    const insertUser =
+      'INSERT INTO users (id, name, email, age) VALUES (:id, :name, :email, :age) RETURNING *';
     this.app.post('/users', (req, res) => {
       const { id, name, email, age } = req.body;
-      if (!id || !name || !email) {
-        return res.status(400).json({ error: 'Missing required fields' });
+      if (!name || !email) {
+        return this.badRequest(res, 'Missing required fields');
       }
       
-      const sql = `INSERT INTO users VALUES (${id}, '${name}', '${email}', ${age || 'NULL'})`;
-      const result = this.db.execute(sql);
-      res.json(result);
+      const params = { id: id || null, name, email, age: age || null };
+      const result = req.session.execute(insertUser, params);
+      this.sendResult(res, result, 201);
     });
 
     this.app.put('/users/:id', (req, res) => {
       const { name, email, age } = req.body;
       const updates = [];
       
-      if (name) updates.push(`name = '${name}'`);
-      if (email) updates.push(`email = '${email}'`);
-      if (age !== undefined) updates.push(`age = ${age}`);
+      if (name) updates.push('name = :name');
+      if (email) updates.push('email = :email');
+      if (age !== undefined) updates.push('age = :age');
       
       if (updates.length === 0) {
-        return res.status(400).json({ error: 'No fields to update' });
+        return this.badRequest(res, 'No fields to update');
       }
       
-      const sql = `UPDATE users SET ${updates.join(', ')} WHERE id = ${req.params.id}`;
-      const result = this.db.execute(sql);
-      res.json(result);
+      const sql = `UPDATE users SET ${updates.join(', ')} WHERE id = :id`;
+      const result = req.session.execute(sql, { id: req.params.id, name, email, age });
+      this.sendResult(res, result);
     });
 
     this.app.delete('/users/:id', (req, res) => {
-      const sql = `DELETE FROM users WHERE id = ${req.params.id}`;
-      const result = this.db.execute(sql);
-      res.json(result);
+      const result = req.session.execute('DELETE FROM users WHERE id = ?', [req.params.id]);
+      this.sendResult(res, result);
     });
 
+    // The page runs statements as the read-only console user until someone
+    // signs in with a password.
     this.app.get('/console', (req, res) => {
+      const token = this.consoleToken();
       res.send(`
         <!DOCTYPE html>
         <html>
@@ -204,12 +410,26 @@ class WebServer {
                     border-radius: 3px;
                     margin: 10px 0;
                 }
+                .signin input {
+                    font-family: 'Monaco', 'Menlo', monospace;
+                    padding: 8px;
+                    border: 1px solid #ddd;
+                    border-radius: 3px;
+                }
             </style>
         </head>
         <body>
             <div class="container">
                 <h1>SQL Console</h1>
                 
+                <div class="signin">
+                    Running as <strong id="current-user"></strong>
+                    <input id="username" placeholder="User">
+                    <input id="password" type="password" placeholder="Password">
+                    <button onclick="signIn()">Sign in</button>
+                    <div id="signin-error"></div>
+                </div>
+                
                 <div class="editor-area">
                     <div class="editor">
                         <h3>SQL Editor</h3>
@@ -236,6 +456,34 @@ SHOW TABLES;</textarea>
             </div>
             
             <script>
+                let token = ${JSON.stringify(token)};
+                showUser(token ? '${CONSOLE_USER} (read-only)' : 'nobody: sign in to run statements');
+                
+                function showUser(text) {
+                    document.getElementById('current-user').textContent = text;
+                }
+                
+                function signIn() {
+                    const user = document.getElementById('username').value;
+                    const password = document.getElementById('password').value;
+                    const credentials = btoa(unescape(encodeURIComponent(user + ':' + password)));
+                    fetch('/auth/token', {
+                        method: 'POST',
+                        headers: { 'Authorization': 'Basic ' + credentials },
+                    })
+                    .then(response => response.json())
+                    .then(data => {
+                        if (data.error) {
+                            document.getElementById('signin-error').innerHTML = renderResult(data);
+                            return;
+                        }
+                        token = data.token;
+                        showUser(data.user);
+                        document.getElementById('password').value = '';
+                        document.getElementById('signin-error').innerHTML = '';
+                    });
+                }
+                
                 function loadExample(sql) {
                     document.getElementById('sql-editor').value = sql;
                 }
@@ -249,16 +497,18 @@ SHOW TABLES;</textarea>
                     const sql = document.getElementById('sql-editor').value.trim();
                     if (!sql) return;
                     
-                    fetch('/sql', {
+                    fetch('/script', {
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json',
+                            'Authorization': 'Bearer ' + token,
                         },
-                        body: JSON.stringify({ query: sql })
+                        body: JSON.stringify({ script: sql })
                     })
                     .then(response => response.json())
                     .then(data => {
-                        displayResult(data);
+                        const results = data.results || [data];
+                        document.getElementById('output').innerHTML = results.map(renderResult).join('');
                     })
                     .catch(error => {
                         document.getElementById('output').innerHTML = 
@@ -266,31 +516,26 @@ SHOW TABLES;</textarea>
                     });
                 }
                 
-                function displayResult(data) {
-                    const output = document.getElementById('output');
-                    
+                function renderResult(data) {
                     if (data.error) {
-                        output.innerHTML = '<div class="error"><strong>Error:</strong> ' + data.error + '</div>';
-                        return;
+                        return '<div class="error"><strong>' + data.error.code + ':</strong> ' + data.error.message + '</div>';
                     }
                     
                     let html = '<div class="success">' + (data.message || 'Query executed successfully') + '</div>';
                     
-                    if (data.data && data.data.length > 0) {
+                    if (data.rows.length > 0) {
                         html += '<table>';
                         
                         // Create header
                         html += '<thead><tr>';
-                        if (data.data[0]) {
-                            Object.keys(data.data[0]).forEach(key => {
-                                html += '<th>' + key + '</th>';
-                            });
-                        }
+                        data.columns.forEach(column => {
+                            html += '<th>' + column.name + (column.type ? ' <small>' + column.type + '</small>' : '') + '</th>';
+                        });
                         html += '</tr></thead>';
                         
                         // Create rows
                         html += '<tbody>';
-                        data.data.forEach(row => {
+                        data.rows.forEach(row => {
                             html += '<tr>';
                             Object.values(row).forEach(cell => {
                                 html += '<td>' + (cell === null ? 'NULL' : cell) + '</td>';
@@ -299,12 +544,12 @@ SHOW TABLES;</textarea>
                         });
                         html += '</tbody></table>';
                         
-                        html += '<p>' + data.data.length + ' row(s) returned</p>';
+                        html += '<p>' + data.rows.length + ' row(s) returned in ' + data.timing.elapsedMs + ' ms</p>';
                     } else {
                         html += '<p>(No rows returned)</p>';
                     }
                     
-                    output.innerHTML = html;
+                    return html;
                 }
             </script>
         </body>
@@ -313,12 +558,299 @@ SHOW TABLES;</textarea>
     });
   }
 
+  // CRUD routes for every table. Each request reads the table's columns and
+  // primary key with DESCRIBE, so the routes follow schema changes at once.
+  setupApiRoutes() {
+    this.app.get('/api/:table', (req, res) => {
+      const resource = this.resource(req.params.table);
+      const params = [];
+      const conditions = this.filterConditions(resource, req.query, params);
+      let sql = `SELECT * FROM ${quoteName(resource.name)}`;
+      if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;
+      sql += this.pagingClauses(resource, req.query, params);
+      this.sendResult(res, req.session.execute(sql, params));
+    });
+
+    // Columns left out of the body take their default.
+    this.app.post('/api/:table', (req, res) => {
+      const resource = this.resource(req.params.table);
+      const values = this.bodyValues(resource, req.body);
+      const columns = [...resource.columns.keys()];
+      const placeholders = columns.map((column) => (values.has(column) ? '?' : 'DEFAULT'));
+      const params = columns.filter((column) => values.has(column)).map((column) => values.get(column));
+      const sql =
+        `INSERT INTO ${quoteName(resource.name)} (${columns.map(quoteName).join(', ')}) ` +
+        `VALUES (${placeholders.join(', ')}) RETURNING *`;
+      this.sendResult(res, req.session.execute(sql, params), 201);
+    });
+
+    this.app.get('/api/:table/:key', (req, res) => {
+      const resource = this.resource(req.params.table);
+      const key = this.keyValue(resource, req.params.key);
+      const sql = `SELECT * FROM ${quoteName(resource.name)} WHERE ${keyCondition(resource)}`;
+      this.sendRow(res, resource, key, req.session.execute(sql, [key]));
+    });
+
+    // PUT replaces the row, so columns left out of the body become NULL.
+    // PATCH changes only the columns in the body.
+    const update = (replace) => (req, res) => {
+      const resource = this.resource(req.params.table);
+      const key = this.keyValue(resource, req.params.key);
+      const values = this.bodyValues(resource, req.body);
+      const { primaryKey } = resource;
+      if (values.has(primaryKey) && values.get(primaryKey) !== key) {
+        throw new RequestError(400, 'BAD_REQUEST', `The body cannot change ${primaryKey}`);
+      }
+
+      const columns = [...(replace ? resource.columns : values).keys()].filter(
+        (column) => column !== primaryKey
+      );
+      if (columns.length === 0) {
+        throw new RequestError(400, 'BAD_REQUEST', 'No fields to update');
+      }
+      const assignments = columns.map((column) => `${quoteName(column)} = ?`);
+      const params = columns.map((column) => (values.has(column) ? values.get(column) : null));
+      const sql =
+        `UPDATE ${quoteName(resource.name)} SET ${assignments.join(', ')} ` +
+        `WHERE ${keyCondition(resource)} RETURNING *`;
+      this.sendRow(res, resource, key, req.session.execute(sql, [...params, key]));
+    };
+    this.app.put('/api/:table/:key', update(true));
+    this.app.patch('/api/:table/:key', update(false));
+
+    this.app.delete('/api/:table/:key', (req, res) => {
+      const resource = this.resource(req.params.table);
+      const key = this.keyValue(resource, req.params.key);
+      const sql = `DELETE FROM ${quoteName(resource.name)} WHERE ${keyCondition(resource)} RETURNING *`;
+      this.sendRow(res, resource, key, req.session.execute(sql, [key]));
+    });
+
+    this.app.use('/api', (req) => {
+      throw new RequestError(404, 'NOT_FOUND', `No route for ${req.method} ${req.originalUrl}`);
+    });
+  }
+
+  // Errors thrown by routes become JSON responses. Bodies that are not valid
+  // JSON are the client's fault; anything unexpected is a 500.
+  setupErrorHandler() {
+    this.app.use((error, req, res, next) => {
+      let status = 500;
+      let code = 'INTERNAL_ERROR';
+      let message = 'Internal server error';
+      if (error instanceof RequestError) {
+        ({ status, code, message } = error);
+      } else if (error.status >= 400 && error.status < 500) {
+        ({ status, message } = error);
+        code = 'BAD_REQUEST';
+      } else {
+        console.error(error);
+      }
+      res.status(status).json({ error: { code, message } });
+    });
+  }
+
+  // The session a request runs its statements in, for the user named by an
+  // API token (Authorization: Bearer) or by a user name and password
+  // (Authorization: Basic). Browsers' EventSource cannot send headers, so
+  // /events also takes the token as ?access_token=.
+  authenticate(req, res) {
+    let header = req.get('Authorization');
+    if (!header && req.path === '/events' && typeof req.query.access_token === 'string') {
+      header = `Bearer ${req.query.access_token}`;
+    }
+    if (!header) {
+      res.set('WWW-Authenticate', 'Basic realm="Simple RDBMS"');
+      throw new RequestError(401, 'AUTH_FAILED', 'Sign in with an API token or a user name and password');
+    }
+
+    const [scheme, credentials = ''] = header.split(' ');
+    try {
+      if (/^bearer$/i.test(scheme)) {
+        const entry = this.tokens.get(credentials);
+        if (entry && entry.expires > Date.now()) return this.db.session(entry.user);
+        this.tokens.delete(credentials);
+      } else if (/^basic$/i.test(scheme)) {
+        const text = Buffer.from(credentials, 'base64').toString('utf8');
+        const colon = text.indexOf(':');
+        if (colon !== -1) return this.db.authenticate(text.slice(0, colon), text.slice(colon + 1));
+      }
+    } catch (error) {
+      throw new RequestError(401, 'AUTH_FAILED', error.message);
+    }
+    throw new RequestError(401, 'AUTH_FAILED', 'Invalid or expired credentials');
+  }
+
+  issueToken(user) {
+    const now = Date.now();
+    this.tokens.forEach((entry, token) => {
+      if (entry.expires <= now) this.tokens.delete(token);
+    });
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expires = now + TOKEN_LIFETIME_MS;
+    this.tokens.set(token, { user, expires });
+    return { token, expires };
+  }
+
+  // A token for the console user, or null when that user has been dropped.
+  consoleToken() {
+    try {
+      this.db.session(CONSOLE_USER);
+    } catch (error) {
+      return null;
+    }
+    return this.issueToken(CONSOLE_USER).token;
+  }
+
+  // The table or view an /api route names: its column types by name and
+  // its primary key, if it has one.
+  resource(name) {
+    const result = this.db.execute(`DESCRIBE ${quoteName(name)}`);
+    if (result.error) {
+      throw new RequestError(this.statusFor(result), result.error.code, result.error.message);
+    }
+    const key = result.rows.find((column) => column.Key === 'PRI');
+    return {
+      name,
+      columns: new Map(result.rows.map((column) => [column.Field, column.Type])),
+      primaryKey: key ? key.Field : null,
+    };
+  }
+
+  // WHERE conditions for the filter parameters, such as ?name=Bob,
+  // ?age[gte]=25, ?name[like]=A%, ?id[in]=1,2,3 or ?email[null]=true.
+  filterConditions(resource, query, params) {
+    const conditions = [];
+    Object.entries(query).forEach(([parameter, texts]) => {
+      if (PAGING_PARAMETERS.includes(parameter)) return;
+      const [, column, operator = 'eq'] = /^(.*?)(?:\[(\w+)\])?$/.exec(parameter);
+      if (!resource.columns.has(column)) {
+        throw new RequestError(400, 'BAD_REQUEST', `Unknown filter column: ${column}`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(FILTER_OPERATORS, operator)) {
+        throw new RequestError(400, 'BAD_REQUEST', `Unknown filter operator: ${operator}`);
+      }
+
+      const name = quoteName(column);
+      const type = resource.columns.get(column);
+      [].concat(texts).forEach((text) => {
+        if (operator === 'null') {
+          if (text !== 'true' && text !== 'false') {
+            throw new RequestError(400, 'BAD_REQUEST', `${parameter} must be true or false`);
+          }
+          conditions.push(`${name} IS ${text === 'true' ? '' : 'NOT '}NULL`);
+        } else if (operator === 'in') {
+          const values = text.split(',').map((item) => this.queryValue(parameter, item, type));
+          conditions.push(`${name} IN (${values.map(() => '?').join(', ')})`);
+          params.push(...values);
+        } else {
+          const value = operator === 'like' ? text : this.queryValue(parameter, text, type);
+          conditions.push(`${name} ${FILTER_OPERATORS[operator]} ?`);
+          params.push(value);
+        }
+      });
+    });
+    return conditions;
+  }
+
+  // ORDER BY, LIMIT and OFFSET from the sort, limit and offset parameters.
+  // `sort` lists columns separated by commas; a leading - sorts descending.
+  pagingClauses(resource, query, params) {
+    let sql = '';
+    if (query.sort) {
+      const terms = String(query.sort).split(',').map((field) => {
+        const descending = field.startsWith('-');
+        const column = descending ? field.slice(1) : field;
+        if (!resource.columns.has(column)) {
+          throw new RequestError(400, 'BAD_REQUEST', `Unknown sort column: ${column}`);
+        }
+        return `${quoteName(column)} ${descending ? 'DESC' : 'ASC'}`;
+      });
+      sql += ` ORDER BY ${terms.join(', ')}`;
+    }
+
+    const limit = this.parseCount(query.limit);
+    const offset = this.parseCount(query.offset);
+    if (limit === null || offset === null) {
+      throw new RequestError(400, 'BAD_REQUEST', 'limit and offset must be non-negative integers');
+    }
+    if (limit !== undefined) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    if (offset !== undefined) {
+      sql += ' OFFSET ?';
+      params.push(offset);
+    }
+    return sql;
+  }
+
+  queryValue(parameter, text, type) {
+    const value = fromQueryString(text, type);
+    if (value === undefined) {
+      throw new RequestError(400, 'BAD_REQUEST', `${parameter} must be ${type}, got ${text}`);
+    }
+    return value;
+  }
+
+  // The primary key value in a row URL.
+  keyValue(resource, text) {
+    const { name, primaryKey } = resource;
+    if (!primaryKey) {
+      throw new RequestError(400, 'BAD_REQUEST', `${name} has no primary key to address rows by`);
+    }
+    return this.queryValue(primaryKey, text, resource.columns.get(primaryKey));
+  }
+
+  // The column values of a request body, checked against the column types.
+  bodyValues(resource, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new RequestError(400, 'BAD_REQUEST', 'The request body must be a JSON object');
+    }
+    const values = new Map(Object.entries(body));
+    values.forEach((value, column) => {
+      if (!resource.columns.has(column)) {
+        throw new RequestError(400, 'BAD_REQUEST', `Unknown column: ${column}`);
+      }
+      const type = resource.columns.get(column);
+      if (!fitsType(value, type)) {
+        throw new RequestError(400, 'BAD_REQUEST', `${column} must be ${type} or null`);
+      }
+    });
+    return values;
+  }
+
+  // Answers for a single-row route, with 404 when no row has the key.
+  sendRow(res, resource, key, result, status = 200) {
+    if (!result.error && result.rows.length === 0) {
+      const { name, primaryKey } = resource;
+      throw new RequestError(404, 'NOT_FOUND', `No row in ${name} with ${primaryKey} ${key}`);
+    }
+    this.sendResult(res, result, status);
+  }
+
+  sendResult(res, result, status = 200) {
+    res.status(this.statusFor(result, status)).json(result);
+  }
+
+  statusFor(result, status = 200) {
+    return result.error ? ERROR_STATUS[result.error.code] || 500 : status;
+  }
+
+  badRequest(res, message) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST', message } });
+  }
+
+  parseCount(value) {
+    if (value === undefined) return undefined;
+    return /^\d+$/.test(value) ? parseInt(value) : null;
+  }
+
   initializeSampleData() {
     const tables = this.db.execute('SHOW TABLES');
-    if (!tables.data || tables.data.length === 0) {
+    if (tables.rows.length === 0) {
       this.db.execute(`
         CREATE TABLE users (
-          id INT PRIMARY KEY,
+          id INT PRIMARY KEY AUTOINCREMENT,
           name TEXT,
           email TEXT UNIQUE,
           age INT,
@@ -332,8 +864,8 @@ SHOW TABLES;</textarea>
       
       this.db.execute(`
         CREATE TABLE posts (
-          id INT PRIMARY KEY,
-          user_id INT,
+          id INT PRIMARY KEY AUTOINCREMENT,
+          user_id INT REFERENCES users(id) ON DELETE CASCADE,
           title TEXT,
           content TEXT,
           created_at TEXT DEFAULT CURRENT_TIMESTAMP
@@ -348,6 +880,27 @@ SHOW TABLES;</textarea>
     }
   }
 
+  // A database without users gets the superuser admin, and the console user
+  // with a readonly role that may SELECT from every table and view. The
+  // admin password is the adminPassword option, or is made up and printed.
+  initializeUsers() {
+    const users = this.db.execute('SHOW USERS');
+    if (users.rows.length > 0) return;
+
+    const password = this.adminPassword || crypto.randomBytes(12).toString('base64url');
+    const results = this.db.executeScript(`
+      CREATE USER admin PASSWORD '${password.replace(/'/g, "''")}' SUPERUSER;
+      CREATE ROLE readonly;
+      GRANT SELECT ON * TO readonly;
+      CREATE USER ${CONSOLE_USER};
+      GRANT readonly TO ${CONSOLE_USER};
+    `);
+    const failed = results.find((result) => result.error);
+    if (failed) throw failed.error;
+
+    console.log(this.adminPassword ? 'Created user admin' : `Created user admin with password ${password}`);
+  }
+
   start() {
     this.app.listen(this.port, () => {
       console.log(`Simple RDBMS Web Server running on http://localhost:${this.port}`);
@@ -356,8 +909,63 @@ SHOW TABLES;</textarea>
   }
 }
 
+function quoteName(name) {
+  return `\`${name.replace(/`/g, '``')}\``;
+}
+
+function bearerToken(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return /^bearer$/i.test(scheme) ? token : null;
+}
+
+function keyCondition(resource) {
+  return `${quoteName(resource.primaryKey)} = ?`;
+}
+
+function baseType(type) {
+  return type ? type.replace(/\(.*\)$/, '') : null;
+}
+
+// Whether a JSON value fits a column type. Dates and timestamps are sent as
+// strings, which the database checks.
+function fitsType(value, type) {
+  if (value === null) return true;
+  switch (baseType(type)) {
+    case 'INT':
+      return Number.isInteger(value);
+    case 'REAL':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'BOOLEAN':
+      return typeof value === 'boolean';
+    default:
+      return typeof value === 'string';
+  }
+}
+
+// Converts text from a URL to a value of the column type, or returns
+// undefined when it is not one.
+function fromQueryString(text, type) {
+  switch (baseType(type)) {
+    case 'INT':
+      return /^-?\d+$/.test(text) ? Number(text) : undefined;
+    case 'REAL':
+      return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+    case 'BOOLEAN':
+      if (text === 'true') return true;
+      if (text === 'false') return false;
+      return undefined;
+    default:
+      return text;
+  }
+}
+
 if (require.main === module) {
   const port = process.argv[2] || 3000;
-  const server = new WebServer(parseInt(port));
+  const server = new WebServer(parseInt(port), process.argv[3], {
+    adminPassword: process.env.RDBMS_ADMIN_PASSWORD,
+    corsOrigins: (process.env.RDBMS_CORS_ORIGINS || '').split(',').filter(Boolean),
+  });
   server.start();
-}
\ No newline at end of file
+}
+
+module.exports = WebServer;
@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const {
+  PreparedStatement,
+  parseStatement,
+  splitStatements,
+} = require("./statement");
+
+// Passwords are stored as "scrypt$<salt>$<hash>", both in hex.
+const HASH_PATTERN = /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/;
+const KEY_LENGTH = 32;
+
+// Runs statements as one user. It works like the database itself, but each
+// statement first needs the privileges granted to the user's roles.
+class Session {
+  constructor(db, user) {
+    this.db = db;
+    this.user = user;
+  }
+
+  execute(sql, params) {
+    return this.db._run(sql, params, () => parseStatement(sql), this);
+  }
+
+  executeScript(sql) {
+    return splitStatements(sql).map((statement) => this.execute(statement));
+  }
+
+  prepare(sql) {
+    return new PreparedStatement(this.db, sql, this);
+  }
+
+  // Whether the user may read the table or view.
+  canSelect(name) {
+    return this.db._allowed(this, "SELECT", name);
+  }
+
+  // Like db.watch(), but the user needs SELECT on the table, and changes
+  // are passed on only while they have it.
+  watch(tableName, condition, listener) {
+    return this.db._watch(tableName, condition, listener, this);
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [, salt, hash] = stored.split("$");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function isPasswordHash(text) {
+  return HASH_PATTERN.test(text);
+}
+
+module.exports = { Session, hashPassword, verifyPassword, isPasswordHash };
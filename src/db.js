@@ -1,339 +1,4256 @@
-class SimpleRDBMS {
-  constructor() {
+const EventEmitter = require("events");
+const Index = require("./indexes");
+const Storage = require("./storage");
+const {
+  PreparedStatement,
+  parseStatement,
+  parseCondition,
+  bindParameters,
+  splitStatements,
+} = require("./statement");
+const {
+  parseType,
+  normalizeType,
+  coerceValue,
+  formatTimestamp,
+} = require("./types");
+const {
+  Session,
+  hashPassword,
+  verifyPassword,
+  isPasswordHash,
+} = require("./auth");
+const {
+  DatabaseError,
+  NotFoundError,
+  AlreadyExistsError,
+  ConstraintError,
+  TypeMismatchError,
+  SchemaError,
+  QueryError,
+  TransactionError,
+  StorageError,
+  AuthenticationError,
+  PermissionError,
+} = require("./errors");
+
+// Emits "change" for every row that INSERT, UPDATE or DELETE changes, once
+// the change is committed.
+class SimpleRDBMS extends EventEmitter {
+  constructor({ path = null, checkpointInterval = 1000 } = {}) {
+    super();
     this.tables = {};
+    // Views by name, each with its SELECT as text and parsed.
+    this.views = {};
+    // Users by name, each with a password hash (null for one that cannot
+    // sign in with a password), whether they are a superuser and the roles
+    // granted to them.
+    this.users = {};
+    // Roles by name, each with the privileges granted on each table or view
+    // by name, or on every one under "*".
+    this.roles = {};
+    // Triggers by name, each as its parsed CREATE TRIGGER statement.
+    this.triggers = {};
+    // How many triggers are running inside one another.
+    this.triggerDepth = 0;
     this.history = [];
+    // Every change records how to undo itself here. Outside a transaction
+    // the log only spans one statement, which makes each statement atomic.
+    this.undoLog = [];
+    this.inTransaction = false;
+    // The user whose session began the transaction, or null when it was
+    // begun on the database itself.
+    this.transactionOwner = null;
+    this.savepoints = [];
+    // Statements that changed something and wait for COMMIT to be logged.
+    this.pending = [];
+    // Row changes that wait for COMMIT to be emitted. They are only kept
+    // while someone listens.
+    this.changes = [];
+    this.statementTime = null;
+    // The rows of the queries around the subquery being run, innermost last.
+    this.outerRows = [];
+    this.storage = null;
+    this.checkpointInterval = checkpointInterval;
+
+    if (path) this._open(path);
+  }
+
+  // Runs one statement. `params` binds its placeholders: an array for `?`,
+  // an object for `:name`. Never throws: every statement returns the same
+  // result shape, with `error` set to a DatabaseError when it failed.
+  execute(sql, params) {
+    return this._run(sql, params, () => parseStatement(sql));
+  }
+
+  // Runs each statement of a script in turn and returns their results. A
+  // statement that fails does not stop the ones after it.
+  executeScript(sql) {
+    return splitStatements(sql).map((statement) => this.execute(statement));
+  }
+
+  prepare(sql) {
+    return new PreparedStatement(this, sql);
   }
 
-  execute(sql) {
+  // Calls `listener` with each committed change to a table, or only those
+  // whose row meets `condition`, a WHERE condition, before or after the
+  // change. Returns a function that stops the calls.
+  watch(tableName, condition, listener) {
+    return this._watch(tableName, condition, listener, null);
+  }
+
+  // Returns a session for the user if the password is theirs. Statements run
+  // in it are checked against the user's privileges.
+  authenticate(name, password) {
+    const user = ownValue(this.users, name);
+    if (!user || !user.password || !verifyPassword(password, user.password)) {
+      throw new AuthenticationError("Invalid user name or password");
+    }
+    return new Session(this, name);
+  }
+
+  // Returns a session for a user without asking for a password, for callers
+  // that know who the user is some other way.
+  session(name) {
+    this._getUser(name);
+    return new Session(this, name);
+  }
+
+  _run(sql, params, parse, session = null) {
     this.history.push(sql);
-    sql = sql.trim();
+    const mark = this.undoLog.length;
+    this.statementTime = new Date();
+    const started = performance.now();
+
+    try {
+      const statement = bindParameters(parse(), params);
+      this._authorize(statement, session);
+      const result = this._executeStatement(statement, session);
+      if (this.storage && this.undoLog.length > mark) {
+        // A statement may log other text, as CREATE USER does to keep the
+        // password out of the log.
+        this.pending.push({
+          sql: result.logSql || sql,
+          params: copyParams(params),
+          time: this.statementTime.toISOString(),
+          position: mark,
+        });
+      }
+      if (!this.inTransaction) {
+        this._writeLog();
+        this.undoLog = [];
+        this._autoCheckpoint();
+        this._publishChanges();
+      }
+      return makeResult(result, started);
+    } catch (error) {
+      this._undoTo(mark);
+      const failure =
+        error instanceof DatabaseError
+          ? error
+          : new DatabaseError(error.message);
+      return makeResult({ error: failure }, started);
+    }
+  }
+
+  // Writes the database to a fresh snapshot and empties the log.
+  checkpoint() {
+    if (!this.storage) {
+      throw new DatabaseError(
+        "Only a database opened with a path can checkpoint",
+        "NOT_PERSISTENT"
+      );
+    }
+    if (this.inTransaction) {
+      throw new TransactionError(
+        "Cannot checkpoint while a transaction is in progress"
+      );
+    }
+    this.storage.checkpoint(this.toJSON());
+  }
+
+  close() {
+    if (!this.storage) return;
+    if (!this.inTransaction) this.checkpoint();
+    this.storage.close();
+    this.storage = null;
+  }
+
+  // Loads the last snapshot, then replays the committed statements logged
+  // after it. Each runs with the time it first ran at, so CURRENT_TIMESTAMP
+  // gives the same values again.
+  _open(path) {
+    const storage = new Storage(path);
+    const { data, records } = storage.load();
+    if (data) this.fromJSON(data);
+
+    records.forEach((record) => {
+      record.statements.forEach(({ sql, params, time }) => {
+        this.statementTime = new Date(time);
+        try {
+          this._executeStatement(bindParameters(parseStatement(sql), params));
+        } catch (error) {
+          throw new StorageError(
+            `Cannot replay log record ${record.lsn} (${sql}): ${error.message}`
+          );
+        }
+        this.undoLog = [];
+      });
+    });
 
-    if (sql.endsWith(";")) sql = sql.slice(0, -1);
+    this.storage = storage;
+    this._autoCheckpoint();
+  }
 
-    const parts = sql.split(" ").filter((p) => p);
-    const command = parts[0].toUpperCase();
+  _writeLog() {
+    if (this.pending.length > 0) {
+      this.storage.append(
+        this.pending.map(({ sql, params, time }) => ({ sql, params, time }))
+      );
+    }
+    this.pending = [];
+  }
 
+  // The log has every change once it is written, so a failed checkpoint
+  // loses nothing and the next one tries again.
+  _autoCheckpoint() {
+    if (!this.storage || this.storage.logRecords < this.checkpointInterval) {
+      return;
+    }
     try {
-      switch (command) {
-        case "CREATE":
-          return this._createTable(sql);
-        case "INSERT":
-          return this._insert(sql);
-        case "SELECT":
-          return this._select(sql);
-        case "UPDATE":
-          return this._update(sql);
-        case "DELETE":
-          return this._delete(sql);
-        case "DROP":
-          return this._dropTable(sql);
-        case "SHOW":
-          return this._showTables();
-        case "DESCRIBE":
-          return this._describe(sql);
-        default:
-          return { error: `Unknown command: ${command}` };
+      this.checkpoint();
+    } catch (error) {
+      return;
+    }
+  }
+
+  // Runs `fn` in a transaction that is committed when it returns and rolled
+  // back when it throws. Inside an open transaction, only the changes made
+  // by `fn` are undone.
+  transaction(fn) {
+    if (this.inTransaction) {
+      const mark = this.undoLog.length;
+      try {
+        return fn(this);
+      } catch (error) {
+        this._undoTo(mark);
+        this.savepoints = this.savepoints.filter((sp) => sp.position <= mark);
+        throw error;
       }
+    }
+
+    this._begin();
+    try {
+      const result = fn(this);
+      if (this.inTransaction) this._commit();
+      return result;
     } catch (error) {
-      return { error: error.message };
+      if (this.inTransaction) this._rollback({ savepoint: null });
+      throw error;
+    }
+  }
+
+  _executeStatement(statement, session = null) {
+    switch (statement.type) {
+      case "createTable":
+        return this._createTable(statement);
+      case "insert":
+        return this._insert(statement);
+      case "select":
+        return this._select(statement);
+      case "update":
+        return this._update(statement);
+      case "delete":
+        return this._delete(statement);
+      case "dropTable":
+        return this._dropTable(statement);
+      case "alterTable":
+        return this._alterTable(statement);
+      case "createIndex":
+        return this._createIndex(statement);
+      case "dropIndex":
+        return this._dropIndex(statement);
+      case "createView":
+        return this._createView(statement);
+      case "dropView":
+        return this._dropView(statement);
+      case "showTables":
+        return this._showTables();
+      case "describe":
+        return this._describe(statement);
+      case "explain":
+        return this._explain(statement);
+      case "begin":
+        return this._begin(session);
+      case "commit":
+        return this._commit();
+      case "rollback":
+        return this._rollback(statement);
+      case "savepoint":
+        return this._savepoint(statement);
+      case "release":
+        return this._release(statement);
+      case "createUser":
+        return this._createUser(statement);
+      case "alterUser":
+        return this._alterUser(statement);
+      case "dropUser":
+        return this._dropUser(statement);
+      case "createRole":
+        return this._createRole(statement);
+      case "dropRole":
+        return this._dropRole(statement);
+      case "grant":
+        return this._grant(statement);
+      case "revoke":
+        return this._revoke(statement);
+      case "grantRole":
+        return this._grantRole(statement);
+      case "revokeRole":
+        return this._revokeRole(statement);
+      case "showUsers":
+        return this._showUsers();
+      case "showGrants":
+        return this._showGrants();
+      case "createTrigger":
+        return this._createTrigger(statement);
+      case "dropTrigger":
+        return this._dropTrigger(statement);
+      case "showTriggers":
+        return this._showTriggers();
+      default:
+        throw new QueryError(`Unknown command: ${statement.type}`);
     }
   }
 
-  _createTable(sql) {
-    const match = sql.match(/CREATE TABLE (\w+) \((.+)\)/i);
-    if (!match) throw new Error("Invalid CREATE TABLE syntax");
+  // A statement run in a session needs SELECT on the tables and views it
+  // reads and INSERT, UPDATE or DELETE on the table it changes. Reading a
+  // view needs SELECT on the view only, not on the tables behind it. Schema
+  // changes and managing users need a superuser. Statements run on the
+  // database itself are not checked.
+  _authorize(statement, session) {
+    const user = this._sessionUser(session);
+    if (user) this._requireOwnTransaction(statement, session, user);
+    if (!user || user.superuser) return;
+    if (TRANSACTION_STATEMENTS.includes(statement.type)) {
+      this._authorizeTransaction(statement, user);
+      return;
+    }
+
+    const required = this._requiredPrivileges(statement);
+    if (!required) {
+      throw new PermissionError(
+        `Permission denied: ${commandName(statement.type)} needs a superuser`
+      );
+    }
+    required.forEach(([privilege, name]) =>
+      this._requirePrivilege(session, privilege, name)
+    );
+  }
 
-    const tableName = match[1];
-    const columnsDef = match[2];
+  // The user a session runs as, or null outside a session.
+  _sessionUser(session) {
+    if (!session) return null;
+    const user = ownValue(this.users, session.user);
+    if (!user) {
+      throw new AuthenticationError(`User ${session.user} doesn't exist`);
+    }
+    return user;
+  }
 
-    if (this.tables[tableName]) {
-      throw new Error(`Table ${tableName} already exists`);
+  // A user who can only read may not open the transaction.
+  _authorizeTransaction(statement, user) {
+    const command = commandName(statement.type);
+    if (!this._canWrite(user)) {
+      throw new PermissionError(
+        `Permission denied: ${command} needs INSERT, UPDATE or DELETE on some table`
+      );
     }
+  }
 
-    const columns = {};
-    const constraints = {};
+  // Every session shares the database's one transaction. While it is open,
+  // a statement from another user's session would join it and be undone by
+  // its ROLLBACK, so only the user who began it may run statements; a
+  // superuser may still roll it back.
+  _requireOwnTransaction(statement, session, user) {
+    if (!this.inTransaction || this.transactionOwner === session.user) return;
+    if (
+      user.superuser &&
+      statement.type === "rollback" &&
+      !statement.savepoint
+    ) {
+      return;
+    }
+    const owner = this.transactionOwner
+      ? `by ${this.transactionOwner}`
+      : "on the database";
+    throw new TransactionError(`A transaction begun ${owner} is in progress`);
+  }
 
-    columnsDef.split(",").forEach((colDef) => {
-      const parts = colDef.trim().split(/\s+/);
-      const colName = parts[0];
-      const colType = parts[1].toUpperCase();
-      columns[colName] = colType;
+  _canWrite(user) {
+    return user.roles.some((roleName) =>
+      Object.values(this.roles[roleName].privileges).some((granted) =>
+        granted.some((privilege) => privilege !== "SELECT")
+      )
+    );
+  }
 
-      if (parts.includes("PRIMARY")) {
-        constraints.primaryKey = colName;
-      }
-      if (parts.includes("UNIQUE")) {
-        constraints[colName] = { unique: true };
+  _requirePrivilege(session, privilege, name) {
+    if (this._allowed(session, privilege, name)) return;
+    throw new PermissionError(
+      `Permission denied: ${session.user} has no ${privilege} privilege on ${name}`
+    );
+  }
+
+  // The privileges a statement needs as [privilege, table] pairs, or null
+  // when only a superuser may run it. RETURNING reads the changed table.
+  _requiredPrivileges(statement) {
+    const reads = (node) =>
+      [...new Set(tablesIn(node))]
+        .filter((name) => this.tables[name] || this.views[name])
+        .map((name) => ["SELECT", name]);
+
+    switch (statement.type) {
+      case "select":
+      case "explain":
+        return reads(statement);
+      case "insert":
+      case "update":
+      case "delete": {
+        const { table } = statement;
+        const required = [[statement.type.toUpperCase(), table]];
+        if (statement.returning) required.push(["SELECT", table]);
+        return [...required, ...reads(statement)];
       }
+      case "showTables":
+      case "describe":
+        return [];
+      default:
+        return null;
+    }
+  }
+
+  // Whether the session's user holds the privilege. Outside a session every
+  // statement is allowed.
+  _allowed(session, privilege, name) {
+    const user = this._sessionUser(session);
+    return !user || user.superuser || this._hasPrivilege(user, privilege, name);
+  }
+
+  _hasPrivilege(user, privilege, name) {
+    return user.roles.some((roleName) => {
+      const { privileges } = this.roles[roleName];
+      return [name, "*"].some((table) =>
+        (ownValue(privileges, table) || []).includes(privilege)
+      );
     });
+  }
 
-    this.tables[tableName] = {
-      columns,
-      constraints,
-      rows: [],
-      indexes: {},
-    };
+  _begin(session = null) {
+    if (this.inTransaction) {
+      throw new TransactionError("A transaction is already in progress");
+    }
+    this.inTransaction = true;
+    this.transactionOwner = session && session.user;
+    return { message: "Transaction started" };
+  }
 
-    return { message: `Table ${tableName} created` };
+  _commit() {
+    this._requireTransaction("COMMIT");
+    try {
+      this._writeLog();
+    } catch (error) {
+      this._rollback({ savepoint: null });
+      throw new StorageError(`${error.message}; transaction rolled back`);
+    }
+    this._endTransaction();
+    this._autoCheckpoint();
+    this._publishChanges();
+    return { message: "Transaction committed" };
   }
 
-  _insert(sql) {
-    const match = sql.match(/INSERT INTO (\w+) VALUES \((.+)\)/i);
-    if (!match) throw new Error("Invalid INSERT syntax");
+  _rollback(statement) {
+    this._requireTransaction("ROLLBACK");
 
-    const tableName = match[1];
-    const valuesStr = match[2];
+    if (statement.savepoint) {
+      const i = this._findSavepoint(statement.savepoint);
+      this._undoTo(this.savepoints[i].position);
+      this.savepoints = this.savepoints.slice(0, i + 1);
+      return { message: `Rolled back to savepoint ${statement.savepoint}` };
+    }
 
-    const table = this.tables[tableName];
-    if (!table) throw new Error(`Table ${tableName} doesn't exist`);
+    this._undoTo(0);
+    this._endTransaction();
+    return { message: "Transaction rolled back" };
+  }
+
+  _savepoint(statement) {
+    this._requireTransaction("SAVEPOINT");
+    this.savepoints.push({
+      name: statement.name,
+      position: this.undoLog.length,
+    });
+    return { message: `Savepoint ${statement.name} created` };
+  }
 
-    const values = this._parseValues(valuesStr);
-    const columnNames = Object.keys(table.columns);
+  _release(statement) {
+    this._requireTransaction("RELEASE");
+    const i = this._findSavepoint(statement.name);
+    this.savepoints = this.savepoints.slice(0, i);
+    return { message: `Savepoint ${statement.name} released` };
+  }
 
-    if (values.length !== columnNames.length) {
-      throw new Error(
-        `Expected ${columnNames.length} values, got ${values.length}`
+  _requireTransaction(command) {
+    if (!this.inTransaction) {
+      throw new TransactionError(
+        `${command} requires a transaction in progress`
       );
     }
+  }
+
+  // A savepoint name may be reused; the most recent one wins.
+  _findSavepoint(name) {
+    for (let i = this.savepoints.length - 1; i >= 0; i--) {
+      if (this.savepoints[i].name === name) return i;
+    }
+    throw new NotFoundError(
+      `Savepoint ${name} doesn't exist`,
+      "NO_SUCH_SAVEPOINT"
+    );
+  }
 
-    if (table.constraints.primaryKey) {
-      const pkCol = table.constraints.primaryKey;
-      const pkIndex = columnNames.indexOf(pkCol);
-      const pkValue = values[pkIndex];
+  _endTransaction() {
+    this.inTransaction = false;
+    this.transactionOwner = null;
+    this.savepoints = [];
+    this.undoLog = [];
+    this.pending = [];
+  }
+
+  _logUndo(undo) {
+    this.undoLog.push(undo);
+  }
 
-      const existing = table.rows.find((row) => row[pkCol] === pkValue);
-      if (existing) throw new Error(`Duplicate primary key: ${pkValue}`);
+  _undoTo(position) {
+    while (this.undoLog.length > position) {
+      this.undoLog.pop()();
     }
+    this.pending = this.pending.filter((entry) => entry.position < position);
+    this.changes = this.changes.filter((entry) => entry.position < position);
+  }
 
-    const row = {};
-    columnNames.forEach((col, i) => {
-      row[col] = values[i];
+  // A change event carries the row as it was before and after the change;
+  // INSERT has no before and DELETE no after. Rows are copied, since later
+  // statements change them in place.
+  _recordChange(type, tableName, before, after) {
+    if (this.listenerCount("change") === 0) return;
+    this.changes.push({
+      change: {
+        type,
+        table: tableName,
+        before: before && { ...before },
+        after: after && { ...after },
+      },
+      position: this.undoLog.length,
     });
+  }
 
-    table.rows.push(row);
-    return { message: "1 row inserted" };
+  // Emits the committed changes in the order they were made. A listener
+  // that throws cannot undo the commit, so its error is thrown again on the
+  // next tick, as from any event handler.
+  _publishChanges() {
+    const { changes } = this;
+    this.changes = [];
+    changes.forEach(({ change }) => {
+      try {
+        this.emit("change", change);
+      } catch (error) {
+        process.nextTick(() => {
+          throw error;
+        });
+      }
+    });
   }
 
-  _select(sql) {
-    const selectMatch = sql.match(/SELECT (.+) FROM (\w+)(?: WHERE (.+))?/i);
-    if (!selectMatch) throw new Error("Invalid SELECT syntax");
+  _watch(tableName, condition, listener, session) {
+    const table = this._getTable(tableName);
+    this._requirePrivilege(session, "SELECT", tableName);
+    const where = condition && this._bindFilter(tableName, table, condition);
+    const matches = (row) =>
+      row !== null && (!where || this._evaluateWhere(row, where));
 
-    const columns = selectMatch[1];
-    const tableName = selectMatch[2];
-    const whereClause = selectMatch[3];
+    // The user must still be able to read the table when a change comes.
+    const onChange = (change) => {
+      if (change.table !== tableName) return;
+      if (!matches(change.before) && !matches(change.after)) return;
+      try {
+        this._requirePrivilege(session, "SELECT", tableName);
+      } catch (error) {
+        return;
+      }
+      listener(change);
+    };
+    this.on("change", onChange);
+    return () => this.off("change", onChange);
+  }
 
-    const table = this.tables[tableName];
-    if (!table) throw new Error(`Table ${tableName} doesn't exist`);
+  // A watch condition tests one row at a time and runs no queries.
+  _bindFilter(tableName, table, condition) {
+    const where = this._bind(
+      parseCondition(condition),
+      this._tableScope(tableName, table)
+    );
+    if (containsSubquery(where)) {
+      throw new QueryError("A watch condition cannot use a subquery");
+    }
+    if (containsAggregate(where)) {
+      throw new QueryError("A watch condition cannot use aggregate functions");
+    }
+    return where;
+  }
 
-    let rows = table.rows;
+  _createTable(statement) {
+    const tableName = statement.table;
+    this._checkNameFree(tableName);
 
-    if (whereClause) {
-      rows = rows.filter((row) => this._evaluateWhere(row, whereClause));
+    const table = { columns: {}, constraints: {}, rows: [], indexes: {} };
+    statement.columns.forEach((colDef) =>
+      this._defineColumn(tableName, table, colDef)
+    );
+    if (statement.checks.length > 0) {
+      table.constraints.checks = statement.checks;
+    }
+    if (statement.foreignKeys.length > 0) {
+      table.constraints.foreignKeys = [
+        ...(table.constraints.foreignKeys || []),
+        ...statement.foreignKeys,
+      ];
     }
 
-    const columnNames =
-      columns === "*"
-        ? Object.keys(table.columns)
-        : columns.split(",").map((c) => c.trim());
+    const scope = this._tableScope(tableName, table);
+    this._tableChecks(table).forEach((check) => this._bindCheck(check, scope));
 
-    const result = rows.map((row) => {
-      const selected = {};
-      columnNames.forEach((col) => {
-        if (col in row) selected[col] = row[col];
-      });
-      return selected;
+    this._createConstraintIndexes(tableName, table);
+    this._resolveForeignKeys(tableName, table);
+    this.tables[tableName] = table;
+    this._logUndo(() => {
+      delete this.tables[tableName];
     });
 
-    return {
-      data: result,
-      count: result.length,
-      columns: columnNames,
-    };
+    return { message: `Table ${tableName} created` };
   }
 
-  _showTables() {
-    const tables = Object.keys(this.tables);
-    return {
-      data: tables.map((name) => ({ Table: name })),
-      count: tables.length,
-    };
+  // Adds a column and its constraints to a table that holds no rows yet.
+  _defineColumn(tableName, table, colDef) {
+    const { columns, constraints } = table;
+    if (colDef.name in columns) {
+      throw new AlreadyExistsError(
+        `Duplicate column name: ${colDef.name}`,
+        "COLUMN_EXISTS"
+      );
+    }
+    columns[colDef.name] = normalizeType(colDef.dataType, colDef.name);
+
+    const colConstraints = {};
+    if (colDef.autoIncrement) {
+      if (columns[colDef.name] !== "INT") {
+        throw new SchemaError(
+          `AUTOINCREMENT column ${colDef.name} must be INT`
+        );
+      }
+      if (colDef.default) {
+        throw new SchemaError(
+          `AUTOINCREMENT column ${colDef.name} cannot have a DEFAULT`
+        );
+      }
+      if (sequenceColumn(table)) {
+        throw new SchemaError(
+          `Table ${tableName} has more than one AUTOINCREMENT column`
+        );
+      }
+      colConstraints.autoIncrement = true;
+      table.sequence = 0;
+    }
+    if (colDef.primaryKey) {
+      if (constraints.primaryKey) {
+        throw new SchemaError(
+          `Table ${tableName} has more than one primary key`
+        );
+      }
+      constraints.primaryKey = colDef.name;
+    }
+    if (colDef.unique) colConstraints.unique = true;
+    if (colDef.notNull) colConstraints.notNull = true;
+    if (colDef.default) colConstraints.default = colDef.default;
+    if (colDef.check) colConstraints.check = colDef.check;
+    if (Object.keys(colConstraints).length > 0) {
+      constraints[colDef.name] = colConstraints;
+    }
+    if (colDef.references) {
+      constraints.foreignKeys = [
+        ...(constraints.foreignKeys || []),
+        { columns: [colDef.name], ...colDef.references },
+      ];
+    }
+
+    if (colDef.default) {
+      if (columnsOf(colDef.default.expr).length > 0) {
+        throw new SchemaError(
+          `DEFAULT for column ${colDef.name} cannot reference columns`
+        );
+      }
+      if (containsSubquery(colDef.default.expr)) {
+        throw new SchemaError(
+          `DEFAULT for column ${colDef.name} cannot use a subquery`
+        );
+      }
+      this._defaultValue(table, colDef.name);
+    }
   }
 
-  _describe(sql) {
-    const match = sql.match(/DESCRIBE (\w+)/i);
-    if (!match) throw new Error("Invalid DESCRIBE syntax");
+  _insert(statement) {
+    const tableName = statement.table;
+    const table = this._getTable(tableName);
 
-    const tableName = match[1];
-    const table = this.tables[tableName];
-    if (!table) throw new Error(`Table ${tableName} doesn't exist`);
+    const columnNames = statement.columns || Object.keys(table.columns);
+    columnNames.forEach((col, i) => {
+      if (!(col in table.columns)) {
+        throw new NotFoundError(`Unknown column: ${col}`, "NO_SUCH_COLUMN");
+      }
+      if (columnNames.indexOf(col) !== i) {
+        throw new QueryError(`Column ${col} specified more than once`);
+      }
+    });
+    const returning = this._returningList(tableName, table, statement);
 
-    const columns = Object.entries(table.columns).map(([name, type]) => ({
-      Field: name,
-      Type: type,
-      Key: name === table.constraints.primaryKey ? "PRI" : "",
-    }));
+    const valueRows = statement.select
+      ? this._select(statement.select).rows.map((row) =>
+          Object.values(row).map((value) => ({ type: "literal", value }))
+        )
+      : statement.rows;
 
-    return { data: columns, count: columns.length };
-  }
-
-  _parseValues(valuesStr) {
-    const values = [];
-    let current = "";
-    let inQuotes = false;
-    let quoteChar = "";
-
-    for (let char of valuesStr) {
-      if ((char === "'" || char === '"') && !inQuotes) {
-        inQuotes = true;
-        quoteChar = char;
-        current += char;
-      } else if (char === quoteChar && inQuotes) {
-        inQuotes = false;
-        current += char;
-        values.push(current);
-        current = "";
-      } else if (char === "," && !inQuotes) {
-        if (current.trim()) {
-          values.push(this._parseValue(current.trim()));
-        }
-        current = "";
-      } else {
-        current += char;
+    // All rows are built and checked before any is stored, so a multi-row
+    // insert either succeeds completely or leaves the table unchanged.
+    const newRows = valueRows.map((values) => {
+      if (values.length !== columnNames.length) {
+        throw new QueryError(
+          `Expected ${columnNames.length} values, got ${values.length}`
+        );
       }
-    }
 
-    if (current.trim()) {
-      values.push(this._parseValue(current.trim()));
+      const row = {};
+      Object.keys(table.columns).forEach((col) => {
+        const i = columnNames.indexOf(col);
+        const expr = i === -1 ? { type: "default" } : values[i];
+        row[col] =
+          expr.type === "default"
+            ? this._defaultValue(table, col)
+            : coerceValue(
+                this._evaluate(this._bind(expr, []), {}),
+                table.columns[col],
+                col
+              );
+      });
+
+      const sequenceCol = sequenceColumn(table);
+      if (sequenceCol && row[sequenceCol] === null) {
+        row[sequenceCol] = this._advanceSequence(table, table.sequence + 1);
+      }
+      const inserted = this._fireTriggers(tableName, "BEFORE", null, row);
+      this._trackSequence(table, inserted);
+      this._validateRow(table, inserted);
+      return inserted;
+    });
+    this._checkUnique(table, newRows);
+
+    newRows.forEach((row) => this._insertRow(tableName, table, row));
+    newRows.forEach((row) => this._checkReferences(tableName, table, row));
+    newRows.forEach((row) => this._fireTriggers(tableName, "AFTER", null, row));
+    return this._returning(
+      {
+        message: `${newRows.length} row(s) inserted`,
+        rowsAffected: newRows.length,
+      },
+      returning,
+      newRows
+    );
+  }
+
+  // An AUTOINCREMENT column takes the next number of the table's sequence
+  // when no value is given. A larger value given explicitly moves the
+  // sequence past it, so generated values never collide with it.
+  _trackSequence(table, row) {
+    const col = sequenceColumn(table);
+    if (col && row[col] !== null && row[col] > table.sequence) {
+      this._advanceSequence(table, row[col]);
     }
+  }
 
-    return values;
+  _advanceSequence(table, value) {
+    const previous = table.sequence;
+    table.sequence = value;
+    this._logUndo(() => {
+      table.sequence = previous;
+    });
+    return value;
   }
 
-  _parseValue(str) {
-    if (str.startsWith("'") && str.endsWith("'")) {
-      return str.slice(1, -1);
+  // RETURNING is bound before the statement changes anything, so a bad
+  // column fails it up front.
+  _returningList(tableName, table, statement) {
+    if (!statement.returning) return null;
+    const scope = this._tableScope(tableName, table);
+    const selectList = this._expandSelectList(statement.returning, scope);
+    if (selectList.some((item) => containsAggregate(item.expr))) {
+      throw new QueryError("Aggregate functions are not allowed in RETURNING");
     }
-    if (str.startsWith('"') && str.endsWith('"')) {
-      return str.slice(1, -1);
+    return selectList;
+  }
+
+  _returning(result, selectList, rows) {
+    if (!selectList) return result;
+    return {
+      ...result,
+      rows: rows.map((row) => {
+        const output = {};
+        selectList.forEach((item) => {
+          output[item.name] = this._evaluate(item.expr, row);
+        });
+        return output;
+      }),
+      columns: resultColumns(selectList),
+    };
+  }
+
+  _select(statement) {
+    return this._runSelect(this._planSelect(statement));
+  }
+
+  // Works out how a SELECT will run: the FROM plan with the WHERE conjuncts
+  // it could take, the residual filter, and the steps applied afterwards.
+  _planSelect(statement, context = EMPTY_CONTEXT) {
+    if (statement.with) context = this._withContext(statement.with, context);
+    const sources = this._fromSources(statement.from, context);
+
+    let conjuncts = [];
+    if (statement.where) {
+      const where = this._bind(statement.where, sources, context);
+      if (containsAggregate(where)) {
+        throw new QueryError("Aggregate functions are not allowed in WHERE");
+      }
+      conjuncts = conjunctsOf(where).map((expr) => ({
+        expr,
+        aliases: aliasesOf(expr),
+        placed: false,
+      }));
     }
-    if (str.toLowerCase() === "null") {
-      return null;
+
+    const plan = this._planFrom(statement.from, conjuncts, false, context);
+    const residual = combineConjuncts(
+      conjuncts.filter((c) => !c.placed).map((c) => c.expr)
+    );
+
+    const selectList = this._expandSelectList(
+      statement.columns,
+      sources,
+      context
+    );
+    const orderBy = this._bindOrderBy(statement, selectList, sources, context);
+    const groupBy = statement.groupBy.map((expr) => {
+      const bound = this._bind(expr, sources, context);
+      if (containsAggregate(bound)) {
+        throw new QueryError("Aggregate functions are not allowed in GROUP BY");
+      }
+      return bound;
+    });
+    const having =
+      statement.having && this._bind(statement.having, sources, context);
+    const grouped =
+      statement.groupBy.length > 0 ||
+      statement.having !== null ||
+      selectList.some((item) => containsAggregate(item.expr)) ||
+      orderBy.some((term) => term.expr && containsAggregate(term.expr));
+
+    return {
+      statement,
+      sources,
+      plan,
+      residual,
+      selectList,
+      orderBy,
+      groupBy,
+      having,
+      grouped,
+      offset: statement.offset
+        ? this._evaluateCount(statement.offset, "OFFSET")
+        : 0,
+      limit: statement.limit
+        ? this._evaluateCount(statement.limit, "LIMIT")
+        : Infinity,
+      actual: null,
+    };
+  }
+
+  // Adds the queries of a WITH clause to the context. Each one sees those
+  // defined before it; a recursive one also sees itself after UNION.
+  _withContext({ ctes }, context) {
+    return ctes.reduce((inner, cte, i) => {
+      if (ctes.findIndex((other) => other.name === cte.name) !== i) {
+        throw new QueryError(
+          `WITH query ${cte.name} is defined more than once`
+        );
+      }
+      return {
+        ...inner,
+        ctes: { ...inner.ctes, [cte.name]: { cte, context: inner } },
+      };
+    }, context);
+  }
+
+  // Runs a planned SELECT. When `query.actual` is set (EXPLAIN ANALYZE), each
+  // step records the rows it produced and the time elapsed when it finished.
+  _runSelect(query) {
+    const { statement, residual } = query;
+    let { selectList, orderBy } = query;
+    const started = performance.now();
+    const finish = (step, rows) => {
+      const actual = query.actual && query.actual[step];
+      if (actual) {
+        actual.rows = rows.length;
+        actual.loops = 1;
+        actual.time = performance.now() - started;
+      }
+      return rows;
+    };
+
+    let rows = this._runPlan(query.plan);
+
+    if (residual) {
+      rows = finish(
+        "filter",
+        rows.filter((row) => this._evaluateWhere(row, residual))
+      );
     }
-    if (str.toLowerCase() === "true") {
-      return true;
+
+    if (query.grouped) {
+      ({ rows, selectList, orderBy } = this._group(
+        rows,
+        query,
+        selectList,
+        orderBy
+      ));
+      finish("aggregate", rows);
     }
-    if (str.toLowerCase() === "false") {
-      return false;
+
+    let entries = rows.map((row) => {
+      const selected = {};
+      selectList.forEach((item) => {
+        selected[item.name] = this._evaluate(item.expr, row);
+      });
+      return { row, selected };
+    });
+
+    if (statement.distinct) {
+      const seen = new Set();
+      entries = entries.filter(({ selected }) => {
+        const key = JSON.stringify(Object.values(selected));
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      finish("distinct", entries);
     }
-    if (!isNaN(Number(str))) {
-      return Number(str);
+
+    if (orderBy.length > 0) {
+      entries = finish("sort", this._sortEntries(entries, orderBy));
     }
-    return str;
+
+    const { offset, limit } = query;
+    const result = entries
+      .slice(offset, offset + limit)
+      .map((entry) => entry.selected);
+    if (statement.limit || statement.offset) finish("limit", result);
+
+    return { rows: result, columns: resultColumns(selectList) };
   }
 
-  _update(sql) {
-    const match = sql.match(/UPDATE (\w+) SET (.+)(?: WHERE (.+))?/i);
-    if (!match) throw new Error("Invalid UPDATE syntax");
+  // ORDER BY terms may name an output column (by alias or position) or be
+  // any expression over the FROM sources.
+  _bindOrderBy(statement, selectList, sources, context) {
+    return statement.orderBy.map((term) => {
+      const { expr } = term;
+      let output = null;
 
-    const tableName = match[1];
-    const setClause = match[2];
-    const whereClause = match[3];
+      if (expr.type === "literal" && typeof expr.value === "number") {
+        const item = selectList[expr.value - 1];
+        if (!Number.isInteger(expr.value) || !item) {
+          throw new QueryError(
+            `ORDER BY position ${expr.value} is out of range`
+          );
+        }
+        output = item.name;
+      } else if (expr.type === "column" && !expr.table) {
+        const item = selectList.find((item) => item.name === expr.name);
+        if (item) output = item.name;
+      }
 
-    const table = this.tables[tableName];
-    if (!table) throw new Error(`Table ${tableName} doesn't exist`);
+      let bound = null;
+      if (!output) {
+        bound = this._bind(expr, sources, context);
+        if (statement.distinct) {
+          const item = selectList.find((item) =>
+            sameExpression(item.expr, bound)
+          );
+          if (!item) {
+            throw new QueryError(
+              "ORDER BY expressions must appear in the select list with DISTINCT"
+            );
+          }
+          output = item.name;
+          bound = null;
+        }
+      }
 
-    const updates = {};
-    setClause.split(",").forEach((pair) => {
-      const [col, val] = pair.split("=").map((s) => s.trim());
-      updates[col] = this._parseValue(val);
+      return { ...term, output, expr: bound };
     });
+  }
+
+  // NULLs sort before other values in ascending order and after them in
+  // descending order unless NULLS FIRST or NULLS LAST says otherwise.
+  _sortEntries(entries, orderBy) {
+    const keyed = entries.map((entry) => ({
+      entry,
+      keys: orderBy.map((term) =>
+        term.output !== null
+          ? entry.selected[term.output]
+          : this._evaluate(term.expr, entry.row)
+      ),
+    }));
 
-    let affected = 0;
-    table.rows.forEach((row) => {
-      if (!whereClause || this._evaluateWhere(row, whereClause)) {
-        Object.assign(row, updates);
-        affected++;
+    keyed.sort((a, b) => {
+      for (let i = 0; i < orderBy.length; i++) {
+        const term = orderBy[i];
+        const left = a.keys[i];
+        const right = b.keys[i];
+        const nullsFirst = term.nulls
+          ? term.nulls === "FIRST"
+          : term.direction === "ASC";
+
+        if (isNull(left) || isNull(right)) {
+          if (isNull(left) && isNull(right)) continue;
+          return isNull(left) === nullsFirst ? -1 : 1;
+        }
+
+        const order = compareValues(left, right);
+        if (order !== 0) return term.direction === "DESC" ? -order : order;
       }
+      return 0;
     });
 
-    return { message: `${affected} row(s) updated` };
+    return keyed.map(({ entry }) => entry);
+  }
+
+  _evaluateCount(expr, clause) {
+    const value = this._evaluate(expr, {});
+    if (!Number.isInteger(value) || value < 0) {
+      throw new QueryError(`${clause} must be a non-negative integer`);
+    }
+    return value;
   }
 
-  _delete(sql) {
-    const match = sql.match(/DELETE FROM (\w+)(?: WHERE (.+))?/i);
-    if (!match) throw new Error("Invalid DELETE syntax");
+  // Lists the aliases visible in a FROM clause and their columns. Rows
+  // produced by a query plan are flat objects keyed by "alias.column", so
+  // columns with the same name in different tables stay apart.
+  _fromSources(from, context = EMPTY_CONTEXT) {
+    if (!from) return [];
+    if (from.type === "table" || from.type === "derived") {
+      const alias = from.alias || from.name;
+      const derived = this._derivedPlan(from, context);
+      if (derived) return [derivedSource(alias, derived)];
 
-    const tableName = match[1];
-    const whereClause = match[2];
+      const table = this._getTable(from.name);
+      return [
+        {
+          alias,
+          columns: Object.keys(table.columns),
+          types: table.columns,
+          qualified: true,
+        },
+      ];
+    }
 
-    const table = this.tables[tableName];
-    if (!table) throw new Error(`Table ${tableName} doesn't exist`);
+    const left = this._fromSources(from.left, context);
+    const right = this._fromSources(from.right, context);
+    right.forEach(({ alias }) => {
+      if (left.some((source) => source.alias === alias)) {
+        throw new QueryError(`Table alias ${alias} is used more than once`);
+      }
+    });
+    return [...left, ...right];
+  }
 
-    const initialCount = table.rows.length;
+  // Builds the plan for a FROM clause. WHERE conjuncts that involve a single
+  // table are placed on that table's scan, where they can pick an index,
+  // unless an outer join may null-extend the table.
+  _planFrom(from, conjuncts, nullable = false, context = EMPTY_CONTEXT) {
+    // A SELECT without FROM runs over one row with no columns.
+    if (!from) return { type: "result", sources: [] };
 
-    if (whereClause) {
-      table.rows = table.rows.filter(
-        (row) => !this._evaluateWhere(row, whereClause)
+    // A RIGHT JOIN is run as the mirrored LEFT JOIN. Plan rows are keyed by
+    // alias, so swapping the sides does not change the result.
+    if (from.type === "join" && from.kind === "RIGHT") {
+      return this._planFrom(
+        { ...from, kind: "LEFT", left: from.right, right: from.left },
+        conjuncts,
+        nullable,
+        context
       );
-    } else {
-      table.rows = [];
     }
 
-    const deleted = initialCount - table.rows.length;
-    return { message: `${deleted} row(s) deleted` };
-  }
+    if (from.type === "table" || from.type === "derived") {
+      const alias = from.alias || from.name;
+      const placed = nullable
+        ? []
+        : conjuncts.filter(
+            (c) => !c.placed && c.aliases.every((a) => a === alias)
+          );
+      placed.forEach((c) => {
+        c.placed = true;
+      });
+
+      const exprs = placed.map((c) => c.expr);
+      // Subqueries, WITH queries and views run as their own query, and the
+      // conjuncts filter the rows that query returns.
+      const derived = this._derivedPlan(from, context);
+      if (derived) {
+        return {
+          ...derived,
+          alias,
+          sources: [derivedSource(alias, derived)],
+          filter: combineConjuncts(exprs),
+        };
+      }
 
-  _dropTable(sql) {
-    const match = sql.match(/DROP TABLE (\w+)/i);
-    if (!match) throw new Error("Invalid DROP TABLE syntax");
+      const table = this._getTable(from.name);
+      const access = this._chooseAccess(table, alias, exprs, []);
+      return {
+        type: "scan",
+        table: from.name,
+        alias,
+        sources: this._fromSources(from, context),
+        access,
+        filter: combineConjuncts(
+          exprs.filter((expr) => !access.used.includes(expr))
+        ),
+      };
+    }
 
-    const tableName = match[1];
+    const left = this._planFrom(from.left, conjuncts, nullable, context);
+    const right = this._planFrom(
+      from.right,
+      conjuncts,
+      nullable || from.kind === "LEFT",
+      context
+    );
+    const sources = [...left.sources, ...right.sources];
+    let on = from.on ? this._bind(from.on, sources, context) : null;
+    let strategy = "nested loop";
 
-    if (!this.tables[tableName]) {
-      throw new Error(`Table ${tableName} doesn't exist`);
+    // An ON equality between an indexed column of the inner table and the
+    // outer row turns the inner scan into one index lookup per outer row.
+    if (on && right.type === "scan" && right.access.kind === "full") {
+      const onConjuncts = conjunctsOf(on);
+      const access = this._chooseAccess(
+        this._getTable(right.table),
+        right.alias,
+        onConjuncts,
+        left.sources.map((source) => source.alias)
+      );
+      if (access.kind === "index") {
+        right.access = access;
+        strategy = "index nested loop";
+        on = combineConjuncts(
+          onConjuncts.filter((expr) => !access.used.includes(expr))
+        );
+      }
     }
 
-    delete this.tables[tableName];
-    return { message: `Table ${tableName} dropped` };
+    return {
+      type: "join",
+      kind: from.kind,
+      strategy,
+      left,
+      right,
+      on,
+      sources,
+    };
   }
 
-  _evaluateWhere(row, condition) {
-    const operators = [">=", "<=", "!=", "<>", "=", "<", ">"];
-
-    for (const op of operators) {
-      if (condition.includes(op)) {
-        const [left, right] = condition.split(op).map((s) => s.trim());
-        const leftVal = row[left];
-        const rightVal = this._parseValue(right);
-
-        switch (op) {
-          case "=":
-            return leftVal == rightVal;
-          case "!=":
-          case "<>":
-            return leftVal != rightVal;
-          case "<":
-            return leftVal < rightVal;
-          case ">":
-            return leftVal > rightVal;
-          case "<=":
-            return leftVal <= rightVal;
-          case ">=":
-            return leftVal >= rightVal;
+  // Plans a FROM item that runs as its own query: a subquery, a WITH query
+  // or a view. Returns null for a table.
+  _derivedPlan(from, context) {
+    if (from.type === "derived") {
+      const query = this._planSelect(from.select, context);
+      return derivedNode("subquery", null, query);
+    }
+    const entry = context.ctes[from.name];
+    if (entry) return this._cteNode(from.name, entry, context);
+    const view = this.views[from.name];
+    if (!view) return null;
+    return derivedNode("view", from.name, this._planSelect(view.select));
+  }
+
+  // A WITH query is planned where it was defined, so it only sees what was
+  // in scope there. Read from a subquery nested deeper than that, it may
+  // depend on outer rows the subqueries in between cannot see, so those
+  // are treated as correlated.
+  _cteNode(name, entry, context) {
+    context.outer.slice(entry.context.outer.length).forEach((scope) => {
+      scope.correlated = true;
+    });
+    if (entry.working) {
+      const { working, columns, types } = entry;
+      const kind = "working";
+      return { type: "derived", kind, name, working, columns, types };
+    }
+
+    const { cte } = entry;
+    const anchor = this._planSelect(cte.select, entry.context);
+    const node = derivedNode(
+      cte.step ? "recursive" : "cte",
+      name,
+      anchor,
+      cte.columns
+    );
+    if (!cte.step) return node;
+
+    // The second half reads the rows the previous step added through the
+    // working table.
+    const working = { rows: [] };
+    const stepContext = {
+      ...entry.context,
+      ctes: {
+        ...entry.context.ctes,
+        [name]: { ...node, working, context: entry.context },
+      },
+    };
+    const step = this._planSelect(cte.step, stepContext);
+    if (step.selectList.length !== node.columns.length) {
+      throw new QueryError(
+        `Both halves of WITH RECURSIVE ${name} must return ${node.columns.length} column(s)`
+      );
+    }
+    return { ...node, step, working, unionAll: cte.unionAll };
+  }
+
+  // Picks how to read a table given the conjuncts that filter it: an index
+  // lookup when some index is fully matched by equalities (unique indexes
+  // first), an index range scan for bounds on an indexed column, or a full
+  // scan. Values compared against may only use columns of `outerAliases`,
+  // and a column of another type is not looked up in an index.
+  _chooseAccess(table, alias, conjuncts, outerAliases) {
+    const isOwnColumn = (node) =>
+      node.type === "column" && node.source === alias;
+    const isValue = (expr, column) =>
+      !containsAggregate(expr) &&
+      !containsSubquery(expr) &&
+      aliasesOf(expr).every((a) => outerAliases.includes(a)) &&
+      (expr.type !== "column" ||
+        sameStorage(table.columns[column.name], expr.dataType));
+
+    const equalities = {};
+    const ranges = {};
+    const rangeOf = (column) =>
+      (ranges[column] = ranges[column] || { used: [] });
+
+    conjuncts.forEach((expr) => {
+      if (expr.type === "binary" && expr.op !== "!=") {
+        let { op, left, right } = expr;
+        if (!isOwnColumn(left) && isOwnColumn(right)) {
+          [left, right] = [right, left];
+          op = FLIPPED_OPERATORS[op];
+        }
+        if (!isOwnColumn(left) || !isValue(right, left)) return;
+
+        if (op === "=") {
+          if (!equalities[left.name]) {
+            equalities[left.name] = { values: [right], expr };
+          }
+          return;
         }
+        const range = rangeOf(left.name);
+        if (op[0] === ">" && range.low === undefined) {
+          range.low = right;
+          range.lowInclusive = op === ">=";
+          range.used.push(expr);
+        } else if (op[0] === "<" && range.high === undefined) {
+          range.high = right;
+          range.highInclusive = op === "<=";
+          range.used.push(expr);
+        }
+      } else if (
+        expr.type === "in" &&
+        !expr.negated &&
+        isOwnColumn(expr.expr) &&
+        expr.values &&
+        expr.values.every((value) => isValue(value, expr.expr))
+      ) {
+        if (!equalities[expr.expr.name]) {
+          equalities[expr.expr.name] = { values: expr.values, expr };
+        }
+      } else if (
+        expr.type === "between" &&
+        !expr.negated &&
+        isOwnColumn(expr.expr) &&
+        isValue(expr.low, expr.expr) &&
+        isValue(expr.high, expr.expr) &&
+        !ranges[expr.expr.name]
+      ) {
+        ranges[expr.expr.name] = {
+          low: expr.low,
+          high: expr.high,
+          lowInclusive: true,
+          highInclusive: true,
+          used: [expr],
+        };
       }
-    }
+    });
 
-    return false;
+    let best = { kind: "full", used: [] };
+    let bestScore = 0;
+
+    Object.values(table.indexes).forEach((index) => {
+      const matches = index.columns.map((col) => equalities[col]);
+      if (matches.every(Boolean)) {
+        const single = matches.every((match) => match.values.length === 1);
+        if (!single && index.columns.length > 1) return;
+        const score = index.unique && single ? 3 : 2;
+        if (score > bestScore) {
+          bestScore = score;
+          best = {
+            kind: "index",
+            index: index.name,
+            keys: single
+              ? [matches.map((match) => match.values[0])]
+              : matches[0].values.map((value) => [value]),
+            range: null,
+            used: matches.map((match) => match.expr),
+          };
+        }
+        return;
+      }
+
+      const range = index.columns.length === 1 && ranges[index.columns[0]];
+      if (range && bestScore < 1) {
+        bestScore = 1;
+        const { used, ...bounds } = range;
+        best = {
+          kind: "index",
+          index: index.name,
+          keys: null,
+          range: bounds,
+          used,
+        };
+      }
+    });
+
+    return best;
   }
 
-  toJSON() {
-    return this.tables;
+  // Reads the base rows an access path selects. Lookup values are converted
+  // to the column type first, as `_comparedValue` does for a scan.
+  _accessRows(table, access, outerRow = {}) {
+    if (access.kind === "full") return table.rows;
+
+    const index = this._builtIndex(table, access.index);
+    const valueFor = (expr, column) =>
+      asColumnType(
+        this._evaluate(expr, outerRow),
+        table.columns[column],
+        column
+      );
+
+    if (access.keys) {
+      const rows = new Set();
+      access.keys.forEach((key) => {
+        const values = key.map((expr, i) => valueFor(expr, index.columns[i]));
+        index.lookup(values).forEach((row) => rows.add(row));
+      });
+      return [...rows];
+    }
+
+    const column = index.columns[0];
+    const { low, high, lowInclusive, highInclusive } = access.range;
+    const bounds = { lowInclusive, highInclusive };
+    if (low) {
+      bounds.low = valueFor(low, column);
+      if (bounds.low === null) return [];
+    }
+    if (high) {
+      bounds.high = valueFor(high, column);
+      if (bounds.high === null) return [];
+    }
+    return index.range(bounds);
   }
 
+  _runPlan(node, outerRow = {}) {
+    if (!node.actual) return this._runPlanNode(node, outerRow);
+
+    const started = performance.now();
+    const rows = this._runPlanNode(node, outerRow);
+    node.actual.time += performance.now() - started;
+    node.actual.rows += rows.length;
+    node.actual.loops++;
+    return rows;
+  }
+
+  _runPlanNode(node, outerRow) {
+    if (node.type === "result") return [{}];
+    if (node.type === "scan" || node.type === "derived") {
+      const rows =
+        node.type === "scan"
+          ? this._scanRows(node, outerRow)
+          : this._derivedRows(node);
+      return node.filter
+        ? rows.filter((row) => this._evaluateWhere(row, node.filter))
+        : rows;
+    }
+
+    const indexed = node.strategy === "index nested loop";
+    const leftRows = this._runPlan(node.left, outerRow);
+    const rightRows = indexed ? null : this._runPlan(node.right, outerRow);
+    const nullRight = nullRow(node.right.sources);
+    const rows = [];
+
+    leftRows.forEach((leftRow) => {
+      const candidates = indexed
+        ? this._runPlan(node.right, { ...outerRow, ...leftRow })
+        : rightRows;
+      let matched = false;
+      candidates.forEach((rightRow) => {
+        const row = { ...leftRow, ...rightRow };
+        if (node.on && !this._evaluateWhere(row, node.on)) return;
+        matched = true;
+        rows.push(row);
+      });
+      if (!matched && node.kind === "LEFT") {
+        rows.push({ ...leftRow, ...nullRight });
+      }
+    });
+
+    return rows;
+  }
+
+  _scanRows(node, outerRow) {
+    const table = this._getTable(node.table);
+    const columns = Object.keys(table.columns);
+    return this._accessRows(table, node.access, outerRow).map((row) =>
+      qualifyRow(node.alias, columns, row)
+    );
+  }
+
+  _derivedRows(node) {
+    let rows;
+    if (node.kind === "working") rows = node.working.rows;
+    else if (node.kind === "recursive") rows = this._recursiveRows(node);
+    else rows = this._queryRows(node.query, node.columns);
+    return rows.map((row) => qualifyRow(node.alias, node.columns, row));
+  }
+
+  // Runs a query and names its values by position, since a WITH query may
+  // rename the columns of its SELECT.
+  _queryRows(query, columns) {
+    const result = this._runSelect(query);
+    return result.rows.map((row) => {
+      const named = {};
+      columns.forEach((column, i) => {
+        named[column] = row[result.columns[i].name];
+      });
+      return named;
+    });
+  }
+
+  // The anchor gives the first rows; the step then runs on the rows added
+  // last until it adds none. UNION drops rows already produced, which also
+  // ends a walk around a cycle.
+  _recursiveRows(node) {
+    const seen = new Set();
+    const fresh = (rows) =>
+      node.unionAll
+        ? rows
+        : rows.filter((row) => {
+            const key = JSON.stringify(Object.values(row));
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+
+    let added = fresh(this._queryRows(node.query, node.columns));
+    const rows = [...added];
+    for (let steps = 0; added.length > 0; steps++) {
+      if (steps === RECURSION_LIMIT) {
+        throw new QueryError(
+          `WITH RECURSIVE ${node.name} did not finish within ${RECURSION_LIMIT} steps`
+        );
+      }
+      node.working.rows = added;
+      added = fresh(this._queryRows(node.step, node.columns));
+      rows.push(...added);
+    }
+    return rows;
+  }
+
+  // EXPLAIN lists the plan one step per row, outermost first. Each row names
+  // its parent, and the operation is indented to show the tree. EXPLAIN
+  // ANALYZE also runs the query and adds the rows each step produced and the
+  // milliseconds spent up to the end of that step.
+  _explain(statement) {
+    const query = this._planSelect(statement.statement);
+    const select = query.statement;
+
+    // Steps are estimated from the innermost one out.
+    let estimate = this._estimatePlan(query.plan);
+    const steps = [];
+    const addStep = (name, operation, rows, details = {}) => {
+      estimate = Math.ceil(rows);
+      steps.unshift({ name, operation, estimate, ...details });
+    };
+
+    if (query.residual) {
+      addStep("filter", "Filter", estimate * selectivity(query.residual), {
+        filter: formatExpression(query.residual),
+      });
+    }
+    if (query.grouped) {
+      let groups = select.groupBy.length > 0 ? estimate / 10 : 1;
+      if (select.having) groups *= selectivity(select.having);
+      addStep("aggregate", "Aggregate", groups, {
+        condition:
+          select.groupBy.length > 0
+            ? `GROUP BY ${select.groupBy.map(formatExpression).join(", ")}`
+            : null,
+        filter: select.having && formatExpression(select.having),
+      });
+    }
+    if (select.distinct) addStep("distinct", "Distinct", estimate);
+    if (query.orderBy.length > 0) {
+      addStep("sort", "Sort", estimate, {
+        condition: select.orderBy.map(formatOrderTerm).join(", "),
+      });
+    }
+    if (select.limit || select.offset) {
+      const parts = [];
+      if (select.limit) parts.push(`LIMIT ${query.limit}`);
+      if (select.offset) parts.push(`OFFSET ${query.offset}`);
+      addStep(
+        "limit",
+        "Limit",
+        Math.max(0, Math.min(estimate - query.offset, query.limit)),
+        { condition: parts.join(" ") }
+      );
+    }
+
+    if (statement.analyze) {
+      const track = () => ({ rows: 0, loops: 0, time: 0 });
+      query.actual = {};
+      steps.forEach((step) => {
+        step.actual = query.actual[step.name] = track();
+      });
+      const trackPlan = (node) => {
+        node.actual = track();
+        if (node.type === "join") {
+          trackPlan(node.left);
+          trackPlan(node.right);
+        }
+      };
+      trackPlan(query.plan);
+      this._runSelect(query);
+    }
+
+    const data = [];
+    const emit = (step, parent, depth) => {
+      const row = {
+        id: data.length + 1,
+        parent,
+        operation: `${"  ".repeat(depth)}${depth > 0 ? "-> " : ""}${
+          step.operation
+        }`,
+        table: step.table || null,
+        index: step.index || null,
+        condition: step.condition || null,
+        filter: step.filter || null,
+        estimated_rows: step.estimate,
+      };
+      if (statement.analyze) {
+        row.actual_rows = step.actual.rows;
+        row.loops = step.actual.loops;
+        row.time_ms = Number(step.actual.time.toFixed(3));
+      }
+      data.push(row);
+      return row.id;
+    };
+
+    let parent = null;
+    steps.forEach((step, depth) => {
+      parent = emit(step, parent, depth);
+    });
+    const emitPlan = (node, parent, depth) => {
+      const id = emit(describePlanNode(node), parent, depth);
+      if (node.type === "join") {
+        emitPlan(node.left, id, depth + 1);
+        emitPlan(node.right, id, depth + 1);
+      }
+    };
+    emitPlan(query.plan, parent, steps.length);
+
+    const columns = Object.keys(data[0]).map((name) => ({
+      name,
+      type: EXPLAIN_COLUMN_TYPES[name],
+    }));
+    return { rows: data, columns };
+  }
+
+  // Estimated rows a plan node produces, summed over the `loops` times it
+  // runs. Index lookups use the number of distinct keys in the index; other
+  // predicates use fixed selectivities.
+  _estimatePlan(node, loops = 1) {
+    if (node.type === "result") {
+      node.estimate = loops;
+      return node.estimate;
+    }
+
+    // A query in FROM is estimated from its own FROM plan, leaving out its
+    // grouping and LIMIT. A recursive query counts only its anchor.
+    if (node.type === "derived") {
+      let rows = node.query ? this._estimatePlan(node.query.plan) : 1;
+      if (node.filter) rows *= selectivity(node.filter);
+
+      node.estimate = Math.ceil(rows * loops);
+      return node.estimate;
+    }
+
+    if (node.type === "scan") {
+      const table = this._getTable(node.table);
+      const total = table.rows.length;
+      let rows = total;
+
+      if (node.access.kind === "index") {
+        const index = this._builtIndex(table, node.access.index);
+        if (node.access.keys) {
+          const perKey = index.unique
+            ? 1
+            : total / Math.max(index.entries.size, 1);
+          rows = Math.min(total, node.access.keys.length * perKey);
+        } else {
+          rows = total * RANGE_SELECTIVITY;
+        }
+      }
+      if (node.filter) rows *= selectivity(node.filter);
+
+      node.estimate = Math.ceil(rows * loops);
+      return node.estimate;
+    }
+
+    const left = this._estimatePlan(node.left, loops);
+    let rows;
+    if (node.strategy === "index nested loop") {
+      rows = this._estimatePlan(node.right, left);
+      if (node.on) rows *= selectivity(node.on);
+    } else {
+      const right = this._estimatePlan(node.right, loops);
+      const perLeft = left / loops;
+      const perRight = right / loops;
+      rows = left * perRight;
+      if (node.on) {
+        // An equality between the two sides matches each row about once.
+        conjunctsOf(node.on).forEach((expr) => {
+          rows *= isJoinEquality(expr)
+            ? 1 / Math.max(perLeft, perRight, 1)
+            : selectivity(expr);
+        });
+      }
+    }
+    if (node.kind === "LEFT") rows = Math.max(rows, left);
+
+    node.estimate = Math.ceil(rows);
+    return node.estimate;
+  }
+
+  _expandSelectList(items, sources, context = EMPTY_CONTEXT) {
+    const selectList = items.flatMap((item) => {
+      if (item.type === "star") {
+        const matching = item.table
+          ? sources.filter((source) => source.alias === item.table)
+          : sources;
+        if (sources.length === 0) {
+          throw new QueryError("SELECT * needs a FROM clause");
+        }
+        if (matching.length === 0) {
+          throw new NotFoundError(
+            `Unknown table: ${item.table}`,
+            "NO_SUCH_TABLE"
+          );
+        }
+        return matching.flatMap((source) =>
+          source.columns.map((name) => ({
+            expr: { type: "column", name, key: sourceKey(source, name) },
+            name,
+            type: source.types[name],
+            source: source.alias,
+          }))
+        );
+      }
+
+      const expr = this._bind(item.expr, sources, context);
+      const type = expressionType(expr, sources);
+      if (item.alias) return [{ expr, name: item.alias, type, source: null }];
+      return expr.type === "column"
+        ? [{ expr, name: expr.name, type, source: expr.source }]
+        : [{ expr, name: item.text, type, source: null }];
+    });
+
+    // Result rows are objects, so every column needs a distinct name. A
+    // column name shared by several tables is qualified with its alias.
+    const counts = countBy(selectList.map((item) => item.name));
+    selectList.forEach((item) => {
+      if (counts[item.name] > 1 && item.source) {
+        item.name = `${item.source}.${item.name}`;
+      }
+    });
+    const seen = {};
+    selectList.forEach((item) => {
+      const base = item.name;
+      seen[base] = (seen[base] || 0) + 1;
+      if (seen[base] > 1) item.name = `${base}_${seen[base]}`;
+    });
+
+    return selectList;
+  }
+
+  // Collapses rows into one row per group. Each aggregate in the select list
+  // and HAVING is computed once per group and stored under a "#n" key, and
+  // the expressions are rewritten to read it like an ordinary column.
+  _group(rows, query, selectList, orderBy) {
+    const { sources, groupBy: groupExprs } = query;
+    const aggregates = [];
+    const extract = (expr) =>
+      mapExpression(expr, (node) => {
+        if (node.type !== "aggregate") return node;
+        aggregates.push(node);
+        return { type: "column", key: `#${aggregates.length - 1}` };
+      });
+
+    const groupedList = selectList.map((item) => ({
+      ...item,
+      expr: extract(item.expr),
+    }));
+    const having = query.having && extract(query.having);
+    const groupedOrder = orderBy.map((term) =>
+      term.expr ? { ...term, expr: extract(term.expr) } : term
+    );
+
+    groupedList.forEach((item) => checkGrouped(item.expr, groupExprs));
+    if (having) checkGrouped(having, groupExprs);
+    groupedOrder.forEach((term) => {
+      if (term.expr) checkGrouped(term.expr, groupExprs);
+    });
+
+    const groups = new Map();
+    rows.forEach((row) => {
+      const key = JSON.stringify(
+        groupExprs.map((expr) => this._evaluate(expr, row))
+      );
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+    if (groupExprs.length === 0 && groups.size === 0) groups.set("[]", []);
+
+    let groupRows = [...groups.values()].map((members) => {
+      const row = { ...(members[0] || nullRow(sources)) };
+      aggregates.forEach((aggregate, i) => {
+        row[`#${i}`] = this._computeAggregate(aggregate, members);
+      });
+      return row;
+    });
+
+    if (having) {
+      groupRows = groupRows.filter((row) => this._evaluateWhere(row, having));
+    }
+
+    return { rows: groupRows, selectList: groupedList, orderBy: groupedOrder };
+  }
+
+  _computeAggregate(aggregate, rows) {
+    if (aggregate.arg === null) return rows.length;
+
+    let values = rows
+      .map((row) => this._evaluate(aggregate.arg, row))
+      .filter((value) => !isNull(value));
+    if (aggregate.distinct) values = [...new Set(values)];
+
+    if (aggregate.name === "COUNT") return values.length;
+    if (values.length === 0) return null;
+
+    switch (aggregate.name) {
+      case "SUM":
+      case "AVG": {
+        const sum = values.reduce((total, value) => {
+          const number = Number(value);
+          if (typeof value === "boolean" || isNaN(number)) {
+            throw new QueryError(`${aggregate.name} requires numeric values`);
+          }
+          return total + number;
+        }, 0);
+        return aggregate.name === "SUM" ? sum : sum / values.length;
+      }
+      case "MIN":
+        return values.reduce((min, value) => (value < min ? value : min));
+      case "MAX":
+        return values.reduce((max, value) => (value > max ? value : max));
+    }
+  }
+
+  _showTables() {
+    return {
+      rows: [
+        ...Object.keys(this.tables).map((name) => ({
+          Table: name,
+          Type: "TABLE",
+        })),
+        ...Object.keys(this.views).map((name) => ({
+          Table: name,
+          Type: "VIEW",
+        })),
+      ],
+      columns: [
+        { name: "Table", type: "TEXT" },
+        { name: "Type", type: "TEXT" },
+      ],
+    };
+  }
+
+  _describe(statement) {
+    const view = this.views[statement.table];
+    if (view) return this._describeView(statement.table, view);
+
+    const table = this._getTable(statement.table);
+    const tableChecks = table.constraints.checks || [];
+
+    const columns = Object.entries(table.columns).map(([name, type]) => {
+      const colConstraints = this._columnConstraints(table, name);
+      const isPrimaryKey = name === table.constraints.primaryKey;
+      const checks = tableChecks.filter((check) =>
+        columnsOf(check.expr).includes(name)
+      );
+      if (colConstraints.check) checks.unshift(colConstraints.check);
+      const references = (table.constraints.foreignKeys || [])
+        .filter((fk) => fk.columns.includes(name))
+        .map(formatForeignKey);
+
+      return {
+        Field: name,
+        Type: type,
+        Null: isPrimaryKey || colConstraints.notNull ? "NO" : "YES",
+        Key: isPrimaryKey
+          ? "PRI"
+          : colConstraints.unique
+          ? "UNI"
+          : Object.values(table.indexes).some(
+              (index) => index.columns[0] === name
+            )
+          ? "MUL"
+          : "",
+        Default: colConstraints.default ? colConstraints.default.text : null,
+        Extra: [
+          ...(colConstraints.autoIncrement ? ["AUTOINCREMENT"] : []),
+          ...checks.map((check) => `CHECK ${check.text}`),
+          ...references,
+        ].join(", "),
+      };
+    });
+
+    return {
+      rows: columns,
+      columns: DESCRIBE_COLUMNS.map((name) => ({ name, type: "TEXT" })),
+    };
+  }
+
+  // A view's columns have no constraints of their own. The message shows
+  // the SELECT that defines it.
+  _describeView(name, view) {
+    const rows = this._viewColumns(view).map((column) => ({
+      Field: column.name,
+      Type: column.type || "",
+      Null: "YES",
+      Key: "",
+      Default: null,
+      Extra: "",
+    }));
+    return {
+      message: `View ${name} AS ${view.sql}`,
+      rows,
+      columns: DESCRIBE_COLUMNS.map((name) => ({ name, type: "TEXT" })),
+    };
+  }
+
+  _update(statement) {
+    const table = this._getTable(statement.table);
+
+    const scope = this._tableScope(statement.table, table);
+    const assignments = statement.assignments.map(({ column, value }) => {
+      if (!(column in table.columns)) {
+        throw new NotFoundError(`Unknown column: ${column}`, "NO_SUCH_COLUMN");
+      }
+      return { column, value: this._bind(value, scope) };
+    });
+    const where = statement.where && this._bind(statement.where, scope);
+    const targets = this._findRows(statement.table, table, where);
+    const returning = this._returningList(statement.table, table, statement);
+
+    // Every new row is built and validated before any of them is written, so
+    // a constraint failure leaves the table untouched.
+    const updatedRows = targets.map((row) => {
+      const updated = { ...row };
+      assignments.forEach(({ column, value }) => {
+        updated[column] = coerceValue(
+          this._evaluate(value, row),
+          table.columns[column],
+          column
+        );
+      });
+      const fired = this._fireTriggers(statement.table, "BEFORE", row, updated);
+      this._validateRow(table, fired);
+      this._trackSequence(table, fired);
+      return fired;
+    });
+    this._writeUpdates(statement.table, table, targets, updatedRows);
+
+    return this._returning(
+      {
+        message: `${targets.length} row(s) updated`,
+        rowsAffected: targets.length,
+      },
+      returning,
+      targets
+    );
+  }
+
+  // Rows referencing a changed key are handled before the updated rows'
+  // own references are checked, so a self-referencing cascade can land.
+  _writeUpdates(tableName, table, targets, updatedRows) {
+    this._checkUnique(table, updatedRows, new Set(targets));
+
+    const previous = targets.map((row) => ({ ...row }));
+    targets.forEach((row, i) => {
+      this._recordChange("update", tableName, previous[i], updatedRows[i]);
+      this._updateRow(table, row, updatedRows[i]);
+    });
+    this._applyReferentialActions(tableName, previous, targets);
+    targets.forEach((row, i) =>
+      this._checkReferences(tableName, table, row, previous[i])
+    );
+    targets.forEach((row, i) =>
+      this._fireTriggers(tableName, "AFTER", previous[i], row)
+    );
+  }
+
+  _delete(statement) {
+    const table = this._getTable(statement.table);
+    const scope = this._tableScope(statement.table, table);
+    const where = statement.where && this._bind(statement.where, scope);
+
+    const targets = this._findRows(statement.table, table, where);
+    const returning = this._returningList(statement.table, table, statement);
+    this._deleteRows(statement.table, table, targets);
+    this._applyReferentialActions(statement.table, targets);
+
+    return this._returning(
+      {
+        message: `${targets.length} row(s) deleted`,
+        rowsAffected: targets.length,
+      },
+      returning,
+      targets
+    );
+  }
+
+  _findRows(tableName, table, where) {
+    if (!where) return table.rows.slice();
+    const access = this._chooseAccess(table, tableName, conjunctsOf(where), []);
+    return this._accessRows(table, access).filter((row) =>
+      this._evaluateWhere(row, where)
+    );
+  }
+
+  _insertRow(tableName, table, row) {
+    this._recordChange("insert", tableName, null, row);
+    table.rows.push(row);
+    Object.values(table.indexes).forEach((index) => {
+      if (index.built) index.add(row);
+    });
+
+    this._logUndo(() => {
+      table.rows.splice(table.rows.lastIndexOf(row), 1);
+      Object.values(table.indexes).forEach((index) => {
+        if (index.built) index.remove(row);
+      });
+    });
+  }
+
+  _updateRow(table, row, values) {
+    const previous = { ...row };
+    this._assignRow(table, row, values);
+    this._logUndo(() => this._assignRow(table, row, previous));
+  }
+
+  _assignRow(table, row, values) {
+    const indexes = Object.values(table.indexes).filter((index) => index.built);
+    const oldKeys = indexes.map((index) => index.keyOf(row));
+
+    Object.assign(row, values);
+
+    indexes.forEach((index, i) => {
+      if (index.keyOf(row) !== oldKeys[i]) {
+        index.remove(row, oldKeys[i]);
+        index.add(row);
+      }
+    });
+  }
+
+  _deleteRows(tableName, table, rows) {
+    rows.forEach((row) => this._fireTriggers(tableName, "BEFORE", row, null));
+    rows.forEach((row) => this._recordChange("delete", tableName, row, null));
+    const doomed = new Set(rows);
+    const previous = table.rows;
+    table.rows = table.rows.filter((row) => !doomed.has(row));
+    Object.values(table.indexes).forEach((index) => {
+      if (index.built) rows.forEach((row) => index.remove(row));
+    });
+
+    this._logUndo(() => {
+      table.rows = previous;
+      Object.values(table.indexes).forEach((index) => {
+        if (index.built) rows.forEach((row) => index.add(row));
+      });
+    });
+    rows.forEach((row) => this._fireTriggers(tableName, "AFTER", row, null));
+  }
+
+  _createIndex(statement) {
+    const table = this._getTable(statement.table);
+
+    statement.columns.forEach((col, i) => {
+      if (!(col in table.columns)) {
+        throw new NotFoundError(`Unknown column: ${col}`, "NO_SUCH_COLUMN");
+      }
+      if (statement.columns.indexOf(col) !== i) {
+        throw new QueryError(`Column ${col} specified more than once`);
+      }
+    });
+
+    this._addIndex(
+      table,
+      new Index({
+        name: statement.name,
+        columns: statement.columns,
+        unique: statement.unique,
+      })
+    );
+
+    return { message: `Index ${statement.name} created` };
+  }
+
+  _dropIndex(statement) {
+    const found = this._findIndex(statement.name);
+    if (!found || (statement.table && found.tableName !== statement.table)) {
+      throw new NotFoundError(
+        `Index ${statement.name} doesn't exist`,
+        "NO_SUCH_INDEX"
+      );
+    }
+    if (found.index.constraint) {
+      throw new SchemaError(
+        `Index ${statement.name} enforces a constraint and cannot be dropped`
+      );
+    }
+    this._referencingKeys(found.tableName).forEach(({ childName, fk }) => {
+      if (!keyIndex(found.table, fk.references, found.index)) {
+        throw new SchemaError(
+          `Index ${statement.name} is used by a foreign key of ${childName} and cannot be dropped`
+        );
+      }
+    });
+
+    delete found.table.indexes[statement.name];
+    this._logUndo(() => {
+      found.table.indexes[statement.name] = found.index;
+    });
+    return { message: `Index ${statement.name} dropped` };
+  }
+
+  _findIndex(name) {
+    for (const [tableName, table] of Object.entries(this.tables)) {
+      if (table.indexes[name]) {
+        return { tableName, table, index: table.indexes[name] };
+      }
+    }
+    return null;
+  }
+
+  _addIndex(table, index) {
+    if (this._findIndex(index.name)) {
+      throw new AlreadyExistsError(
+        `Index ${index.name} already exists`,
+        "INDEX_EXISTS"
+      );
+    }
+
+    index.build(table.rows);
+    if (index.unique) {
+      for (const [key, rows] of index.entries) {
+        if (rows.size > 1) {
+          throw new ConstraintError(
+            `Cannot create unique index ${index.name}: duplicate value ${key}`,
+            "CONSTRAINT_UNIQUE"
+          );
+        }
+      }
+    }
+
+    table.indexes[index.name] = index;
+    this._logUndo(() => {
+      delete table.indexes[index.name];
+    });
+  }
+
+  // Primary key and UNIQUE columns are backed by unique indexes, which both
+  // enforce the constraint and serve lookups.
+  _createConstraintIndexes(tableName, table) {
+    const wanted = [];
+    if (table.constraints.primaryKey) {
+      wanted.push({
+        name: `${tableName}_pkey`,
+        column: table.constraints.primaryKey,
+        constraint: "primaryKey",
+      });
+    }
+    Object.keys(table.columns).forEach((col) => {
+      if (this._columnConstraints(table, col).unique) {
+        wanted.push({
+          name: `${tableName}_${col}_key`,
+          column: col,
+          constraint: "unique",
+        });
+      }
+    });
+
+    wanted.forEach(({ name, column, constraint }) => {
+      const exists = Object.values(table.indexes).some(
+        (index) =>
+          index.constraint === constraint && index.columns[0] === column
+      );
+      if (exists) return;
+      this._addIndex(
+        table,
+        new Index({ name, columns: [column], unique: true, constraint })
+      );
+    });
+  }
+
+  _builtIndex(table, name) {
+    const index = table.indexes[name];
+    if (!index.built) index.build(table.rows);
+    return index;
+  }
+
+  _dropTable(statement) {
+    const tableName = statement.table;
+    const table = this._getTable(tableName);
+    const referencing = this._referencingKeys(tableName).find(
+      ({ childName }) => childName !== tableName
+    );
+    if (referencing) {
+      throw new SchemaError(
+        `Cannot drop table ${tableName}: ${referencing.childName} references it`
+      );
+    }
+    const [view] = this._dependentViews(tableName);
+    if (view) {
+      throw new SchemaError(
+        `Cannot drop table ${tableName}: view ${view} depends on it`
+      );
+    }
+
+    delete this.tables[tableName];
+    this._logUndo(() => {
+      this.tables[tableName] = table;
+    });
+    this._moveGrants(tableName);
+    this._dropTriggers(tableName);
+    return { message: `Table ${tableName} dropped` };
+  }
+
+  // Tables and views share one namespace.
+  _checkNameFree(name) {
+    if (this.tables[name]) {
+      throw new AlreadyExistsError(
+        `Table ${name} already exists`,
+        "TABLE_EXISTS"
+      );
+    }
+    if (this.views[name]) {
+      throw new AlreadyExistsError(
+        `View ${name} already exists`,
+        "VIEW_EXISTS"
+      );
+    }
+  }
+
+  _createView(statement) {
+    const { name, select, sql } = statement;
+    this._checkNameFree(name);
+    // Planning the SELECT checks the tables and columns it names.
+    this._viewColumns({ select });
+
+    this.views[name] = { select, sql };
+    this._logUndo(() => {
+      delete this.views[name];
+    });
+    return { message: `View ${name} created` };
+  }
+
+  _dropView(statement) {
+    const { name } = statement;
+    const view = this.views[name];
+    if (!view) {
+      if (this.tables[name]) {
+        throw new QueryError(`${name} is a table, not a view`);
+      }
+      throw new NotFoundError(`View ${name} doesn't exist`, "NO_SUCH_VIEW");
+    }
+    const [dependent] = this._dependentViews(name);
+    if (dependent) {
+      throw new SchemaError(
+        `Cannot drop view ${name}: view ${dependent} depends on it`
+      );
+    }
+
+    delete this.views[name];
+    this._logUndo(() => {
+      this.views[name] = view;
+    });
+    this._moveGrants(name);
+    return { message: `View ${name} dropped` };
+  }
+
+  // A view's columns are those of its SELECT against the current schema.
+  _viewColumns(view) {
+    return resultColumns(this._planSelect(view.select).selectList);
+  }
+
+  // The views that read a table or view directly, in FROM or a subquery.
+  _dependentViews(name) {
+    return Object.keys(this.views).filter((viewName) =>
+      tablesIn(this.views[viewName].select).includes(name)
+    );
+  }
+
+  // A table change may not break the views built on it, directly or
+  // through other views.
+  _checkDependentViews(name) {
+    this._dependentViews(name).forEach((viewName) => {
+      try {
+        this._viewColumns(this.views[viewName]);
+      } catch (error) {
+        throw new SchemaError(
+          `Cannot alter ${name}: view ${viewName} depends on it (${error.message})`
+        );
+      }
+      this._checkDependentViews(viewName);
+    });
+  }
+
+  // Every change builds the altered table next to the old one and swaps it
+  // in, so a failure partway leaves the old table untouched and rolling
+  // back only has to put it back.
+  _alterTable(statement) {
+    const tableName = statement.table;
+    const table = this._getTable(tableName);
+    const { action } = statement;
+
+    const requireColumn = (col) => {
+      if (!(col in table.columns)) {
+        throw new NotFoundError(`Unknown column: ${col}`, "NO_SUCH_COLUMN");
+      }
+    };
+
+    let altered;
+    switch (action.type) {
+      case "addColumn":
+        altered = this._addColumn(tableName, table, action.column);
+        break;
+      case "dropColumn":
+        requireColumn(action.column);
+        altered = this._dropColumn(tableName, table, action.column);
+        break;
+      case "renameColumn":
+        requireColumn(action.column);
+        altered = this._renameColumn(
+          tableName,
+          table,
+          action.column,
+          action.name
+        );
+        break;
+      case "renameTable":
+        this._checkNameFree(action.name);
+        this._checkTriggers(tableName);
+        altered = renameInTable(table, (node) =>
+          node.table === tableName ? { ...node, table: action.name } : node
+        );
+        altered.name = action.name;
+        renameForeignKeys(altered, (fk) =>
+          fk.table === tableName ? { ...fk, table: action.name } : fk
+        );
+        break;
+      case "alterColumnType":
+        requireColumn(action.column);
+        altered = this._changeColumnType(table, action.column, action.dataType);
+        break;
+      default:
+        throw new SchemaError(`Unknown ALTER TABLE action: ${action.type}`);
+    }
+
+    const name = altered.name || tableName;
+    this._replaceTable(tableName, { ...altered, name });
+    if (action.type === "renameTable" || action.type === "renameColumn") {
+      this._renameReferences(tableName, name, action);
+    }
+    if (action.type === "renameTable") this._moveGrants(tableName, name);
+    this._checkTableReferences(name);
+    this._checkDependentViews(tableName);
+    return { message: `Table ${tableName} altered` };
+  }
+
+  // Points the foreign keys of other tables at the renamed table or column.
+  _renameReferences(tableName, name, action) {
+    const rename = (col) =>
+      action.type === "renameColumn" && col === action.column
+        ? action.name
+        : col;
+
+    Object.entries(this.tables).forEach(([childName, child]) => {
+      const previous = child.constraints.foreignKeys;
+      if (childName === name || !previous) return;
+      if (!previous.some((fk) => fk.table === tableName)) return;
+
+      renameForeignKeys(child, (fk) =>
+        fk.table === tableName
+          ? { ...fk, table: name, references: fk.references.map(rename) }
+          : fk
+      );
+      this._logUndo(() => {
+        child.constraints.foreignKeys = previous;
+      });
+    });
+  }
+
+  // After ALTER TABLE, the table's rows must still point at parent rows and
+  // the rows of tables referencing it must still find theirs.
+  _checkTableReferences(tableName) {
+    const table = this.tables[tableName];
+    table.rows.forEach((row) => this._checkReferences(tableName, table, row));
+    this._referencingKeys(tableName).forEach(({ childName, child, fk }) => {
+      this._resolveForeignKey(childName, child, fk);
+      child.rows.forEach((row) => this._checkReference(childName, fk, row));
+    });
+  }
+
+  // Existing rows are filled in with the column's default, or numbered in
+  // order for an AUTOINCREMENT column.
+  _addColumn(tableName, table, colDef) {
+    if (colDef.name in table.columns) {
+      throw new AlreadyExistsError(
+        `Column ${colDef.name} already exists`,
+        "COLUMN_EXISTS"
+      );
+    }
+
+    const altered = copyTable(table);
+    this._defineColumn(tableName, altered, colDef);
+    altered.rows.forEach((row) => {
+      row[colDef.name] = colDef.autoIncrement
+        ? ++altered.sequence
+        : this._defaultValue(altered, colDef.name);
+    });
+    return altered;
+  }
+
+  _dropColumn(tableName, table, column) {
+    if (column === table.constraints.primaryKey) {
+      throw new SchemaError(`Cannot drop primary key column ${column}`);
+    }
+    (table.constraints.foreignKeys || []).forEach((fk) => {
+      if (fk.columns.includes(column)) {
+        throw new SchemaError(
+          `Cannot drop column ${column}: it is part of a foreign key to ${fk.table}`
+        );
+      }
+    });
+    this._referencingKeys(tableName).forEach(({ childName, fk }) => {
+      if (fk.references.includes(column)) {
+        const key = formatKey(childName, fk.columns);
+        throw new SchemaError(
+          `Cannot drop column ${column}: ${key} references it`
+        );
+      }
+    });
+    if (Object.keys(table.columns).length === 1) {
+      throw new SchemaError(
+        `Cannot drop ${column}, the only column of the table`
+      );
+    }
+    const ownCheck = this._columnConstraints(table, column).check;
+    this._tableChecks(table).forEach((check) => {
+      if (check !== ownCheck && columnsOf(check.expr).includes(column)) {
+        throw new SchemaError(
+          `Cannot drop column ${column}: CHECK ${check.text} uses it`
+        );
+      }
+    });
+
+    const altered = copyTable(table);
+    if (column === sequenceColumn(table)) delete altered.sequence;
+    delete altered.columns[column];
+    delete altered.constraints[column];
+    altered.rows.forEach((row) => {
+      delete row[column];
+    });
+    altered.indexes = altered.indexes.filter(
+      (index) => !index.columns.includes(column)
+    );
+    return altered;
+  }
+
+  _renameColumn(tableName, table, column, name) {
+    if (name in table.columns) {
+      throw new AlreadyExistsError(
+        `Column ${name} already exists`,
+        "COLUMN_EXISTS"
+      );
+    }
+
+    const rename = (col) => (col === column ? name : col);
+    const altered = renameInTable(table, (node) =>
+      node.name === column ? { ...node, name } : node
+    );
+    altered.columns = renameKey(altered.columns, column, name);
+    altered.constraints = renameKey(altered.constraints, column, name);
+    if (altered.constraints.primaryKey === column) {
+      altered.constraints.primaryKey = name;
+    }
+    altered.rows = altered.rows.map((row) => renameKey(row, column, name));
+    altered.indexes.forEach((index) => {
+      index.columns = index.columns.map(rename);
+    });
+    renameForeignKeys(altered, (fk) => ({
+      ...fk,
+      columns: fk.columns.map(rename),
+      references:
+        fk.table === tableName ? fk.references.map(rename) : fk.references,
+    }));
+    return altered;
+  }
+
+  // Converts the stored values the same way INSERT converts new ones; a
+  // value the new type cannot hold fails the whole change.
+  _changeColumnType(table, column, dataType) {
+    const altered = copyTable(table);
+    altered.columns[column] = normalizeType(dataType, column);
+    if (column === sequenceColumn(table) && altered.columns[column] !== "INT") {
+      throw new SchemaError(`AUTOINCREMENT column ${column} must be INT`);
+    }
+    altered.rows.forEach((row) => {
+      row[column] = coerceValue(row[column], altered.columns[column], column);
+    });
+    this._defaultValue(altered, column);
+    return altered;
+  }
+
+  // Puts the altered table in place of the old one, checking every row
+  // against its constraints and rebuilding its indexes. Constraint indexes
+  // are named after the table and column, so they are always created anew.
+  _replaceTable(oldName, altered) {
+    const { name, columns, constraints, sequence, rows, indexes } = altered;
+    const old = this.tables[oldName];
+    delete this.tables[oldName];
+    this._logUndo(() => {
+      this.tables[oldName] = old;
+    });
+
+    const table = { columns, constraints, rows, indexes: {} };
+    if (sequence !== undefined) table.sequence = sequence;
+    const scope = this._tableScope(name, table);
+    this._tableChecks(table).forEach((check) => this._bindCheck(check, scope));
+    rows.forEach((row) => this._validateRow(table, row));
+
+    indexes.forEach((definition) => {
+      this._addIndex(table, new Index(definition));
+    });
+    this._createConstraintIndexes(name, table);
+    this._resolveForeignKeys(name, table);
+
+    this.tables[name] = table;
+    this._logUndo(() => {
+      delete this.tables[name];
+    });
+  }
+
+  // Fills in the referenced columns (the parent's primary key by default) and
+  // checks that they exist, are a key of the parent and match in type.
+  _resolveForeignKeys(tableName, table) {
+    if (!table.constraints.foreignKeys) return;
+    table.constraints.foreignKeys = table.constraints.foreignKeys.map((fk) =>
+      this._resolveForeignKey(tableName, table, fk)
+    );
+  }
+
+  _resolveForeignKey(tableName, table, fk) {
+    const parent = fk.table === tableName ? table : this._getTable(fk.table);
+    const references =
+      fk.references ||
+      (parent.constraints.primaryKey && [parent.constraints.primaryKey]);
+    if (!references) {
+      throw new SchemaError(
+        `Table ${fk.table} has no primary key to reference`
+      );
+    }
+    if (references.length !== fk.columns.length) {
+      const key = formatKey(tableName, fk.columns);
+      const parentKey = formatKey(fk.table, references);
+      throw new SchemaError(`Foreign key ${key} does not match ${parentKey}`);
+    }
+
+    fk.columns.forEach((col, i) => {
+      if (!(col in table.columns)) {
+        throw new NotFoundError(`Unknown column: ${col}`, "NO_SUCH_COLUMN");
+      }
+      const referenced = references[i];
+      if (!(referenced in parent.columns)) {
+        throw new NotFoundError(
+          `Unknown column: ${fk.table}.${referenced}`,
+          "NO_SUCH_COLUMN"
+        );
+      }
+      if (
+        typeFamily(table.columns[col]) !==
+        typeFamily(parent.columns[referenced])
+      ) {
+        throw new SchemaError(
+          `Foreign key column ${col} is ${table.columns[col]} but ${fk.table}.${referenced} is ${parent.columns[referenced]}`
+        );
+      }
+    });
+    if (!keyIndex(parent, references)) {
+      throw new SchemaError(
+        `${fk.table}(${references.join(", ")}) is not a primary key or unique`
+      );
+    }
+
+    return { ...fk, references };
+  }
+
+  // Every foreign key in the database that points at `tableName`.
+  _referencingKeys(tableName) {
+    return Object.entries(this.tables).flatMap(([childName, child]) =>
+      (child.constraints.foreignKeys || [])
+        .filter((fk) => fk.table === tableName)
+        .map((fk) => ({ childName, child, fk }))
+    );
+  }
+
+  // A row must point at an existing parent row unless one of its foreign
+  // key columns is NULL. Given the row as it was, unchanged keys are skipped.
+  _checkReferences(tableName, table, row, previous = null) {
+    (table.constraints.foreignKeys || []).forEach((fk) => {
+      if (previous && fk.columns.every((col) => row[col] === previous[col])) {
+        return;
+      }
+      this._checkReference(tableName, fk, row);
+    });
+  }
+
+  _checkReference(tableName, fk, row) {
+    const values = fk.columns.map((col) => row[col]);
+    if (values.some(isNull)) return;
+    if (this._referencedRows(this.tables[fk.table], fk, values).length === 0) {
+      const key = formatKey(tableName, fk.columns);
+      const parentKey = formatKey(fk.table, fk.references);
+      throw new ConstraintError(
+        `Foreign key ${key} violated: ${parentKey} has no ${values.join(", ")}`,
+        "CONSTRAINT_FOREIGN_KEY"
+      );
+    }
+  }
+
+  _referencedRows(parent, fk, values) {
+    const index = keyIndex(parent, fk.references);
+    const key = index.columns.map((col) => values[fk.references.indexOf(col)]);
+    return this._builtIndex(parent, index.name).lookup(key);
+  }
+
+  // Runs the ON DELETE or ON UPDATE action of every foreign key pointing at
+  // rows of `tableName` that were deleted (no `newRows`) or whose key changed.
+  _applyReferentialActions(tableName, oldRows, newRows = null) {
+    const parent = this.tables[tableName];
+
+    this._referencingKeys(tableName).forEach(({ childName, child, fk }) => {
+      oldRows.forEach((oldRow, i) => {
+        const newRow = newRows && newRows[i];
+        const values = fk.references.map((col) => oldRow[col]);
+        if (values.some(isNull)) return;
+        if (
+          newRow &&
+          fk.references.every((col) => newRow[col] === oldRow[col])
+        ) {
+          return;
+        }
+        if (this._referencedRows(parent, fk, values).length > 0) return;
+
+        const children = child.rows.filter((row) =>
+          fk.columns.every((col, j) => row[col] === values[j])
+        );
+        if (children.length === 0) return;
+
+        const action = newRow ? fk.onUpdate : fk.onDelete;
+        if (action === "RESTRICT" || action === "NO ACTION") {
+          const verb = newRow ? "update" : "delete";
+          const key = formatKey(childName, fk.columns);
+          throw new ConstraintError(
+            `Cannot ${verb} ${tableName} row: ${key} references it`,
+            "CONSTRAINT_FOREIGN_KEY"
+          );
+        }
+        if (action === "CASCADE" && !newRow) {
+          this._deleteRows(childName, child, children);
+          this._applyReferentialActions(childName, children);
+          return;
+        }
+
+        const changes = {};
+        fk.columns.forEach((col, j) => {
+          if (action === "CASCADE") changes[col] = newRow[fk.references[j]];
+          else if (action === "SET NULL") changes[col] = null;
+          else changes[col] = this._defaultValue(child, col);
+        });
+        const updatedRows = children.map((row) => {
+          const updated = { ...row, ...changes };
+          const fired = this._fireTriggers(childName, "BEFORE", row, updated);
+          this._validateRow(child, fired);
+          return fired;
+        });
+        this._writeUpdates(childName, child, children, updatedRows);
+        // The default may be the very key that just went away.
+        if (action === "SET DEFAULT") {
+          children.forEach((row) => this._checkReference(childName, fk, row));
+        }
+      });
+    });
+  }
+
+  _getTable(tableName) {
+    const table = this.tables[tableName];
+    if (!table && this.views[tableName]) {
+      throw new QueryError(`${tableName} is a view, not a table`);
+    }
+    if (!table) {
+      throw new NotFoundError(
+        `Table ${tableName} doesn't exist`,
+        "NO_SUCH_TABLE"
+      );
+    }
+    return table;
+  }
+
+  _columnConstraints(table, column) {
+    return table.constraints[column] || {};
+  }
+
+  _tableChecks(table) {
+    const columnChecks = Object.keys(table.columns)
+      .map((col) => this._columnConstraints(table, col).check)
+      .filter(Boolean);
+    return [...columnChecks, ...(table.constraints.checks || [])];
+  }
+
+  _defaultValue(table, column) {
+    const colDefault = this._columnConstraints(table, column).default;
+    if (!colDefault) return null;
+    return coerceValue(
+      this._evaluate(colDefault.expr, {}),
+      table.columns[column],
+      column
+    );
+  }
+
+  _validateRow(table, row) {
+    Object.keys(table.columns).forEach((col) => {
+      const notNull =
+        col === table.constraints.primaryKey ||
+        this._columnConstraints(table, col).notNull;
+      if (notNull && row[col] === null) {
+        throw new ConstraintError(
+          `Column ${col} cannot be NULL`,
+          "CONSTRAINT_NOT_NULL"
+        );
+      }
+    });
+
+    this._tableChecks(table).forEach((check) => {
+      if (this._evaluate(check.expr, row) === false) {
+        throw new ConstraintError(
+          `CHECK constraint failed: ${check.text}`,
+          "CONSTRAINT_CHECK"
+        );
+      }
+    });
+  }
+
+  // Checks that candidate rows keep every unique index free of duplicates.
+  // Rows in `replaced` are being overwritten by the candidates and are left
+  // out of the comparison.
+  _checkUnique(table, candidates, replaced = new Set()) {
+    Object.values(table.indexes)
+      .filter((index) => index.unique)
+      .forEach((index) => {
+        this._builtIndex(table, index.name);
+        const seen = new Set();
+
+        candidates.forEach((row) => {
+          const key = index.keyOf(row);
+          if (key === undefined) return;
+
+          const values = index.columns.map((col) => row[col]);
+          const taken =
+            seen.has(key) ||
+            index.lookup(values).some((existing) => !replaced.has(existing));
+          if (taken) {
+            const value = values.join(", ");
+            if (index.constraint === "primaryKey") {
+              throw new ConstraintError(
+                `Duplicate primary key: ${value}`,
+                "CONSTRAINT_PRIMARY_KEY"
+              );
+            }
+            if (index.constraint === "unique") {
+              throw new ConstraintError(
+                `Duplicate value for UNIQUE column ${index.columns[0]}: ${value}`,
+                "CONSTRAINT_UNIQUE"
+              );
+            }
+            throw new ConstraintError(
+              `Duplicate value for UNIQUE index ${index.name}: ${value}`,
+              "CONSTRAINT_UNIQUE"
+            );
+          }
+          seen.add(key);
+        });
+      });
+  }
+
+  _tableScope(tableName, table) {
+    return [
+      {
+        alias: tableName,
+        columns: Object.keys(table.columns),
+        types: table.columns,
+        qualified: false,
+      },
+    ];
+  }
+
+  // CHECK constraints test one row at a time and cannot run queries.
+  _bindCheck(check, scope) {
+    if (containsSubquery(check.expr)) {
+      throw new SchemaError("CHECK constraints cannot use a subquery");
+    }
+    this._bind(check.expr, scope);
+  }
+
+  // Resolves column references against the sources in scope and returns a
+  // copy of the expression whose columns carry the row key to read. A
+  // column no source has may belong to an enclosing query; every subquery
+  // between the two then depends on the outer row.
+  _bind(expr, sources, context = EMPTY_CONTEXT) {
+    return mapExpression(expr, (node) => {
+      if (
+        node.type === "aggregate" &&
+        node.arg &&
+        containsAggregate(node.arg)
+      ) {
+        throw new QueryError("Aggregate functions cannot be nested");
+      }
+      if (node.type === "subquery") {
+        return this._bindSubquery(node, sources, context);
+      }
+      if (node.type !== "column") return node;
+
+      const source = findSource(sources, node);
+      if (source) {
+        return {
+          ...node,
+          source: source.alias,
+          key: sourceKey(source, node.name),
+          dataType: source.types[node.name],
+        };
+      }
+
+      for (let i = context.outer.length - 1; i >= 0; i--) {
+        const scope = context.outer[i];
+        const outerSource = findSource(scope.sources, node);
+        if (!outerSource) continue;
+
+        context.outer.slice(i).forEach((inner) => {
+          inner.correlated = true;
+        });
+        if (!scope.aliases.includes(outerSource.alias)) {
+          scope.aliases.push(outerSource.alias);
+        }
+        return {
+          ...node,
+          source: null,
+          key: sourceKey(outerSource, node.name),
+          outer: scope,
+          dataType: outerSource.types[node.name],
+        };
+      }
+
+      const fullName = node.table ? `${node.table}.${node.name}` : node.name;
+      throw new NotFoundError(`Unknown column: ${fullName}`, "NO_SUCH_COLUMN");
+    });
+  }
+
+  // Plans a subquery in an expression. Its scope holds the sources of the
+  // query around it, and records whether the subquery reads their rows and
+  // which aliases it reads.
+  _bindSubquery(node, sources, context) {
+    const scope = { sources, correlated: false, aliases: [] };
+    const query = this._planSelect(node.select, {
+      ...context,
+      outer: [...context.outer, scope],
+    });
+    if (!node.exists && query.selectList.length !== 1) {
+      throw new QueryError("Subquery must return exactly one column");
+    }
+    return { ...node, query, scope, cache: { rows: null } };
+  }
+
+  // Runs a subquery for the row of the query around it. One that reads no
+  // outer row returns the same rows every time, so it runs only once.
+  _subqueryRows(node, row) {
+    if (!node.query) throw new QueryError("Subqueries are not allowed here");
+    const { scope, cache } = node;
+    if (!scope.correlated && cache.rows) return cache.rows;
+
+    this.outerRows.push({ scope, row });
+    try {
+      const { rows } = this._runSelect(node.query);
+      if (!scope.correlated) cache.rows = rows;
+      return rows;
+    } finally {
+      this.outerRows.pop();
+    }
+  }
+
+  _evaluateWhere(row, condition) {
+    return this._evaluate(condition, row) === true;
+  }
+
+  // Predicates follow SQL three-valued logic: null stands for UNKNOWN and
+  // only a true result lets a row through a WHERE clause.
+  _evaluate(expr, row) {
+    switch (expr.type) {
+      case "literal":
+        return expr.value;
+      case "currentTime": {
+        const now = formatTimestamp(this.statementTime || new Date());
+        return expr.dataType === "DATE" ? now.slice(0, 10) : now;
+      }
+      case "column":
+        if (expr.outer) {
+          const frame = this.outerRows.find((f) => f.scope === expr.outer);
+          return frame.row[expr.key];
+        }
+        return row[expr.key !== undefined ? expr.key : expr.name];
+      case "binary":
+        return this._compare(
+          expr.op,
+          this._comparedValue(expr.left, expr.right, row),
+          this._comparedValue(expr.right, expr.left, row)
+        );
+      case "arithmetic":
+        return arithmetic(
+          expr.op,
+          this._evaluate(expr.left, row),
+          this._evaluate(expr.right, row)
+        );
+      case "negate": {
+        const value = this._evaluate(expr.operand, row);
+        return isNull(value) ? null : -numericOperand("-", value);
+      }
+      case "logical":
+        return this._evaluateLogical(expr, row);
+      case "unary": {
+        const value = this._evaluate(expr.operand, row);
+        return value === null || value === undefined ? null : !value;
+      }
+      case "isNull": {
+        const value = this._evaluate(expr.expr, row);
+        return (value === null || value === undefined) !== expr.negated;
+      }
+      case "in":
+        return this._negate(this._evaluateIn(expr, row), expr.negated);
+      case "between": {
+        const compare = (op, bound) =>
+          this._compare(
+            op,
+            this._comparedValue(expr.expr, bound, row),
+            this._comparedValue(bound, expr.expr, row)
+          );
+        const low = compare(">=", expr.low);
+        const high = compare("<=", expr.high);
+        return this._negate(and(low, high), expr.negated);
+      }
+      case "aggregate":
+        throw new QueryError(`Aggregate ${expr.name} is not allowed here`);
+      case "subquery": {
+        const rows = this._subqueryRows(expr, row);
+        if (rows.length > 1) {
+          throw new QueryError("Subquery returned more than one row");
+        }
+        return rows.length === 0 ? null : Object.values(rows[0])[0];
+      }
+      case "exists":
+        return this._subqueryRows(expr.subquery, row).length > 0;
+      case "like": {
+        const value = this._evaluate(expr.expr, row);
+        const pattern = this._evaluate(expr.pattern, row);
+        if (isNull(value) || isNull(pattern)) return null;
+        const matches = likeToRegExp(String(pattern)).test(String(value));
+        return matches !== expr.negated;
+      }
+      default:
+        throw new QueryError(`Unsupported expression: ${expr.type}`);
+    }
+  }
+
+  _evaluateLogical(expr, row) {
+    const left = this._evaluate(expr.left, row);
+    if (expr.op === "AND" && left === false) return false;
+    if (expr.op === "OR" && left === true) return true;
+
+    const right = this._evaluate(expr.right, row);
+    return expr.op === "AND" ? and(left, right) : or(left, right);
+  }
+
+  _evaluateIn(expr, row) {
+    const value = this._evaluate(expr.expr, row);
+    if (isNull(value)) return null;
+
+    const pairs = expr.subquery
+      ? this._subqueryRows(expr.subquery, row).map((result) => [
+          value,
+          Object.values(result)[0],
+        ])
+      : expr.values.map((item) => [
+          this._comparedValue(expr.expr, item, row),
+          this._comparedValue(item, expr.expr, row),
+        ]);
+    let sawNull = false;
+    for (const [left, right] of pairs) {
+      const result = this._compare("=", left, right);
+      if (result === true) return true;
+      if (result === null) sawNull = true;
+    }
+    return sawNull ? null : false;
+  }
+
+  // The value of `expr` to compare with `other`. Compared with a column, a
+  // value that is not a column is first converted to the column's type, the
+  // same way an index lookup converts it, so an index never changes which
+  // rows match.
+  _comparedValue(expr, other, row) {
+    const value = this._evaluate(expr, row);
+    if (expr.type === "column" || other.type !== "column" || !other.dataType) {
+      return value;
+    }
+    return asColumnType(value, other.dataType, other.name);
+  }
+
+  _negate(value, negated) {
+    return negated && value !== null ? !value : value;
+  }
+
+  // Both values are brought to a common type and then compared strictly. A
+  // string meets a number only if it reads as one, and a Date compares as
+  // its timestamp text. Values without a common type, such as '' and 0 or
+  // '0' and false, compare as unknown.
+  _compare(op, leftVal, rightVal) {
+    const operands = commonType(leftVal, rightVal);
+    if (!operands) return null;
+    const [left, right] = operands;
+
+    switch (op) {
+      case "=":
+        return left === right;
+      case "!=":
+        return left !== right;
+      case "<":
+        return left < right;
+      case ">":
+        return left > right;
+      case "<=":
+        return left <= right;
+      case ">=":
+        return left >= right;
+    }
+  }
+
+  _createUser(statement) {
+    const { name, options } = statement;
+    if (ownValue(this.users, name)) {
+      throw new AlreadyExistsError(
+        `User ${name} already exists`,
+        "USER_EXISTS"
+      );
+    }
+    const user = { password: null, superuser: false, roles: [] };
+    return this._saveUser("CREATE", name, user, options);
+  }
+
+  _alterUser(statement) {
+    const { name, options } = statement;
+    return this._saveUser("ALTER", name, { ...this._getUser(name) }, options);
+  }
+
+  // Applies the options of CREATE or ALTER USER. Only the hash of a password
+  // is kept, and the log gets the statement with the hash in its place.
+  _saveUser(command, name, user, options) {
+    if (options.password !== undefined) {
+      user.password = options.password && storedPassword(options.password);
+    }
+    if (options.superuser !== undefined) user.superuser = options.superuser;
+
+    this._replaceUsers({ ...this.users, [name]: user });
+    return {
+      message: `User ${name} ${command === "CREATE" ? "created" : "altered"}`,
+      logSql: userSql(command, name, user, options),
+    };
+  }
+
+  _dropUser(statement) {
+    const { name } = statement;
+    this._getUser(name);
+    const users = { ...this.users };
+    delete users[name];
+    this._replaceUsers(users);
+    return { message: `User ${name} dropped` };
+  }
+
+  _createRole(statement) {
+    const { name } = statement;
+    if (ownValue(this.roles, name)) {
+      throw new AlreadyExistsError(
+        `Role ${name} already exists`,
+        "ROLE_EXISTS"
+      );
+    }
+    this._replaceRoles({ ...this.roles, [name]: { privileges: {} } });
+    return { message: `Role ${name} created` };
+  }
+
+  // Dropping a role takes it away from its members.
+  _dropRole(statement) {
+    const { name } = statement;
+    this._getRole(name);
+    const roles = { ...this.roles };
+    delete roles[name];
+    this._replaceRoles(roles);
+
+    const users = {};
+    Object.entries(this.users).forEach(([userName, user]) => {
+      users[userName] = {
+        ...user,
+        roles: user.roles.filter((role) => role !== name),
+      };
+    });
+    this._replaceUsers(users);
+    return { message: `Role ${name} dropped` };
+  }
+
+  _grant(statement) {
+    const { privileges, table, role } = statement;
+    const granted = ownValue(this._getRole(role).privileges, table) || [];
+    if (table !== "*" && !this.tables[table] && !this.views[table]) {
+      throw new NotFoundError(`Table ${table} doesn't exist`, "NO_SUCH_TABLE");
+    }
+    this._setPrivileges(
+      role,
+      table,
+      PRIVILEGES.filter(
+        (privilege) =>
+          granted.includes(privilege) || privileges.includes(privilege)
+      )
+    );
+    return {
+      message: `Granted ${privileges.join(", ")} on ${table} to ${role}`,
+    };
+  }
+
+  // REVOKE takes back what GRANT gave on the same name: revoking SELECT on
+  // one table leaves a SELECT granted ON * in place.
+  _revoke(statement) {
+    const { privileges, table, role } = statement;
+    const granted = ownValue(this._getRole(role).privileges, table) || [];
+    this._setPrivileges(
+      role,
+      table,
+      granted.filter((privilege) => !privileges.includes(privilege))
+    );
+    return {
+      message: `Revoked ${privileges.join(", ")} on ${table} from ${role}`,
+    };
+  }
+
+  _setPrivileges(roleName, table, granted) {
+    const privileges = { ...this.roles[roleName].privileges };
+    if (granted.length > 0) privileges[table] = granted;
+    else delete privileges[table];
+    this._replaceRoles({ ...this.roles, [roleName]: { privileges } });
+  }
+
+  _grantRole(statement) {
+    const { role, user } = statement;
+    this._getRole(role);
+    const member = this._getUser(user);
+    if (!member.roles.includes(role)) {
+      this._replaceUsers({
+        ...this.users,
+        [user]: { ...member, roles: [...member.roles, role] },
+      });
+    }
+    return { message: `Granted role ${role} to ${user}` };
+  }
+
+  _revokeRole(statement) {
+    const { role, user } = statement;
+    this._getRole(role);
+    const member = this._getUser(user);
+    this._replaceUsers({
+      ...this.users,
+      [user]: { ...member, roles: member.roles.filter((r) => r !== role) },
+    });
+    return { message: `Revoked role ${role} from ${user}` };
+  }
+
+  _showUsers() {
+    return {
+      rows: Object.entries(this.users).map(([name, user]) => ({
+        User: name,
+        Superuser: user.superuser,
+        Password: user.password !== null,
+        Roles: user.roles.join(", "),
+      })),
+      columns: [
+        { name: "User", type: "TEXT" },
+        { name: "Superuser", type: "BOOLEAN" },
+        { name: "Password", type: "BOOLEAN" },
+        { name: "Roles", type: "TEXT" },
+      ],
+    };
+  }
+
+  // One row for each table a role has privileges on. A role without any
+  // gets a row with NULL Table and Privileges.
+  _showGrants() {
+    const rows = [];
+    Object.entries(this.roles).forEach(([role, { privileges }]) => {
+      const tables = Object.keys(privileges);
+      if (tables.length === 0) {
+        rows.push({ Role: role, Table: null, Privileges: null });
+      }
+      tables.forEach((table) => {
+        rows.push({
+          Role: role,
+          Table: table,
+          Privileges: privileges[table].join(", "),
+        });
+      });
+    });
+    return {
+      rows,
+      columns: [
+        { name: "Role", type: "TEXT" },
+        { name: "Table", type: "TEXT" },
+        { name: "Privileges", type: "TEXT" },
+      ],
+    };
+  }
+
+  _getUser(name) {
+    const user = ownValue(this.users, name);
+    if (!user) {
+      throw new NotFoundError(`User ${name} doesn't exist`, "NO_SUCH_USER");
+    }
+    return user;
+  }
+
+  _getRole(name) {
+    const role = ownValue(this.roles, name);
+    if (!role) {
+      throw new NotFoundError(`Role ${name} doesn't exist`, "NO_SUCH_ROLE");
+    }
+    return role;
+  }
+
+  // Users and roles are replaced as a whole on every change, so undoing one
+  // only has to put the old object back.
+  _replaceUsers(users) {
+    const old = this.users;
+    this.users = users;
+    this._logUndo(() => {
+      this.users = old;
+    });
+  }
+
+  _replaceRoles(roles) {
+    const old = this.roles;
+    this.roles = roles;
+    this._logUndo(() => {
+      this.roles = old;
+    });
+  }
+
+  // Privileges on a table or view follow it when it is renamed and go with
+  // it when it is dropped.
+  _moveGrants(name, newName = null) {
+    const holders = Object.keys(this.roles).filter((role) =>
+      ownValue(this.roles[role].privileges, name)
+    );
+    if (holders.length === 0) return;
+
+    const roles = { ...this.roles };
+    holders.forEach((role) => {
+      const privileges = { ...roles[role].privileges };
+      if (newName) privileges[newName] = privileges[name];
+      delete privileges[name];
+      roles[role] = { privileges };
+    });
+    this._replaceRoles(roles);
+  }
+
+  _createTrigger(statement) {
+    const { name, table: tableName, timing, event } = statement;
+    if (ownValue(this.triggers, name)) {
+      throw new AlreadyExistsError(
+        `Trigger ${name} already exists`,
+        "TRIGGER_EXISTS"
+      );
+    }
+    if (this.views[tableName]) {
+      throw new QueryError(`${tableName} is a view, not a table`);
+    }
+    const table = this._getTable(tableName);
+
+    // NEW is the row an INSERT or UPDATE writes and OLD the one an UPDATE
+    // or DELETE replaces. Only BEFORE triggers can still change NEW.
+    const rows = { NEW: event !== "DELETE", OLD: event !== "INSERT" };
+    rowReferences([statement.when, statement.body]).forEach((node) => {
+      const row = node.table.toUpperCase();
+      if (!rows[row]) {
+        throw new QueryError(`${event} triggers have no ${row} row`);
+      }
+      if (!(node.name in table.columns)) {
+        throw new NotFoundError(
+          `Unknown column: ${node.table}.${node.name}`,
+          "NO_SUCH_COLUMN"
+        );
+      }
+    });
+    statement.body.forEach(({ type, column }) => {
+      if (type !== "setNew") return;
+      if (timing !== "BEFORE" || !rows.NEW) {
+        throw new QueryError(
+          "Only BEFORE INSERT and BEFORE UPDATE triggers can SET NEW"
+        );
+      }
+      if (!(column in table.columns)) {
+        throw new NotFoundError(
+          `Unknown column: NEW.${column}`,
+          "NO_SUCH_COLUMN"
+        );
+      }
+    });
+
+    this._replaceTriggers({ ...this.triggers, [name]: statement });
+    return { message: `Trigger ${name} created` };
+  }
+
+  _dropTrigger(statement) {
+    const { name } = statement;
+    if (!ownValue(this.triggers, name)) {
+      throw new NotFoundError(
+        `Trigger ${name} doesn't exist`,
+        "NO_SUCH_TRIGGER"
+      );
+    }
+    const triggers = { ...this.triggers };
+    delete triggers[name];
+    this._replaceTriggers(triggers);
+    return { message: `Trigger ${name} dropped` };
+  }
+
+  _showTriggers() {
+    return {
+      rows: Object.entries(this.triggers).map(([name, trigger]) => ({
+        Trigger: name,
+        Table: trigger.table,
+        Timing: trigger.timing,
+        Event: trigger.event,
+        When: trigger.when && trigger.when.text,
+        Statement: trigger.bodyText,
+      })),
+      columns: [
+        { name: "Trigger", type: "TEXT" },
+        { name: "Table", type: "TEXT" },
+        { name: "Timing", type: "TEXT" },
+        { name: "Event", type: "TEXT" },
+        { name: "When", type: "TEXT" },
+        { name: "Statement", type: "TEXT" },
+      ],
+    };
+  }
+
+  _replaceTriggers(triggers) {
+    const old = this.triggers;
+    this.triggers = triggers;
+    this._logUndo(() => {
+      this.triggers = old;
+    });
+  }
+
+  // A table's triggers go with it when it is dropped.
+  _dropTriggers(tableName) {
+    const triggers = { ...this.triggers };
+    const names = Object.keys(triggers).filter(
+      (name) => triggers[name].table === tableName
+    );
+    if (names.length === 0) return;
+    names.forEach((name) => delete triggers[name]);
+    this._replaceTriggers(triggers);
+  }
+
+  // A trigger's text names its table, so the table cannot be renamed while
+  // the trigger is on it.
+  _checkTriggers(tableName) {
+    const name = Object.keys(this.triggers).find(
+      (trigger) => this.triggers[trigger].table === tableName
+    );
+    if (name) {
+      throw new SchemaError(
+        `Cannot rename table ${tableName}: trigger ${name} is on it`
+      );
+    }
+  }
+
+  // Runs the BEFORE or AFTER triggers for one row written to a table, in
+  // the order they were created. An INSERT has no old row and a DELETE no
+  // new one. Returns the new row as BEFORE triggers left it. A trigger that
+  // fails fails the statement that fired it, which undoes everything; the
+  // error names the trigger that statement fired.
+  _fireTriggers(tableName, timing, oldRow, newRow) {
+    const event = !oldRow ? "INSERT" : !newRow ? "DELETE" : "UPDATE";
+    const triggers = Object.values(this.triggers).filter(
+      (trigger) =>
+        trigger.table === tableName &&
+        trigger.timing === timing &&
+        trigger.event === event
+    );
+    if (triggers.length === 0) return newRow;
+    if (this.triggerDepth >= TRIGGER_DEPTH_LIMIT) {
+      throw new QueryError(
+        `Triggers nested more than ${TRIGGER_DEPTH_LIMIT} deep`
+      );
+    }
+
+    const rows = { OLD: oldRow && { ...oldRow }, NEW: newRow && { ...newRow } };
+    this.triggerDepth++;
+    try {
+      triggers.forEach((trigger) => {
+        try {
+          this._runTrigger(trigger, rows);
+        } catch (error) {
+          if (error instanceof DatabaseError && this.triggerDepth === 1) {
+            error.message = `Trigger ${trigger.name}: ${error.message}`;
+          }
+          throw error;
+        }
+      });
+    } finally {
+      this.triggerDepth--;
+    }
+    return rows.NEW;
+  }
+
+  // The trigger's statements run with NEW and OLD replaced by the rows'
+  // values, as the database itself rather than as the session's user.
+  _runTrigger(trigger, rows) {
+    const { when, body } = trigger;
+    const value = (expr) =>
+      this._evaluate(this._bind(withRows(expr, rows), []), {});
+    if (when && value(when.expr) !== true) return;
+
+    const columns = this.tables[trigger.table].columns;
+    body.forEach((statement) => {
+      if (statement.type === "setNew") {
+        const { column } = statement;
+        rows.NEW = {
+          ...rows.NEW,
+          [column]: coerceValue(
+            value(statement.value),
+            columns[column],
+            column
+          ),
+        };
+      } else {
+        this._executeStatement(withRows(statement, rows));
+      }
+    });
+  }
+
+  toJSON() {
+    const views = {};
+    Object.entries(this.views).forEach(([name, view]) => {
+      views[name] = view.sql;
+    });
+    const triggers = {};
+    Object.entries(this.triggers).forEach(([name, trigger]) => {
+      triggers[name] = trigger.sql;
+    });
+    return {
+      tables: this.tables,
+      views,
+      users: this.users,
+      roles: this.roles,
+      triggers,
+    };
+  }
+
+  // Saves made before views existed hold only the tables, those made before
+  // users existed have no users or roles, and older ones still no triggers.
   fromJSON(data) {
-    this.tables = data;
+    const { tables, views } =
+      "tables" in data && "views" in data ? data : { tables: data, views: {} };
+    this.tables = tables;
+    this.users = data.users || {};
+    this.roles = data.roles || {};
+    this.views = {};
+    Object.entries(views).forEach(([name, sql]) => {
+      this.views[name] = { select: parseStatement(sql).statement, sql };
+    });
+    this.triggers = {};
+    Object.entries(data.triggers || {}).forEach(([name, sql]) => {
+      this.triggers[name] = parseStatement(sql).statement;
+    });
+    this._endTransaction();
+    Object.entries(this.tables).forEach(([tableName, table]) => {
+      const definitions = Object.values(table.indexes || {});
+      table.indexes = {};
+      definitions.forEach((definition) => {
+        table.indexes[definition.name] = new Index(definition);
+      });
+      this._createConstraintIndexes(tableName, table);
+    });
+    this.undoLog = [];
+    this.changes = [];
+    if (this.storage) this.checkpoint();
+  }
+}
+
+// Every statement returns this shape. Only SELECT, SHOW, DESCRIBE, EXPLAIN
+// and RETURNING produce rows; `columns` lists their names and types.
+function makeResult(
+  { rows = [], columns = [], rowsAffected = 0, message = null, error = null },
+  started
+) {
+  return {
+    rows,
+    columns,
+    rowsAffected,
+    message,
+    error,
+    timing: { elapsedMs: Number((performance.now() - started).toFixed(3)) },
+  };
+}
+
+// CREATE or ALTER USER as the log records it, with the password's hash.
+function userSql(command, name, user, options) {
+  let sql = `${command} USER \`${name.replace(/`/g, "``")}\``;
+  if (options.password === null) sql += " PASSWORD NULL";
+  else if (options.password) sql += ` ENCRYPTED PASSWORD '${user.password}'`;
+  if (options.superuser !== undefined) {
+    sql += options.superuser ? " SUPERUSER" : " NOSUPERUSER";
+  }
+  return sql;
+}
+
+function storedPassword({ text, encrypted }) {
+  if (encrypted) {
+    if (!isPasswordHash(text)) {
+      throw new QueryError(
+        "ENCRYPTED PASSWORD takes a password hash as the database stores it"
+      );
+    }
+    return text;
+  }
+  if (text === "") throw new QueryError("A password cannot be empty");
+  return hashPassword(text);
+}
+
+// "createUser" becomes "CREATE USER".
+function commandName(type) {
+  return type.replace(/[A-Z]/g, " $&").toUpperCase();
+}
+
+// The NEW.<column> and OLD.<column> references in a trigger.
+function rowReferences(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach((item) => rowReferences(item, found));
+  } else if (node && typeof node === "object") {
+    if (isRowReference(node)) found.push(node);
+    else Object.values(node).forEach((value) => rowReferences(value, found));
+  }
+  return found;
+}
+
+// A copy of a trigger's statement or condition with each NEW.<column> and
+// OLD.<column> replaced by the value in that row.
+function withRows(node, rows) {
+  if (Array.isArray(node)) return node.map((item) => withRows(item, rows));
+  if (!node || typeof node !== "object") return node;
+  if (isRowReference(node)) {
+    const row = rows[node.table.toUpperCase()];
+    if (!row || !(node.name in row)) {
+      throw new NotFoundError(
+        `Unknown column: ${node.table}.${node.name}`,
+        "NO_SUCH_COLUMN"
+      );
+    }
+    return { type: "literal", value: row[node.name] };
+  }
+
+  const copy = {};
+  Object.keys(node).forEach((key) => {
+    copy[key] = withRows(node[key], rows);
+  });
+  return copy;
+}
+
+function isRowReference(node) {
+  return (
+    node.type === "column" &&
+    typeof node.table === "string" &&
+    ["NEW", "OLD"].includes(node.table.toUpperCase())
+  );
+}
+
+// Users and roles are named by clients, so names such as "constructor" must
+// not find what objects inherit.
+function ownValue(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key)
+    ? object[key]
+    : undefined;
+}
+
+function resultColumns(selectList) {
+  return selectList.map(({ name, type }) => ({ name, type }));
+}
+
+// The type of a select-list expression, or null when it depends on the data.
+function expressionType(expr, sources) {
+  switch (expr.type) {
+    case "literal":
+      return literalType(expr.value);
+    case "column": {
+      if (expr.outer) return expr.dataType;
+      const source = sources.find((s) => s.alias === expr.source);
+      return source ? source.types[expr.name] : null;
+    }
+    case "currentTime":
+      return expr.dataType;
+    case "aggregate": {
+      if (expr.name === "COUNT") return "INT";
+      if (expr.name === "AVG") return "REAL";
+      const argType = expressionType(expr.arg, sources);
+      if (expr.name === "SUM") return argType === "INT" ? "INT" : "REAL";
+      return argType;
+    }
+    case "subquery":
+      return expr.query.selectList[0].type;
+    case "arithmetic": {
+      if (expr.op === "/") return "REAL";
+      const types = [expr.left, expr.right].map((side) =>
+        expressionType(side, sources)
+      );
+      return types.every((type) => type === "INT") ? "INT" : "REAL";
+    }
+    case "negate":
+      return expressionType(expr.operand, sources) === "INT" ? "INT" : "REAL";
+    case "exists":
+    case "binary":
+    case "logical":
+    case "unary":
+    case "isNull":
+    case "in":
+    case "between":
+    case "like":
+      return "BOOLEAN";
+    default:
+      return null;
+  }
+}
+
+function literalType(value) {
+  if (value === null) return null;
+  if (value instanceof Date) return "TIMESTAMP";
+  switch (typeof value) {
+    case "boolean":
+      return "BOOLEAN";
+    case "number":
+      return Number.isInteger(value) ? "INT" : "REAL";
+    default:
+      return "TEXT";
+  }
+}
+
+// What a query sees besides its FROM clause: the scopes of the queries
+// around it, innermost last, and the WITH queries by name.
+const EMPTY_CONTEXT = { outer: [], ctes: {} };
+
+// Steps a WITH RECURSIVE query may take before it is stopped.
+const RECURSION_LIMIT = 1000;
+
+const PRIVILEGES = ["SELECT", "INSERT", "UPDATE", "DELETE"];
+
+const TRANSACTION_STATEMENTS = [
+  "begin",
+  "commit",
+  "rollback",
+  "savepoint",
+  "release",
+];
+
+// Triggers may fire other triggers, and themselves, this deep.
+const TRIGGER_DEPTH_LIMIT = 16;
+
+const DESCRIBE_COLUMNS = ["Field", "Type", "Null", "Key", "Default", "Extra"];
+
+const EXPLAIN_COLUMN_TYPES = {
+  id: "INT",
+  parent: "INT",
+  operation: "TEXT",
+  table: "TEXT",
+  index: "TEXT",
+  condition: "TEXT",
+  filter: "TEXT",
+  estimated_rows: "INT",
+  actual_rows: "INT",
+  loops: "INT",
+  time_ms: "REAL",
+};
+
+function formatKey(tableName, columns) {
+  return `${tableName}(${columns.join(", ")})`;
+}
+
+function formatForeignKey(fk) {
+  const parts = [`REFERENCES ${formatKey(fk.table, fk.references)}`];
+  if (fk.columns.length > 1) {
+    parts.unshift(`FOREIGN KEY (${fk.columns.join(", ")})`);
+  }
+  if (fk.onDelete !== "NO ACTION") parts.push(`ON DELETE ${fk.onDelete}`);
+  if (fk.onUpdate !== "NO ACTION") parts.push(`ON UPDATE ${fk.onUpdate}`);
+  return parts.join(" ");
+}
+
+function sequenceColumn(table) {
+  return Object.keys(table.columns).find(
+    (col) => (table.constraints[col] || {}).autoIncrement
+  );
+}
+
+// The unique index a foreign key looks its parent rows up in: one over
+// exactly the referenced columns, in any order.
+function keyIndex(table, columns, except = null) {
+  return Object.values(table.indexes).find(
+    (index) =>
+      index !== except &&
+      index.unique &&
+      index.columns.length === columns.length &&
+      columns.every((col) => index.columns.includes(col))
+  );
+}
+
+// Foreign keys compare values as stored, so both sides need the same kind
+// of value; lengths do not matter.
+function typeFamily(type) {
+  const name = type.replace(/\(.*\)$/, "");
+  return name === "VARCHAR" ? "TEXT" : name;
+}
+
+// A working copy of a table for ALTER TABLE: fresh column, constraint and
+// row objects, and the definitions of the indexes that are not constraints.
+function copyTable(table) {
+  const constraints = {};
+  Object.entries(table.constraints).forEach(([key, value]) => {
+    constraints[key] =
+      value && typeof value === "object" && !Array.isArray(value)
+        ? { ...value }
+        : value;
+  });
+
+  return {
+    columns: { ...table.columns },
+    constraints,
+    sequence: table.sequence,
+    rows: table.rows.map((row) => ({ ...row })),
+    indexes: Object.values(table.indexes)
+      .filter((index) => !index.constraint)
+      .map(({ name, columns, unique }) => ({ name, columns, unique })),
+  };
+}
+
+// Copies the table with `fn` applied to each column reference in its CHECK
+// constraints. A changed CHECK gets its text rewritten to match.
+function renameInTable(table, fn) {
+  const altered = copyTable(table);
+  const rename = (check) => {
+    let changed = false;
+    const expr = mapExpression(check.expr, (node) => {
+      if (node.type !== "column") return node;
+      const renamed = fn(node);
+      if (renamed !== node) changed = true;
+      return renamed;
+    });
+    return changed ? { expr, text: `(${formatExpression(expr)})` } : check;
+  };
+
+  Object.values(altered.constraints).forEach((colConstraints) => {
+    if (colConstraints && colConstraints.check) {
+      colConstraints.check = rename(colConstraints.check);
+    }
+  });
+  if (altered.constraints.checks) {
+    altered.constraints.checks = altered.constraints.checks.map(rename);
+  }
+  return altered;
+}
+
+function renameForeignKeys(table, fn) {
+  if (table.constraints.foreignKeys) {
+    table.constraints.foreignKeys = table.constraints.foreignKeys.map(fn);
+  }
+}
+
+// Renames one key of an object, keeping the order of its keys.
+function renameKey(object, from, to) {
+  const renamed = {};
+  Object.entries(object).forEach(([key, value]) => {
+    renamed[key === from ? to : key] = value;
+  });
+  return renamed;
+}
+
+// The log is written at COMMIT, after the caller may have reused `params`.
+function copyParams(params) {
+  if (Array.isArray(params)) return [...params];
+  return params ? { ...params } : undefined;
+}
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+// The two values as one type, or null when either is NULL or they have no
+// type in common.
+function commonType(left, right) {
+  if (isNull(left) || isNull(right)) return null;
+  const values = [left, right].map((value) =>
+    value instanceof Date ? formatTimestamp(value) : value
+  );
+  if (typeof values[0] === typeof values[1]) return values;
+
+  if (values.every((value) => ["number", "string"].includes(typeof value))) {
+    const numbers = values.map(numberOf);
+    return numbers.includes(null) ? null : numbers;
+  }
+  return null;
+}
+
+// A value converted to a column's type as it would be to store it, except
+// that a VARCHAR's length does not apply and an INT column takes any number,
+// so 2.5 compares with it as a number. A value that does not convert is
+// unknown.
+function asColumnType(value, dataType, column) {
+  const { name } = parseType(dataType);
+  const type = { VARCHAR: "TEXT", INT: "REAL" }[name] || dataType;
+  try {
+    return coerceValue(value, type, column);
+  } catch (error) {
+    if (error instanceof TypeMismatchError) return null;
+    throw error;
+  }
+}
+
+// Whether an index on a column can look up the values of another column.
+// The lookup converts them to the indexed column's type, so it finds the
+// same rows as comparing them only when both columns are stored alike.
+function sameStorage(dataType, otherType) {
+  const storage = (type) => {
+    const { name } = parseType(type);
+    if (name === "INT" || name === "REAL") return "number";
+    return name === "VARCHAR" ? "TEXT" : name;
+  };
+  return Boolean(otherType) && storage(dataType) === storage(otherType);
+}
+
+// Arithmetic takes numbers, or strings that read as numbers, and gives
+// NULL when either side is NULL. `/` divides exactly, even integers.
+function arithmetic(op, left, right) {
+  if (isNull(left) || isNull(right)) return null;
+  const a = numericOperand(op, left);
+  const b = numericOperand(op, right);
+  switch (op) {
+    case "+":
+      return a + b;
+    case "-":
+      return a - b;
+    case "*":
+      return a * b;
+    default:
+      if (b === 0) throw new QueryError("Division by zero");
+      return op === "/" ? a / b : a % b;
+  }
+}
+
+function numericOperand(op, value) {
+  const number =
+    typeof value === "number" || typeof value === "string"
+      ? numberOf(value)
+      : null;
+  if (number === null) {
+    const text = typeof value === "string" ? `'${value}'` : String(value);
+    throw new TypeMismatchError(`Operator ${op} expects numbers, got ${text}`);
+  }
+  return number;
+}
+
+function numberOf(value) {
+  if (typeof value === "number") return value;
+  const number = value.trim() === "" ? NaN : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function and(left, right) {
+  if (left === false || right === false) return false;
+  if (isNull(left) || isNull(right)) return null;
+  return Boolean(left && right);
+}
+
+function or(left, right) {
+  if (left === true || right === true) return true;
+  if (isNull(left) || isNull(right)) return null;
+  return Boolean(left || right);
+}
+
+function likeToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "%") return "[\\s\\S]*";
+      if (char === "_") return "[\\s\\S]";
+      return char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+const FLIPPED_OPERATORS = {
+  "=": "=",
+  "<": ">",
+  ">": "<",
+  "<=": ">=",
+  ">=": "<=",
+};
+
+const EQUALITY_SELECTIVITY = 0.1;
+const RANGE_SELECTIVITY = 1 / 3;
+
+// The fraction of rows a predicate is guessed to keep.
+function selectivity(expr) {
+  switch (expr.type) {
+    case "logical": {
+      const left = selectivity(expr.left);
+      const right = selectivity(expr.right);
+      return expr.op === "AND" ? left * right : left + right - left * right;
+    }
+    case "unary":
+      return 1 - selectivity(expr.operand);
+    case "binary":
+      if (expr.op === "=") return EQUALITY_SELECTIVITY;
+      if (expr.op === "!=") return 1 - EQUALITY_SELECTIVITY;
+      return RANGE_SELECTIVITY;
+    case "in": {
+      const kept = expr.subquery
+        ? RANGE_SELECTIVITY
+        : Math.min(1, expr.values.length * EQUALITY_SELECTIVITY);
+      return expr.negated ? 1 - kept : kept;
+    }
+    case "isNull":
+      return expr.negated ? 1 - EQUALITY_SELECTIVITY : EQUALITY_SELECTIVITY;
+    default:
+      return RANGE_SELECTIVITY;
+  }
+}
+
+function isJoinEquality(expr) {
+  return (
+    expr.type === "binary" &&
+    expr.op === "=" &&
+    expr.left.type === "column" &&
+    expr.right.type === "column" &&
+    expr.left.source !== expr.right.source
+  );
+}
+
+const DERIVED_OPERATIONS = {
+  subquery: "Subquery Scan",
+  cte: "CTE Scan",
+  recursive: "Recursive CTE Scan",
+  working: "Working Table Scan",
+  view: "View Scan",
+};
+
+function describePlanNode(node) {
+  if (node.type === "result") {
+    return {
+      operation: "Result",
+      estimate: node.estimate,
+      actual: node.actual,
+    };
+  }
+
+  if (node.type === "derived") {
+    return {
+      operation: DERIVED_OPERATIONS[node.kind],
+      table:
+        node.name === null || node.alias === node.name
+          ? node.alias
+          : `${node.name} AS ${node.alias}`,
+      filter: node.filter && formatExpression(node.filter),
+      estimate: node.estimate,
+      actual: node.actual,
+    };
+  }
+
+  if (node.type === "scan") {
+    const { access } = node;
+    return {
+      operation: access.kind === "index" ? "Index Scan" : "Full Scan",
+      table:
+        node.alias === node.table
+          ? node.table
+          : `${node.table} AS ${node.alias}`,
+      index: access.index,
+      condition: access.used.map(formatExpression).join(" AND "),
+      filter: node.filter && formatExpression(node.filter),
+      estimate: node.estimate,
+      actual: node.actual,
+    };
+  }
+
+  const strategy =
+    node.strategy === "index nested loop" ? "Index Nested Loop" : "Nested Loop";
+  const kind = node.kind[0] + node.kind.slice(1).toLowerCase();
+  return {
+    operation: `${strategy} ${kind} Join`,
+    condition: node.on && formatExpression(node.on),
+    estimate: node.estimate,
+    actual: node.actual,
+  };
+}
+
+// Turns an expression tree back into SQL text for EXPLAIN.
+function formatExpression(expr) {
+  const format = formatExpression;
+  const not = (negated) => (negated ? "NOT " : "");
+
+  switch (expr.type) {
+    case "literal":
+      if (expr.value === null) return "NULL";
+      if (typeof expr.value === "string") {
+        return `'${expr.value.replace(/'/g, "''")}'`;
+      }
+      return String(expr.value).toUpperCase();
+    case "column":
+      if (expr.key) return expr.key;
+      return expr.table ? `${expr.table}.${expr.name}` : expr.name;
+    case "binary":
+      return `${format(expr.left)} ${expr.op} ${format(expr.right)}`;
+    case "arithmetic": {
+      // A right operand of the same precedence was grouped by parentheses.
+      const precedence = (node) =>
+        node.type !== "arithmetic" ? 3 : ["+", "-"].includes(node.op) ? 1 : 2;
+      const side = (child, right) =>
+        precedence(child) < precedence(expr) ||
+        (right && precedence(child) === precedence(expr))
+          ? `(${format(child)})`
+          : format(child);
+      return `${side(expr.left, false)} ${expr.op} ${side(expr.right, true)}`;
+    }
+    case "negate":
+      return expr.operand.type === "arithmetic"
+        ? `-(${format(expr.operand)})`
+        : `-${format(expr.operand)}`;
+    case "logical": {
+      const side = (child) =>
+        child.type === "logical" && child.op !== expr.op
+          ? `(${format(child)})`
+          : format(child);
+      return `${side(expr.left)} ${expr.op} ${side(expr.right)}`;
+    }
+    case "unary":
+      return `NOT (${format(expr.operand)})`;
+    case "isNull":
+      return `${format(expr.expr)} IS ${not(expr.negated)}NULL`;
+    case "in": {
+      const list = expr.subquery
+        ? expr.subquery.text
+        : expr.values.map(format).join(", ");
+      return `${format(expr.expr)} ${not(expr.negated)}IN (${list})`;
+    }
+    case "subquery":
+      return `(${expr.text})`;
+    case "exists":
+      return `EXISTS (${expr.subquery.text})`;
+    case "between":
+      return `${format(expr.expr)} ${not(expr.negated)}BETWEEN ${format(
+        expr.low
+      )} AND ${format(expr.high)}`;
+    case "like":
+      return `${format(expr.expr)} ${not(expr.negated)}LIKE ${format(
+        expr.pattern
+      )}`;
+    case "currentTime":
+      return expr.dataType === "DATE" ? "CURRENT_DATE" : "CURRENT_TIMESTAMP";
+    case "aggregate":
+      return `${expr.name}(${expr.distinct ? "DISTINCT " : ""}${
+        expr.arg ? format(expr.arg) : "*"
+      })`;
+    default:
+      return expr.type;
+  }
+}
+
+function formatOrderTerm(term) {
+  const nulls = term.nulls ? ` NULLS ${term.nulls}` : "";
+  return `${formatExpression(term.expr)} ${term.direction}${nulls}`;
+}
+
+// The tables and views a SELECT reads, including those read by its
+// subqueries and WITH queries.
+function tablesIn(node) {
+  if (Array.isArray(node)) return node.flatMap(tablesIn);
+  if (!node || typeof node !== "object") return [];
+  const names = node.type === "table" ? [node.name] : [];
+  return [...names, ...Object.values(node).flatMap(tablesIn)];
+}
+
+// A FROM item that runs as its own query. `names` renames its columns, as
+// in WITH name (columns) AS (...).
+function derivedNode(kind, name, query, names = null) {
+  const columns = resultColumns(query.selectList);
+  if (names && names.length !== columns.length) {
+    throw new QueryError(
+      `${name} names ${names.length} column(s) but its query returns ${columns.length}`
+    );
+  }
+  const node = { type: "derived", kind, name, query, columns: [], types: {} };
+  columns.forEach((column, i) => {
+    const columnName = names ? names[i] : column.name;
+    node.columns.push(columnName);
+    node.types[columnName] = column.type;
+  });
+  return node;
+}
+
+function derivedSource(alias, node) {
+  return { alias, columns: node.columns, types: node.types, qualified: true };
+}
+
+function conjunctsOf(expr) {
+  if (expr.type === "logical" && expr.op === "AND") {
+    return [...conjunctsOf(expr.left), ...conjunctsOf(expr.right)];
+  }
+  return [expr];
+}
+
+function combineConjuncts(exprs) {
+  if (exprs.length === 0) return null;
+  return exprs.reduce((left, right) => ({
+    type: "logical",
+    op: "AND",
+    left,
+    right,
+  }));
+}
+
+function aliasesOf(expr) {
+  if (expr.type === "column") return expr.source ? [expr.source] : [];
+  if (expr.type === "subquery") return expr.scope ? expr.scope.aliases : [];
+  return [...new Set(subExpressions(expr).flatMap(aliasesOf))];
+}
+
+function columnsOf(expr) {
+  if (expr.type === "column") return [expr.name];
+  return subExpressions(expr).flatMap(columnsOf);
+}
+
+const CHILD_KEYS = {
+  binary: ["left", "right"],
+  arithmetic: ["left", "right"],
+  negate: ["operand"],
+  logical: ["left", "right"],
+  unary: ["operand"],
+  isNull: ["expr"],
+  in: ["expr", "values", "subquery"],
+  exists: ["subquery"],
+  between: ["expr", "low", "high"],
+  like: ["expr", "pattern"],
+  aggregate: ["arg"],
+};
+
+function subExpressions(expr) {
+  return (CHILD_KEYS[expr.type] || [])
+    .flatMap((key) => expr[key])
+    .filter(Boolean);
+}
+
+function mapExpression(expr, fn) {
+  const copy = { ...expr };
+  (CHILD_KEYS[expr.type] || []).forEach((key) => {
+    if (Array.isArray(expr[key])) {
+      copy[key] = expr[key].map((child) => mapExpression(child, fn));
+    } else if (expr[key]) {
+      copy[key] = mapExpression(expr[key], fn);
+    }
+  });
+  return fn(copy);
+}
+
+function containsSubquery(expr) {
+  return (
+    expr.type === "subquery" || subExpressions(expr).some(containsSubquery)
+  );
+}
+
+function containsAggregate(expr) {
+  return (
+    expr.type === "aggregate" || subExpressions(expr).some(containsAggregate)
+  );
+}
+
+// Rejects column references that are neither grouped nor aggregated, since
+// their value would differ between the rows of a group.
+function checkGrouped(expr, groupExprs) {
+  if (groupExprs.some((groupExpr) => sameExpression(groupExpr, expr))) return;
+  if (expr.type === "column" && !expr.key.startsWith("#")) {
+    throw new QueryError(
+      `Column ${expr.name} must appear in GROUP BY or be used in an aggregate function`
+    );
+  }
+  subExpressions(expr).forEach((child) => checkGrouped(child, groupExprs));
+}
+
+function sameExpression(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.type === "column") return a.key === b.key;
+  if (a.type === "subquery") return a.text === b.text;
+
+  const childKeys = CHILD_KEYS[a.type] || [];
+  const ownFields = (expr) =>
+    JSON.stringify(
+      Object.entries(expr).filter(([key]) => !childKeys.includes(key))
+    );
+  const aChildren = subExpressions(a);
+  const bChildren = subExpressions(b);
+  return (
+    ownFields(a) === ownFields(b) &&
+    aChildren.length === bChildren.length &&
+    aChildren.every((child, i) => sameExpression(child, bChildren[i]))
+  );
+}
+
+function findSource(sources, column) {
+  const matches = sources.filter(
+    (source) =>
+      (!column.table || source.alias === column.table) &&
+      source.columns.includes(column.name)
+  );
+  if (matches.length > 1) {
+    const fullName = column.table
+      ? `${column.table}.${column.name}`
+      : column.name;
+    throw new QueryError(`Column ${fullName} is ambiguous`);
   }
+  return matches[0] || null;
+}
+
+function sourceKey(source, column) {
+  return source.qualified ? `${source.alias}.${column}` : column;
+}
+
+function qualifyRow(alias, columns, row) {
+  const qualified = {};
+  columns.forEach((col) => {
+    qualified[`${alias}.${col}`] = row[col];
+  });
+  return qualified;
+}
+
+function nullRow(sources) {
+  const row = {};
+  sources.forEach((source) => {
+    source.columns.forEach((col) => {
+      row[sourceKey(source, col)] = null;
+    });
+  });
+  return row;
+}
+
+function compareValues(left, right) {
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+}
+
+function countBy(values) {
+  const counts = {};
+  values.forEach((value) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return counts;
 }
 
 module.exports = SimpleRDBMS;
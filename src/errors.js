@@ -0,0 +1,112 @@
+// Every error the database reports carries a stable `code`. Callers should
+// branch on the code or the class; messages are for people and may change.
+class DatabaseError extends Error {
+  constructor(message, code = "INTERNAL_ERROR") {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+
+  toJSON() {
+    return { name: this.name, code: this.code, message: this.message };
+  }
+}
+
+class SqlSyntaxError extends DatabaseError {
+  constructor(message, line, column, position = null) {
+    super(`Syntax error at ${line}:${column}: ${message}`, "SYNTAX_ERROR");
+    this.line = line;
+    this.column = column;
+    this.position = position;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      line: this.line,
+      column: this.column,
+      position: this.position,
+    };
+  }
+}
+
+// NO_SUCH_TABLE, NO_SUCH_VIEW, NO_SUCH_COLUMN, NO_SUCH_INDEX,
+// NO_SUCH_SAVEPOINT, NO_SUCH_USER, NO_SUCH_ROLE or NO_SUCH_TRIGGER.
+class NotFoundError extends DatabaseError {}
+
+// TABLE_EXISTS, VIEW_EXISTS, COLUMN_EXISTS, INDEX_EXISTS, USER_EXISTS,
+// ROLE_EXISTS or TRIGGER_EXISTS.
+class AlreadyExistsError extends DatabaseError {}
+
+// CONSTRAINT_PRIMARY_KEY, CONSTRAINT_UNIQUE, CONSTRAINT_NOT_NULL,
+// CONSTRAINT_CHECK or CONSTRAINT_FOREIGN_KEY.
+class ConstraintError extends DatabaseError {}
+
+class TypeMismatchError extends DatabaseError {
+  constructor(message) {
+    super(message, "TYPE_MISMATCH");
+  }
+}
+
+// A table definition or schema change that cannot be applied.
+class SchemaError extends DatabaseError {
+  constructor(message) {
+    super(message, "SCHEMA_ERROR");
+  }
+}
+
+// A statement that parses but cannot run as written.
+class QueryError extends DatabaseError {
+  constructor(message) {
+    super(message, "INVALID_QUERY");
+  }
+}
+
+class BindError extends DatabaseError {
+  constructor(message) {
+    super(message, "BIND_ERROR");
+  }
+}
+
+class TransactionError extends DatabaseError {
+  constructor(message) {
+    super(message, "TRANSACTION_STATE");
+  }
+}
+
+class StorageError extends DatabaseError {
+  constructor(message) {
+    super(message, "IO_ERROR");
+  }
+}
+
+// A user name and password that do not match, or a session whose user has
+// been dropped.
+class AuthenticationError extends DatabaseError {
+  constructor(message) {
+    super(message, "AUTH_FAILED");
+  }
+}
+
+// The session's user lacks a privilege the statement needs.
+class PermissionError extends DatabaseError {
+  constructor(message) {
+    super(message, "PERMISSION_DENIED");
+  }
+}
+
+module.exports = {
+  DatabaseError,
+  SqlSyntaxError,
+  NotFoundError,
+  AlreadyExistsError,
+  ConstraintError,
+  TypeMismatchError,
+  SchemaError,
+  QueryError,
+  BindError,
+  TransactionError,
+  StorageError,
+  AuthenticationError,
+  PermissionError,
+};
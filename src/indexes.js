@@ -0,0 +1,118 @@
+class Index {
+  constructor({ name, columns, unique = false, constraint = null }) {
+    this.name = name;
+    this.columns = columns;
+    this.unique = unique;
+    this.constraint = constraint;
+    this.entries = null;
+    this.sortedKeys = null;
+  }
+
+  get built() {
+    return this.entries !== null;
+  }
+
+  build(rows) {
+    this.entries = new Map();
+    this.sortedKeys = null;
+    rows.forEach((row) => this.add(row));
+  }
+
+  // Rows with a NULL in any indexed column are left out: NULL never equals
+  // anything, so no lookup could return them and they never clash.
+  keyOf(row) {
+    return this.keyFor(this.columns.map((col) => row[col]));
+  }
+
+  keyFor(values) {
+    if (values.some((value) => value === null || value === undefined)) {
+      return undefined;
+    }
+    return values.length === 1 ? values[0] : JSON.stringify(values);
+  }
+
+  add(row) {
+    const key = this.keyOf(row);
+    if (key === undefined) return;
+
+    let bucket = this.entries.get(key);
+    if (!bucket) {
+      bucket = new Set();
+      this.entries.set(key, bucket);
+      this.sortedKeys = null;
+    }
+    bucket.add(row);
+  }
+
+  remove(row, key = this.keyOf(row)) {
+    if (key === undefined) return;
+
+    const bucket = this.entries.get(key);
+    if (!bucket) return;
+    bucket.delete(row);
+    if (bucket.size === 0) {
+      this.entries.delete(key);
+      this.sortedKeys = null;
+    }
+  }
+
+  lookup(values) {
+    const key = this.keyFor(values);
+    if (key === undefined) return [];
+    const bucket = this.entries.get(key);
+    return bucket ? [...bucket] : [];
+  }
+
+  // Returns the rows whose key lies between the given bounds. Only
+  // single-column indexes keep their keys in a meaningful order.
+  range({ low, high, lowInclusive = true, highInclusive = true }) {
+    if (!this.sortedKeys) {
+      this.sortedKeys = [...this.entries.keys()].sort(compareKeys);
+    }
+    const keys = this.sortedKeys;
+
+    let start = 0;
+    if (low !== undefined) {
+      start = lowerBound(keys, low);
+      if (!lowInclusive && keys[start] === low) start++;
+    }
+
+    const rows = [];
+    for (let i = start; i < keys.length; i++) {
+      const key = keys[i];
+      if (high !== undefined) {
+        if (key > high || (!highInclusive && key === high)) break;
+      }
+      this.entries.get(key).forEach((row) => rows.push(row));
+    }
+    return rows;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      columns: this.columns,
+      unique: this.unique,
+      constraint: this.constraint,
+    };
+  }
+}
+
+function compareKeys(left, right) {
+  if (left < right) return -1;
+  if (left > right) return 1;
+  return 0;
+}
+
+function lowerBound(keys, value) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (keys[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+module.exports = Index;
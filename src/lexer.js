@@ -0,0 +1,208 @@
+const { SqlSyntaxError } = require("./errors");
+
+const SYMBOLS = [
+  "<>",
+  "!=",
+  "<=",
+  ">=",
+  "(",
+  ")",
+  ",",
+  ";",
+  "*",
+  "=",
+  "<",
+  ">",
+  ".",
+  "+",
+  "-",
+  "/",
+  "%",
+];
+
+class Lexer {
+  constructor(sql) {
+    this.sql = sql;
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+  }
+
+  tokenize() {
+    const tokens = [];
+    let token;
+    do {
+      token = this.nextToken();
+      tokens.push(token);
+    } while (token.type !== "eof");
+    return tokens;
+  }
+
+  nextToken() {
+    this.skipWhitespaceAndComments();
+
+    const start = this.pos;
+    const line = this.line;
+    const column = this.column;
+    const make = (type, value, extra = {}) => ({
+      type,
+      value,
+      line,
+      column,
+      start,
+      end: this.pos,
+      ...extra,
+    });
+
+    if (this.pos >= this.sql.length) return make("eof", null);
+
+    const char = this.sql[this.pos];
+
+    if (char === "'" || char === '"') {
+      return make("string", this.readQuoted(char, "string", start));
+    }
+
+    if (char === "`") {
+      const name = this.readQuoted(char, "identifier", start);
+      return make("identifier", name, { quoted: true });
+    }
+
+    if (isDigit(char) || (char === "." && isDigit(this.sql[this.pos + 1]))) {
+      return make("number", this.readNumber());
+    }
+
+    // Placeholders: "?" binds by position, ":name" by name.
+    if (char === "?") {
+      this.advance();
+      return make("parameter", null);
+    }
+
+    if (char === ":" && isIdentifierStart(this.sql[this.pos + 1] || "")) {
+      this.advance();
+      while (
+        this.pos < this.sql.length &&
+        isIdentifierPart(this.sql[this.pos])
+      ) {
+        this.advance();
+      }
+      return make("parameter", this.sql.slice(start + 1, this.pos));
+    }
+
+    if (isIdentifierStart(char)) {
+      while (
+        this.pos < this.sql.length &&
+        isIdentifierPart(this.sql[this.pos])
+      ) {
+        this.advance();
+      }
+      return make("identifier", this.sql.slice(start, this.pos));
+    }
+
+    const symbol = SYMBOLS.find((s) => this.sql.startsWith(s, this.pos));
+    if (symbol) {
+      this.advance(symbol.length);
+      return make("symbol", symbol);
+    }
+
+    throw new SqlSyntaxError(
+      `unexpected character '${char}'`,
+      line,
+      column,
+      start
+    );
+  }
+
+  readQuoted(quote, what, start) {
+    const { line, column } = this;
+    let value = "";
+    this.advance();
+
+    while (this.pos < this.sql.length) {
+      const char = this.sql[this.pos];
+      if (char === quote) {
+        // A doubled quote inside a quoted token stands for the quote itself.
+        if (this.sql[this.pos + 1] === quote) {
+          value += quote;
+          this.advance(2);
+          continue;
+        }
+        this.advance();
+        return value;
+      }
+      value += char;
+      this.advance();
+    }
+
+    throw new SqlSyntaxError(`unterminated ${what}`, line, column, start);
+  }
+
+  readNumber() {
+    const start = this.pos;
+    while (isDigit(this.sql[this.pos])) this.advance();
+    if (this.sql[this.pos] === "." && isDigit(this.sql[this.pos + 1])) {
+      this.advance();
+      while (isDigit(this.sql[this.pos])) this.advance();
+    }
+    if (/[eE]/.test(this.sql[this.pos] || "")) {
+      const sign = /[+-]/.test(this.sql[this.pos + 1] || "") ? 1 : 0;
+      if (isDigit(this.sql[this.pos + 1 + sign])) {
+        this.advance(1 + sign);
+        while (isDigit(this.sql[this.pos])) this.advance();
+      }
+    }
+    return Number(this.sql.slice(start, this.pos));
+  }
+
+  // Comments run from "--" to the end of the line or between "/*" and "*/".
+  skipWhitespaceAndComments() {
+    while (this.pos < this.sql.length) {
+      if (/\s/.test(this.sql[this.pos])) {
+        this.advance();
+      } else if (this.sql.startsWith("--", this.pos)) {
+        while (this.pos < this.sql.length && this.sql[this.pos] !== "\n") {
+          this.advance();
+        }
+      } else if (this.sql.startsWith("/*", this.pos)) {
+        this.skipBlockComment();
+      } else {
+        return;
+      }
+    }
+  }
+
+  skipBlockComment() {
+    const { line, column, pos: start } = this;
+    const end = this.sql.indexOf("*/", this.pos + 2);
+    if (end === -1) {
+      this.advance(this.sql.length - this.pos);
+      throw new SqlSyntaxError("unterminated comment", line, column, start);
+    }
+    this.advance(end + 2 - this.pos);
+  }
+
+  advance(count = 1) {
+    for (let i = 0; i < count; i++) {
+      if (this.sql[this.pos] === "\n") {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+      this.pos++;
+    }
+  }
+}
+
+function isDigit(char) {
+  return char >= "0" && char <= "9";
+}
+
+function isIdentifierStart(char) {
+  return /[A-Za-z_]/.test(char);
+}
+
+function isIdentifierPart(char) {
+  return /[A-Za-z0-9_$]/.test(char);
+}
+
+module.exports = Lexer;
@@ -0,0 +1,568 @@
+const { parseType, coerceValue } = require("./types");
+const { version } = require("../package.json");
+
+// JSON schemas for the values of each column type. Dates and timestamps
+// travel as text in the formats the database accepts.
+const TYPE_SCHEMAS = {
+  INT: { type: "integer" },
+  REAL: { type: "number" },
+  TEXT: { type: "string" },
+  VARCHAR: { type: "string" },
+  BOOLEAN: { type: "boolean" },
+  DATE: { type: "string", format: "date" },
+  TIMESTAMP: { type: "string", example: "2024-01-15 09:30:00" },
+};
+
+// Operators of the column[op]=value filters on list routes.
+const FILTER_OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte"];
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  409: "Conflict",
+  500: "ServerError",
+};
+
+// Describes the web server's routes for the tables and views the session's
+// user can read, as they are now. The document is built again for every
+// request, so it follows CREATE, ALTER, DROP and GRANT at once.
+function openApiDocument(session) {
+  const { db } = session;
+  const schemas = { ...BASE_SCHEMAS };
+  const paths = { ...BASE_PATHS };
+  [...Object.keys(db.tables), ...Object.keys(db.views)]
+    .filter((tableName) => session.canSelect(tableName))
+    .sort()
+    .forEach((tableName) => {
+      const view = db.views[tableName];
+      const table = view ? viewTable(db, view) : db.tables[tableName];
+      const name = schemaName(tableName);
+      schemas[name] = rowSchema(table);
+      schemas[`${name}Result`] = {
+        allOf: [
+          { $ref: "#/components/schemas/Result" },
+          {
+            type: "object",
+            properties: { rows: { type: "array", items: schemaRef(name) } },
+          },
+        ],
+      };
+      if (view) {
+        paths[tablePath(tableName)] = {
+          get: listRoute(tableName, table, name),
+        };
+        return;
+      }
+      schemas[`${name}New`] = inputSchema(table, newRequired(table));
+      schemas[`${name}Replace`] = inputSchema(table, replaceRequired(table));
+      schemas[`${name}Patch`] = { ...inputSchema(table, []), minProperties: 1 };
+      Object.assign(paths, tablePaths(tableName, table, name));
+    });
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Simple RDBMS Web API",
+      version,
+      description:
+        "Routes for the tables and views the signed-in user can read, generated from their schema.",
+    },
+    paths,
+    components: {
+      schemas,
+      responses: BASE_RESPONSES,
+      securitySchemes: SECURITY_SCHEMES,
+    },
+    security: Object.keys(SECURITY_SCHEMES).map((name) => ({ [name]: [] })),
+  };
+}
+
+// A view described as a table with only columns, so that its rows and
+// filters get schemas the way a table's do. Its columns take the types of
+// the columns they select; the others have no type.
+function viewTable(db, view) {
+  const columns = {};
+  db._viewColumns(view).forEach((column) => {
+    columns[column.name] = column.type;
+  });
+  return { columns, constraints: {} };
+}
+
+function tablePath(tableName) {
+  return `/api/${encodeURIComponent(tableName)}`;
+}
+
+function listRoute(tableName, table, name) {
+  return {
+    tags: [tableName],
+    summary: `List ${tableName} rows`,
+    operationId: `list${name}`,
+    parameters: [...filterParameters(table), ...PAGING_PARAMETERS],
+    responses: responses(200, name, [400]),
+  };
+}
+
+function tablePaths(tableName, table, name) {
+  const path = tablePath(tableName);
+  const tags = [tableName];
+  const paths = {
+    [path]: {
+      get: listRoute(tableName, table, name),
+      post: {
+        tags,
+        summary: `Insert a ${tableName} row`,
+        operationId: `create${name}`,
+        requestBody: requestBody(`${name}New`),
+        responses: responses(201, name, [400, 409]),
+      },
+    },
+  };
+
+  const primaryKey = table.constraints.primaryKey;
+  if (!primaryKey) return paths;
+
+  paths[`${path}/{key}`] = {
+    parameters: [
+      {
+        name: "key",
+        in: "path",
+        required: true,
+        description: `The row's ${primaryKey}`,
+        schema: valueSchema(table.columns[primaryKey]),
+      },
+    ],
+    get: {
+      tags,
+      summary: `Read the ${tableName} row with this ${primaryKey}`,
+      operationId: `get${name}`,
+      responses: responses(200, name, [400, 404]),
+    },
+    put: {
+      tags,
+      summary: `Replace a ${tableName} row; columns left out become NULL`,
+      operationId: `replace${name}`,
+      requestBody: requestBody(`${name}Replace`),
+      responses: responses(200, name, [400, 404, 409]),
+    },
+    patch: {
+      tags,
+      summary: `Change the given columns of a ${tableName} row`,
+      operationId: `update${name}`,
+      requestBody: requestBody(`${name}Patch`),
+      responses: responses(200, name, [400, 404, 409]),
+    },
+    delete: {
+      tags,
+      summary: `Delete a ${tableName} row`,
+      operationId: `delete${name}`,
+      responses: responses(200, name, [400, 404, 409]),
+    },
+  };
+  return paths;
+}
+
+// A row as the API returns it: every column is present.
+function rowSchema(table) {
+  const columns = Object.keys(table.columns);
+  const schema = {
+    type: "object",
+    properties: columnSchemas(table),
+    required: columns,
+  };
+  const checks = table.constraints.checks || [];
+  if (checks.length > 0) {
+    schema.description = checks
+      .map((check) => `CHECK ${check.text}`)
+      .join("; ");
+  }
+  return schema;
+}
+
+function inputSchema(table, required) {
+  const schema = {
+    type: "object",
+    properties: columnSchemas(table),
+    additionalProperties: false,
+  };
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+// An insert needs the columns that may not be NULL and have no default.
+function newRequired(table) {
+  return Object.keys(table.columns).filter((column) => {
+    const constraints = columnConstraints(table, column);
+    return (
+      isNotNull(table, column) &&
+      !constraints.default &&
+      !constraints.autoIncrement
+    );
+  });
+}
+
+// A replacement sets every column it leaves out to NULL.
+function replaceRequired(table) {
+  return Object.keys(table.columns).filter(
+    (column) =>
+      column !== table.constraints.primaryKey && isNotNull(table, column)
+  );
+}
+
+function columnSchemas(table) {
+  const properties = {};
+  Object.keys(table.columns).forEach((column) => {
+    properties[column] = columnSchema(table, column);
+  });
+  return properties;
+}
+
+// The schema of a column's values, with the constraints JSON schema cannot
+// express given in its description.
+function columnSchema(table, column) {
+  const dataType = table.columns[column];
+  const constraints = columnConstraints(table, column);
+  const schema = valueSchema(dataType);
+  if (!isNotNull(table, column)) schema.nullable = true;
+
+  const notes = [];
+  if (column === table.constraints.primaryKey) notes.push("primary key");
+  if (constraints.autoIncrement) {
+    notes.push("numbered from the table's sequence when left out");
+  }
+  if (constraints.unique) notes.push("unique");
+  if (constraints.default) {
+    const value = literalDefault(constraints.default, dataType, column);
+    if (value !== undefined) schema.default = value;
+    else notes.push(`defaults to ${constraints.default.text}`);
+  }
+  if (constraints.check) notes.push(`CHECK ${constraints.check.text}`);
+  (table.constraints.foreignKeys || [])
+    .filter((fk) => fk.columns.includes(column))
+    .forEach((fk) => {
+      notes.push(`references ${fk.table} (${fk.references.join(", ")})`);
+    });
+  if (notes.length > 0) schema.description = notes.join("; ");
+  return schema;
+}
+
+function valueSchema(dataType) {
+  if (!dataType) return {};
+  const type = parseType(dataType);
+  const schema = { ...TYPE_SCHEMAS[type.name] };
+  if (type.length !== null) schema.maxLength = type.length;
+  return schema;
+}
+
+// The value of a DEFAULT that is a literal, or undefined for one computed
+// when the row is inserted, such as CURRENT_TIMESTAMP.
+function literalDefault(colDefault, dataType, column) {
+  if (colDefault.expr.type !== "literal") return undefined;
+  return coerceValue(colDefault.expr.value, dataType, column);
+}
+
+function isNotNull(table, column) {
+  return (
+    column === table.constraints.primaryKey ||
+    Boolean(columnConstraints(table, column).notNull)
+  );
+}
+
+function columnConstraints(table, column) {
+  return table.constraints[column] || {};
+}
+
+// One deepObject parameter per column, for ?age[gte]=25 and the like.
+function filterParameters(table) {
+  return Object.keys(table.columns).map((column) => {
+    const value = valueSchema(table.columns[column]);
+    const properties = {};
+    FILTER_OPERATORS.forEach((op) => {
+      properties[op] = value;
+    });
+    properties.like = { type: "string" };
+    properties.in = {
+      type: "string",
+      description: "Values separated by commas",
+    };
+    properties.null = { type: "boolean" };
+    return {
+      name: column,
+      in: "query",
+      style: "deepObject",
+      explode: true,
+      description: `Filters on ${column}; ${column}=value is short for ${column}[eq]=value`,
+      schema: { type: "object", properties },
+    };
+  });
+}
+
+function responses(status, name, errors) {
+  const result = {
+    [status]: {
+      description: "The statement's result",
+      content: { "application/json": { schema: schemaRef(`${name}Result`) } },
+    },
+  };
+  [...errors, 401, 403, 500].forEach((code) => {
+    result[code] = { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` };
+  });
+  return result;
+}
+
+function requestBody(schema) {
+  return {
+    required: true,
+    content: { "application/json": { schema: schemaRef(schema) } },
+  };
+}
+
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Component names may only use letters, digits, ".", "-" and "_".
+function schemaName(tableName) {
+  const name = tableName.replace(/[^A-Za-z0-9._-]/g, "_");
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+const PAGING_PARAMETERS = [
+  {
+    name: "sort",
+    in: "query",
+    description:
+      "Columns separated by commas; a leading - sorts that column descending",
+    schema: { type: "string" },
+  },
+  {
+    name: "limit",
+    in: "query",
+    schema: { type: "integer", minimum: 0 },
+  },
+  {
+    name: "offset",
+    in: "query",
+    schema: { type: "integer", minimum: 0 },
+  },
+];
+
+const BASE_SCHEMAS = {
+  Error: {
+    type: "object",
+    properties: {
+      name: { type: "string" },
+      code: { type: "string" },
+      message: { type: "string" },
+      line: { type: "integer" },
+      column: { type: "integer" },
+      position: { type: "integer", nullable: true },
+    },
+    required: ["code", "message"],
+  },
+  Change: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["insert", "update", "delete"] },
+      table: { type: "string" },
+      before: { type: "object", nullable: true },
+      after: { type: "object", nullable: true },
+    },
+  },
+  ErrorResponse: {
+    type: "object",
+    properties: { error: schemaRef("Error") },
+    required: ["error"],
+  },
+  Result: {
+    type: "object",
+    properties: {
+      rows: { type: "array", items: { type: "object" } },
+      columns: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            type: { type: "string", nullable: true },
+          },
+        },
+      },
+      rowsAffected: { type: "integer" },
+      message: { type: "string", nullable: true },
+      error: { allOf: [schemaRef("Error")], nullable: true },
+      timing: {
+        type: "object",
+        properties: { elapsedMs: { type: "number" } },
+      },
+    },
+  },
+};
+
+const BASE_RESPONSES = {};
+Object.entries(ERROR_RESPONSES).forEach(([status, name]) => {
+  BASE_RESPONSES[name] = {
+    description: `HTTP ${status}; the error code says what went wrong`,
+    content: { "application/json": { schema: schemaRef("ErrorResponse") } },
+  };
+});
+
+const SCRIPT_RESULTS = {
+  "application/json": {
+    schema: {
+      type: "object",
+      properties: { results: { type: "array", items: schemaRef("Result") } },
+    },
+  },
+};
+
+// Every route takes a user name and password, or a token from
+// POST /auth/token.
+const SECURITY_SCHEMES = {
+  basicAuth: { type: "http", scheme: "basic" },
+  bearerAuth: { type: "http", scheme: "bearer" },
+};
+
+const BASE_PATHS = {
+  "/auth/token": {
+    post: {
+      tags: ["auth"],
+      summary: "Get an API token for the signed-in user, valid for an hour",
+      operationId: "createToken",
+      responses: {
+        201: {
+          description: "The new token",
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                properties: {
+                  token: { type: "string" },
+                  user: { type: "string" },
+                  expiresAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
+          },
+        },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+    delete: {
+      tags: ["auth"],
+      summary: "Revoke the API token sent with the request",
+      operationId: "deleteToken",
+      security: [{ bearerAuth: [] }],
+      responses: {
+        204: { description: "The token no longer works" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+      },
+    },
+  },
+  "/events": {
+    get: {
+      tags: ["events"],
+      summary: "Stream the committed row changes of a table",
+      description:
+        'Server-Sent Events named "change", each with a Change as its data.',
+      operationId: "watchTable",
+      parameters: [
+        {
+          name: "table",
+          in: "query",
+          required: true,
+          schema: { type: "string" },
+        },
+        {
+          name: "where",
+          in: "query",
+          description:
+            "Only send changes whose row meets this condition before or after",
+          schema: { type: "string", example: "age > 25" },
+        },
+        {
+          name: "access_token",
+          in: "query",
+          description: "An API token, for clients that cannot send headers",
+          schema: { type: "string" },
+        },
+      ],
+      responses: {
+        200: {
+          description: "The stream, open until the client closes it",
+          content: { "text/event-stream": { schema: { type: "string" } } },
+        },
+        400: { $ref: "#/components/responses/BadRequest" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/Forbidden" },
+        404: { $ref: "#/components/responses/NotFound" },
+      },
+    },
+  },
+  "/sql": {
+    post: {
+      tags: ["sql"],
+      summary: "Run one SQL statement",
+      operationId: "runSql",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                query: { type: "string" },
+                params: {
+                  description: "Values for ? (an array) or :name (an object)",
+                  oneOf: [{ type: "array", items: {} }, { type: "object" }],
+                },
+              },
+              required: ["query"],
+            },
+          },
+        },
+      },
+      responses: {
+        200: {
+          description: "The statement's result",
+          content: { "application/json": { schema: schemaRef("Result") } },
+        },
+        400: { $ref: "#/components/responses/BadRequest" },
+        401: { $ref: "#/components/responses/Unauthorized" },
+        403: { $ref: "#/components/responses/Forbidden" },
+        404: { $ref: "#/components/responses/NotFound" },
+        409: { $ref: "#/components/responses/Conflict" },
+        500: { $ref: "#/components/responses/ServerError" },
+      },
+    },
+  },
+  "/script": {
+    post: {
+      tags: ["sql"],
+      summary: "Run SQL statements separated by semicolons",
+      operationId: "runScript",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: { script: { type: "string" } },
+              required: ["script"],
+            },
+          },
+        },
+      },
+      responses: {
+        200: { description: "Every statement ran", content: SCRIPT_RESULTS },
+        default: {
+          description: "The status of the first statement that failed",
+          content: SCRIPT_RESULTS,
+        },
+      },
+    },
+  },
+};
+
+module.exports = { openApiDocument };
@@ -0,0 +1,1129 @@
+const Lexer = require("./lexer");
+const { SqlSyntaxError } = require("./errors");
+
+// Words that cannot be names, since where a name may appear they could also
+// start or continue the statement. Other keywords, such as KEY, DESC or
+// BEGIN, are only matched where the grammar expects them, so they still
+// work as table, column and alias names.
+const RESERVED = new Set([
+  "SELECT",
+  "INSERT",
+  "UPDATE",
+  "DELETE",
+  "TABLE",
+  "SAVEPOINT",
+  "FROM",
+  "WHERE",
+  "DEFAULT",
+  "NULL",
+  "TRUE",
+  "FALSE",
+  "AND",
+  "OR",
+  "NOT",
+  "IN",
+  "BETWEEN",
+  "LIKE",
+  "IS",
+  "CHECK",
+  "FOREIGN",
+  "CURRENT_TIMESTAMP",
+  "CURRENT_DATE",
+  "AS",
+  "JOIN",
+  "INNER",
+  "LEFT",
+  "RIGHT",
+  "CROSS",
+  "ON",
+  "GROUP",
+  "HAVING",
+  "DISTINCT",
+  "ORDER",
+  "LIMIT",
+  "OFFSET",
+  "RETURNING",
+  "EXISTS",
+  "WITH",
+  "UNION",
+]);
+
+const AGGREGATES = ["COUNT", "SUM", "AVG", "MIN", "MAX"];
+
+const PRIVILEGES = ["SELECT", "INSERT", "UPDATE", "DELETE"];
+
+const COMPARISON_OPERATORS = ["=", "!=", "<>", "<", ">", "<=", ">="];
+const ADDITIVE_OPERATORS = ["+", "-"];
+const MULTIPLICATIVE_OPERATORS = ["*", "/", "%"];
+
+class Parser {
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = new Lexer(sql).tokenize();
+    this.pos = 0;
+    // Placeholders in the order they appear; bound before the statement runs.
+    this.parameters = [];
+    this.allowParameters = true;
+  }
+
+  parse() {
+    const statement = this.parseStatement();
+    if (this.acceptSymbol(";") && this.peek().type !== "eof") {
+      this.error("only one statement can run at a time; use executeScript()");
+    }
+    if (this.peek().type !== "eof") {
+      this.error("expected end of statement");
+    }
+    return statement;
+  }
+
+  // A condition on its own is never bound, so it cannot have placeholders.
+  parseCondition() {
+    const condition = this.parseExpression();
+    if (this.peek().type !== "eof") {
+      this.error("expected end of condition");
+    }
+    if (this.parameters.length > 0) {
+      this.error("placeholders are not allowed in a condition on its own");
+    }
+    return condition;
+  }
+
+  parseStatement() {
+    const token = this.peek();
+    if (token.type !== "identifier" || token.quoted) {
+      this.error("expected a statement");
+    }
+
+    switch (token.value.toUpperCase()) {
+      case "CREATE":
+        return this.parseCreate();
+      case "ALTER":
+        return this.parseAlter();
+      case "INSERT":
+        return this.parseInsert();
+      case "SELECT":
+      case "WITH":
+        return this.parseSelect();
+      case "UPDATE":
+        return this.parseUpdate();
+      case "DELETE":
+        return this.parseDelete();
+      case "DROP":
+        return this.parseDrop();
+      case "SHOW":
+        return this.parseShow();
+      case "DESCRIBE":
+        return this.parseDescribe();
+      case "EXPLAIN":
+        return this.parseExplain();
+      case "BEGIN":
+      case "COMMIT":
+      case "ROLLBACK":
+      case "SAVEPOINT":
+      case "RELEASE":
+        return this.parseTransactionControl();
+      case "GRANT":
+      case "REVOKE":
+        return this.parseGrant();
+      default:
+        this.error(`unknown command ${token.value}`);
+    }
+  }
+
+  parseCreate() {
+    const start = this.peek().start;
+    this.expectKeyword("CREATE");
+    if (this.isKeyword("UNIQUE") || this.isKeyword("INDEX")) {
+      return this.parseCreateIndex();
+    }
+    if (this.acceptKeyword("VIEW")) return this.parseCreateView();
+    if (this.acceptKeyword("USER")) {
+      const name = this.expectIdentifier("user name");
+      return { type: "createUser", name, options: this.parseUserOptions() };
+    }
+    if (this.acceptKeyword("ROLE")) {
+      return { type: "createRole", name: this.expectIdentifier("role name") };
+    }
+    if (this.acceptKeyword("TRIGGER")) return this.parseCreateTrigger(start);
+
+    this.expectKeyword("TABLE");
+    const table = this.expectIdentifier("table name");
+    // DEFAULT and CHECK are stored with the table and outlive any binding.
+    this.allowParameters = false;
+
+    this.expectSymbol("(");
+    const columns = [];
+    const checks = [];
+    const foreignKeys = [];
+    do {
+      if (this.acceptKeyword("CHECK")) {
+        checks.push(this.parseCheck());
+      } else if (this.acceptKeyword("FOREIGN")) {
+        this.expectKeyword("KEY");
+        const keyColumns = this.parseColumnList();
+        this.expectKeyword("REFERENCES");
+        foreignKeys.push({ columns: keyColumns, ...this.parseReferences() });
+      } else {
+        columns.push(this.parseColumnDefinition());
+      }
+    } while (this.acceptSymbol(","));
+    this.expectSymbol(")");
+
+    return { type: "createTable", table, columns, checks, foreignKeys };
+  }
+
+  // The view keeps its SELECT text, which is parsed again when it is loaded.
+  parseCreateView() {
+    const name = this.expectIdentifier("view name");
+    this.expectKeyword("AS");
+    this.allowParameters = false;
+    const start = this.peek().start;
+    const select = this.parseSelect();
+    return { type: "createView", name, select, sql: this.sourceFrom(start) };
+  }
+
+  // CREATE TRIGGER <name> BEFORE|AFTER INSERT|UPDATE|DELETE ON <table>
+  // [FOR EACH ROW] [WHEN (<condition>)] BEGIN <statement>; ... END. The
+  // trigger keeps its text, which is parsed again when it is loaded.
+  parseCreateTrigger(start) {
+    const name = this.expectIdentifier("trigger name");
+    this.allowParameters = false;
+
+    const timing = ["BEFORE", "AFTER"].find((word) => this.acceptKeyword(word));
+    if (!timing) this.error("expected BEFORE or AFTER");
+    const event = ["INSERT", "UPDATE", "DELETE"].find((word) =>
+      this.acceptKeyword(word)
+    );
+    if (!event) this.error("expected INSERT, UPDATE or DELETE");
+    this.expectKeyword("ON");
+    const table = this.expectIdentifier("table name");
+    if (this.acceptKeyword("FOR")) {
+      this.expectKeyword("EACH");
+      this.expectKeyword("ROW");
+    }
+    const when = this.acceptKeyword("WHEN") ? this.parseCheck() : null;
+
+    this.expectKeyword("BEGIN");
+    const bodyStart = this.peek().start;
+    const body = [];
+    do {
+      body.push(this.parseTriggerStatement());
+      this.expectSymbol(";");
+    } while (!this.isKeyword("END"));
+    const bodyText = this.sourceFrom(bodyStart);
+    this.expectKeyword("END");
+
+    return {
+      type: "createTrigger",
+      name,
+      timing,
+      event,
+      table,
+      when,
+      body,
+      bodyText,
+      sql: this.sourceFrom(start),
+    };
+  }
+
+  // A trigger runs INSERT, UPDATE, DELETE and SELECT statements, and
+  // SET NEW.<column> = <value> to change the row being written.
+  parseTriggerStatement() {
+    if (this.acceptKeyword("SET")) {
+      if (!this.acceptKeyword("NEW")) this.error("expected NEW");
+      this.expectSymbol(".");
+      const column = this.expectIdentifier("column name");
+      this.expectSymbol("=");
+      return { type: "setNew", column, value: this.parseExpression() };
+    }
+    if (this.isKeyword("INSERT")) return this.parseInsert();
+    if (this.isKeyword("UPDATE")) return this.parseUpdate();
+    if (this.isKeyword("DELETE")) return this.parseDelete();
+    if (this.isKeyword("SELECT") || this.isKeyword("WITH")) {
+      return this.parseSelect();
+    }
+    this.error("expected INSERT, UPDATE, DELETE, SELECT or SET");
+  }
+
+  parseCreateIndex() {
+    const unique = this.acceptKeyword("UNIQUE");
+    this.expectKeyword("INDEX");
+    const name = this.expectIdentifier("index name");
+    this.expectKeyword("ON");
+    const table = this.expectIdentifier("table name");
+    const columns = this.parseColumnList();
+
+    return { type: "createIndex", name, table, columns, unique };
+  }
+
+  parseColumnDefinition() {
+    const column = {
+      name: this.expectIdentifier("column name"),
+      dataType: this.parseDataType(),
+      autoIncrement: false,
+      primaryKey: false,
+      unique: false,
+      notNull: false,
+      default: null,
+      check: null,
+      references: null,
+    };
+
+    // SERIAL is shorthand for an auto-incrementing INT.
+    if (column.dataType === "SERIAL") {
+      column.dataType = "INT";
+      column.autoIncrement = true;
+    }
+
+    for (;;) {
+      if (
+        this.acceptKeyword("AUTOINCREMENT") ||
+        this.acceptKeyword("AUTO_INCREMENT")
+      ) {
+        column.autoIncrement = true;
+      } else if (this.acceptKeyword("PRIMARY")) {
+        this.expectKeyword("KEY");
+        column.primaryKey = true;
+      } else if (this.acceptKeyword("UNIQUE")) {
+        column.unique = true;
+      } else if (this.acceptKeyword("NOT")) {
+        this.expectKeyword("NULL");
+        column.notNull = true;
+      } else if (this.acceptKeyword("NULL")) {
+        column.notNull = false;
+      } else if (this.acceptKeyword("DEFAULT")) {
+        const start = this.peek().start;
+        const expr = this.parsePrimary();
+        column.default = { expr, text: this.sourceFrom(start) };
+      } else if (this.acceptKeyword("CHECK")) {
+        column.check = this.parseCheck();
+      } else if (this.acceptKeyword("REFERENCES")) {
+        column.references = this.parseReferences();
+      } else {
+        return column;
+      }
+    }
+  }
+
+  // REFERENCES <table> [(<columns>)] [ON DELETE <action>] [ON UPDATE <action>]
+  parseReferences() {
+    const references = {
+      table: this.expectIdentifier("table name"),
+      references: this.isSymbol("(") ? this.parseColumnList() : null,
+      onDelete: "NO ACTION",
+      onUpdate: "NO ACTION",
+    };
+
+    while (this.acceptKeyword("ON")) {
+      if (this.acceptKeyword("DELETE")) {
+        references.onDelete = this.parseReferentialAction();
+      } else if (this.acceptKeyword("UPDATE")) {
+        references.onUpdate = this.parseReferentialAction();
+      } else {
+        this.error("expected DELETE or UPDATE");
+      }
+    }
+    return references;
+  }
+
+  parseReferentialAction() {
+    if (this.acceptKeyword("CASCADE")) return "CASCADE";
+    if (this.acceptKeyword("RESTRICT")) return "RESTRICT";
+    if (this.acceptKeyword("NO")) {
+      this.expectKeyword("ACTION");
+      return "NO ACTION";
+    }
+    if (this.acceptKeyword("SET")) {
+      if (this.acceptKeyword("NULL")) return "SET NULL";
+      if (this.acceptKeyword("DEFAULT")) return "SET DEFAULT";
+      this.error("expected NULL or DEFAULT");
+    }
+    this.error(
+      "expected CASCADE, RESTRICT, NO ACTION, SET NULL or SET DEFAULT"
+    );
+  }
+
+  parseColumnList() {
+    this.expectSymbol("(");
+    const columns = [];
+    do {
+      columns.push(this.expectIdentifier("column name"));
+    } while (this.acceptSymbol(","));
+    this.expectSymbol(")");
+    return columns;
+  }
+
+  parseCheck() {
+    const start = this.peek().start;
+    this.expectSymbol("(");
+    const expr = this.parseExpression();
+    this.expectSymbol(")");
+    return { expr, text: this.sourceFrom(start) };
+  }
+
+  parseAlter() {
+    this.expectKeyword("ALTER");
+    if (this.acceptKeyword("USER")) {
+      const name = this.expectIdentifier("user name");
+      return { type: "alterUser", name, options: this.parseUserOptions() };
+    }
+    this.expectKeyword("TABLE");
+    const table = this.expectIdentifier("table name");
+    this.allowParameters = false;
+
+    let action;
+    if (this.acceptKeyword("ADD")) {
+      this.acceptKeyword("COLUMN");
+      action = { type: "addColumn", column: this.parseColumnDefinition() };
+    } else if (this.acceptKeyword("DROP")) {
+      this.acceptKeyword("COLUMN");
+      action = {
+        type: "dropColumn",
+        column: this.expectIdentifier("column name"),
+      };
+    } else if (this.acceptKeyword("RENAME")) {
+      if (this.acceptKeyword("TO")) {
+        action = {
+          type: "renameTable",
+          name: this.expectIdentifier("table name"),
+        };
+      } else {
+        this.acceptKeyword("COLUMN");
+        const column = this.expectIdentifier("column name");
+        this.expectKeyword("TO");
+        action = {
+          type: "renameColumn",
+          column,
+          name: this.expectIdentifier("column name"),
+        };
+      }
+    } else if (this.acceptKeyword("ALTER")) {
+      this.acceptKeyword("COLUMN");
+      const column = this.expectIdentifier("column name");
+      if (this.acceptKeyword("SET")) this.expectKeyword("DATA");
+      this.expectKeyword("TYPE");
+      action = {
+        type: "alterColumnType",
+        column,
+        dataType: this.parseDataType(),
+      };
+    } else {
+      this.error("expected ADD, DROP, RENAME or ALTER");
+    }
+
+    return { type: "alterTable", table, action };
+  }
+
+  // [WITH] [[ENCRYPTED] PASSWORD '<text>' | PASSWORD NULL]
+  // [SUPERUSER | NOSUPERUSER]. ENCRYPTED takes a hash as stored by the
+  // database. Options left out are not set.
+  parseUserOptions() {
+    this.allowParameters = false;
+    this.acceptKeyword("WITH");
+    const options = {};
+    for (;;) {
+      if (this.isKeyword("ENCRYPTED") || this.isKeyword("PASSWORD")) {
+        const encrypted = this.acceptKeyword("ENCRYPTED");
+        this.expectKeyword("PASSWORD");
+        if (!encrypted && this.acceptKeyword("NULL")) {
+          options.password = null;
+        } else {
+          const text = this.expect("string", "password").value;
+          options.password = { text, encrypted };
+        }
+      } else if (this.acceptKeyword("SUPERUSER")) {
+        options.superuser = true;
+      } else if (this.acceptKeyword("NOSUPERUSER")) {
+        options.superuser = false;
+      } else {
+        return options;
+      }
+    }
+  }
+
+  parseDataType() {
+    let dataType = this.expectIdentifier("column type").toUpperCase();
+    if (this.acceptSymbol("(")) {
+      const params = [];
+      do {
+        params.push(this.expect("number", "type length").value);
+      } while (this.acceptSymbol(","));
+      this.expectSymbol(")");
+      dataType += `(${params.join(",")})`;
+    }
+    return dataType;
+  }
+
+  parseInsert() {
+    this.expectKeyword("INSERT");
+    this.expectKeyword("INTO");
+    const table = this.expectIdentifier("table name");
+
+    const columns = this.isSymbol("(") ? this.parseColumnList() : null;
+
+    let rows = null;
+    let select = null;
+    if (this.isKeyword("SELECT") || this.isKeyword("WITH")) {
+      select = this.parseSelect();
+    } else {
+      this.expectKeyword("VALUES");
+      rows = [];
+      do {
+        rows.push(this.parseValuesRow());
+      } while (this.acceptSymbol(","));
+    }
+
+    return {
+      type: "insert",
+      table,
+      columns,
+      rows,
+      select,
+      returning: this.parseReturning(),
+    };
+  }
+
+  parseValuesRow() {
+    this.expectSymbol("(");
+    const values = [];
+    do {
+      values.push(
+        this.acceptKeyword("DEFAULT")
+          ? { type: "default" }
+          : this.parseExpression()
+      );
+    } while (this.acceptSymbol(","));
+    this.expectSymbol(")");
+    return values;
+  }
+
+  parseSelect() {
+    const ctes = this.isKeyword("WITH") ? this.parseWith() : null;
+    this.expectKeyword("SELECT");
+    const distinct = this.acceptKeyword("DISTINCT");
+
+    const columns = [];
+    do {
+      columns.push(this.parseSelectItem());
+    } while (this.acceptSymbol(","));
+
+    // Without FROM, the select list is computed once, as over one row with
+    // no columns.
+    const from = this.acceptKeyword("FROM") ? this.parseFrom() : null;
+    const where = this.parseWhere();
+
+    const groupBy = [];
+    if (this.acceptKeyword("GROUP")) {
+      this.expectKeyword("BY");
+      do {
+        groupBy.push(this.parseExpression());
+      } while (this.acceptSymbol(","));
+    }
+    const having = this.acceptKeyword("HAVING") ? this.parseExpression() : null;
+
+    const orderBy = [];
+    if (this.acceptKeyword("ORDER")) {
+      this.expectKeyword("BY");
+      do {
+        orderBy.push(this.parseOrderTerm());
+      } while (this.acceptSymbol(","));
+    }
+
+    const limit = this.acceptKeyword("LIMIT") ? this.parsePrimary() : null;
+    const offset = this.acceptKeyword("OFFSET") ? this.parsePrimary() : null;
+
+    return {
+      type: "select",
+      with: ctes,
+      distinct,
+      columns,
+      from,
+      where,
+      groupBy,
+      having,
+      orderBy,
+      limit,
+      offset,
+    };
+  }
+
+  // WITH [RECURSIVE] name [(columns)] AS (SELECT ...), ... A recursive query
+  // is an anchor SELECT, then UNION [ALL] and a SELECT that reads its name.
+  parseWith() {
+    this.expectKeyword("WITH");
+    const recursive = this.acceptKeyword("RECURSIVE");
+    const ctes = [];
+    do {
+      const name = this.expectIdentifier("query name");
+      const columns = this.isSymbol("(") ? this.parseColumnList() : null;
+      this.expectKeyword("AS");
+      this.expectSymbol("(");
+      const select = this.parseSelect();
+      let step = null;
+      let unionAll = false;
+      if (this.isKeyword("UNION")) {
+        if (!recursive) this.error("UNION is only supported in WITH RECURSIVE");
+        this.next();
+        unionAll = this.acceptKeyword("ALL");
+        step = this.parseSelect();
+      }
+      this.expectSymbol(")");
+      ctes.push({ name, columns, select, step, unionAll });
+    } while (this.acceptSymbol(","));
+    return { recursive, ctes };
+  }
+
+  parseOrderTerm() {
+    const expr = this.parseExpression();
+    let direction = "ASC";
+    if (this.acceptKeyword("DESC")) direction = "DESC";
+    else this.acceptKeyword("ASC");
+
+    let nulls = null;
+    if (this.acceptKeyword("NULLS")) {
+      if (this.acceptKeyword("FIRST")) nulls = "FIRST";
+      else if (this.acceptKeyword("LAST")) nulls = "LAST";
+      else this.error("expected FIRST or LAST");
+    }
+
+    return { expr, direction, nulls };
+  }
+
+  parseSelectItem() {
+    if (this.acceptSymbol("*")) return { type: "star", table: null };
+
+    const token = this.peek();
+    if (
+      token.type === "identifier" &&
+      this.isSymbol(".", this.peekAt(1)) &&
+      this.isSymbol("*", this.peekAt(2))
+    ) {
+      this.pos += 3;
+      return { type: "star", table: token.value };
+    }
+
+    const start = token.start;
+    const expr = this.parseExpression();
+    const text = this.sourceFrom(start);
+    return { expr, text, alias: this.parseAlias() };
+  }
+
+  parseFrom() {
+    let from = this.parseTableReference();
+
+    for (;;) {
+      let kind;
+      if (this.acceptSymbol(",")) {
+        kind = "CROSS";
+      } else if (this.acceptKeyword("CROSS")) {
+        this.expectKeyword("JOIN");
+        kind = "CROSS";
+      } else if (this.isKeyword("LEFT") || this.isKeyword("RIGHT")) {
+        kind = this.next().value.toUpperCase();
+        this.acceptKeyword("OUTER");
+        this.expectKeyword("JOIN");
+      } else if (this.acceptKeyword("INNER") || this.isKeyword("JOIN")) {
+        this.expectKeyword("JOIN");
+        kind = "INNER";
+      } else {
+        return from;
+      }
+
+      const right = this.parseTableReference();
+      let on = null;
+      if (kind !== "CROSS") {
+        this.expectKeyword("ON");
+        on = this.parseExpression();
+      }
+      from = { type: "join", kind, left: from, right, on };
+    }
+  }
+
+  parseTableReference() {
+    if (this.isSubquery()) {
+      const { select } = this.parseSubquery();
+      const alias = this.parseAlias();
+      if (alias === null) this.error("a subquery in FROM needs an alias");
+      return { type: "derived", select, alias };
+    }
+    const name = this.expectIdentifier("table name");
+    return { type: "table", name, alias: this.parseAlias() };
+  }
+
+  parseAlias() {
+    if (this.acceptKeyword("AS")) return this.expectIdentifier("alias");
+    const token = this.peek();
+    if (token.type === "identifier" && !this.isReserved(token)) {
+      return this.next().value;
+    }
+    return null;
+  }
+
+  parseUpdate() {
+    this.expectKeyword("UPDATE");
+    const table = this.expectIdentifier("table name");
+    this.expectKeyword("SET");
+
+    const assignments = [];
+    do {
+      const column = this.expectIdentifier("column name");
+      this.expectSymbol("=");
+      assignments.push({ column, value: this.parseExpression() });
+    } while (this.acceptSymbol(","));
+
+    return {
+      type: "update",
+      table,
+      assignments,
+      where: this.parseWhere(),
+      returning: this.parseReturning(),
+    };
+  }
+
+  parseDelete() {
+    this.expectKeyword("DELETE");
+    this.expectKeyword("FROM");
+    const table = this.expectIdentifier("table name");
+    return {
+      type: "delete",
+      table,
+      where: this.parseWhere(),
+      returning: this.parseReturning(),
+    };
+  }
+
+  parseReturning() {
+    if (!this.acceptKeyword("RETURNING")) return null;
+    const items = [];
+    do {
+      items.push(this.parseSelectItem());
+    } while (this.acceptSymbol(","));
+    return items;
+  }
+
+  parseDrop() {
+    this.expectKeyword("DROP");
+    if (this.acceptKeyword("INDEX")) {
+      const name = this.expectIdentifier("index name");
+      const table = this.acceptKeyword("ON")
+        ? this.expectIdentifier("table name")
+        : null;
+      return { type: "dropIndex", name, table };
+    }
+    if (this.acceptKeyword("VIEW")) {
+      return { type: "dropView", name: this.expectIdentifier("view name") };
+    }
+    if (this.acceptKeyword("USER")) {
+      return { type: "dropUser", name: this.expectIdentifier("user name") };
+    }
+    if (this.acceptKeyword("ROLE")) {
+      return { type: "dropRole", name: this.expectIdentifier("role name") };
+    }
+    if (this.acceptKeyword("TRIGGER")) {
+      return {
+        type: "dropTrigger",
+        name: this.expectIdentifier("trigger name"),
+      };
+    }
+
+    this.expectKeyword("TABLE");
+    return { type: "dropTable", table: this.expectIdentifier("table name") };
+  }
+
+  parseShow() {
+    this.expectKeyword("SHOW");
+    if (this.acceptKeyword("USERS")) return { type: "showUsers" };
+    if (this.acceptKeyword("GRANTS")) return { type: "showGrants" };
+    if (this.acceptKeyword("TRIGGERS")) return { type: "showTriggers" };
+    this.expectKeyword("TABLES");
+    return { type: "showTables" };
+  }
+
+  parseDescribe() {
+    this.expectKeyword("DESCRIBE");
+    return { type: "describe", table: this.expectIdentifier("table name") };
+  }
+
+  parseTransactionControl() {
+    const command = this.next().value.toUpperCase();
+
+    if (command === "SAVEPOINT") {
+      return {
+        type: "savepoint",
+        name: this.expectIdentifier("savepoint name"),
+      };
+    }
+    if (command === "RELEASE") {
+      this.acceptKeyword("SAVEPOINT");
+      return { type: "release", name: this.expectIdentifier("savepoint name") };
+    }
+
+    if (!this.acceptKeyword("TRANSACTION")) this.acceptKeyword("WORK");
+    if (command === "ROLLBACK" && this.acceptKeyword("TO")) {
+      this.acceptKeyword("SAVEPOINT");
+      return {
+        type: "rollback",
+        savepoint: this.expectIdentifier("savepoint name"),
+      };
+    }
+    return command === "ROLLBACK"
+      ? { type: "rollback", savepoint: null }
+      : { type: command.toLowerCase() };
+  }
+
+  // GRANT <privileges> ON [TABLE] <table> TO <role> gives a role privileges
+  // on a table or view, or on every one with ON *. GRANT <role> TO <user>
+  // makes a user a member of a role. REVOKE takes them back, with FROM.
+  parseGrant() {
+    const command = this.next().value.toUpperCase();
+    const type = command.toLowerCase();
+    const preposition = command === "GRANT" ? "TO" : "FROM";
+
+    const privileges = this.parsePrivileges();
+    if (!privileges) {
+      const role = this.expectIdentifier("privilege or role name");
+      this.expectKeyword(preposition);
+      const user = this.expectIdentifier("user name");
+      return { type: `${type}Role`, role, user };
+    }
+
+    this.expectKeyword("ON");
+    this.acceptKeyword("TABLE");
+    const table = this.acceptSymbol("*")
+      ? "*"
+      : this.expectIdentifier("table name");
+    this.expectKeyword(preposition);
+    const role = this.expectIdentifier("role name");
+    return { type, privileges, table, role };
+  }
+
+  // The privileges a GRANT or REVOKE lists, or null when it names a role.
+  parsePrivileges() {
+    if (this.acceptKeyword("ALL")) {
+      this.acceptKeyword("PRIVILEGES");
+      return [...PRIVILEGES];
+    }
+    if (!PRIVILEGES.some((privilege) => this.isKeyword(privilege))) {
+      return null;
+    }
+
+    const privileges = [];
+    do {
+      const privilege = PRIVILEGES.find((name) => this.isKeyword(name));
+      if (!privilege) this.error("expected SELECT, INSERT, UPDATE or DELETE");
+      this.next();
+      if (!privileges.includes(privilege)) privileges.push(privilege);
+    } while (this.acceptSymbol(","));
+    return privileges;
+  }
+
+  parseExplain() {
+    this.expectKeyword("EXPLAIN");
+    const analyze = this.acceptKeyword("ANALYZE");
+    return { type: "explain", analyze, statement: this.parseSelect() };
+  }
+
+  parseWhere() {
+    return this.acceptKeyword("WHERE") ? this.parseExpression() : null;
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword("OR")) {
+      left = { type: "logical", op: "OR", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword("AND")) {
+      left = { type: "logical", op: "AND", left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword("NOT")) {
+      return { type: "unary", op: "NOT", operand: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    const expr = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === "symbol" && COMPARISON_OPERATORS.includes(token.value)) {
+      this.next();
+      const op = token.value === "<>" ? "!=" : token.value;
+      return { type: "binary", op, left: expr, right: this.parseAdditive() };
+    }
+
+    if (this.acceptKeyword("IS")) {
+      const negated = this.acceptKeyword("NOT");
+      this.expectKeyword("NULL");
+      return { type: "isNull", expr, negated };
+    }
+
+    const negated = this.acceptKeyword("NOT");
+
+    if (this.acceptKeyword("IN")) {
+      if (this.isSubquery()) {
+        return { type: "in", expr, subquery: this.parseSubquery(), negated };
+      }
+      this.expectSymbol("(");
+      const values = [];
+      do {
+        values.push(this.parseExpression());
+      } while (this.acceptSymbol(","));
+      this.expectSymbol(")");
+      return { type: "in", expr, values, negated };
+    }
+
+    if (this.acceptKeyword("BETWEEN")) {
+      const low = this.parseAdditive();
+      this.expectKeyword("AND");
+      const high = this.parseAdditive();
+      return { type: "between", expr, low, high, negated };
+    }
+
+    if (this.acceptKeyword("LIKE")) {
+      return { type: "like", expr, pattern: this.parseAdditive(), negated };
+    }
+
+    if (negated) this.error("expected IN, BETWEEN or LIKE after NOT");
+    return expr;
+  }
+
+  // Arithmetic binds tighter than comparisons, and *, / and % tighter than
+  // + and -. Operators of the same precedence group from the left.
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (ADDITIVE_OPERATORS.some((op) => this.isSymbol(op))) {
+      const op = this.next().value;
+      const right = this.parseMultiplicative();
+      left = { type: "arithmetic", op, left, right };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (MULTIPLICATIVE_OPERATORS.some((op) => this.isSymbol(op))) {
+      const op = this.next().value;
+      left = { type: "arithmetic", op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  // A minus before a number is part of the literal; before anything else
+  // it negates the value.
+  parseUnary() {
+    if (this.isSymbol("-") && this.peekAt(1).type !== "number") {
+      this.next();
+      return { type: "negate", operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === "number" || token.type === "string") {
+      this.next();
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "parameter") return this.parseParameter();
+
+    if (token.type === "symbol" && token.value === "-") {
+      this.next();
+      const number = this.expect("number", "number");
+      return { type: "literal", value: -number.value };
+    }
+
+    if (this.isSubquery()) return this.parseSubquery();
+    if (this.acceptKeyword("EXISTS")) {
+      return {
+        type: "exists",
+        subquery: { ...this.parseSubquery(), exists: true },
+      };
+    }
+
+    if (this.acceptSymbol("(")) {
+      const expr = this.parseExpression();
+      this.expectSymbol(")");
+      return expr;
+    }
+
+    if (this.acceptKeyword("NULL")) return { type: "literal", value: null };
+    if (this.acceptKeyword("TRUE")) return { type: "literal", value: true };
+    if (this.acceptKeyword("FALSE")) return { type: "literal", value: false };
+    if (this.acceptKeyword("CURRENT_TIMESTAMP")) {
+      return { type: "currentTime", dataType: "TIMESTAMP" };
+    }
+    if (this.acceptKeyword("CURRENT_DATE")) {
+      return { type: "currentTime", dataType: "DATE" };
+    }
+
+    if (
+      token.type === "identifier" &&
+      !token.quoted &&
+      this.isSymbol("(", this.peekAt(1))
+    ) {
+      if (AGGREGATES.includes(token.value.toUpperCase())) {
+        return this.parseAggregate();
+      }
+      this.error(`unknown function ${token.value}`);
+    }
+
+    if (token.type === "identifier" && !this.isReserved(token)) {
+      this.next();
+      if (this.acceptSymbol(".")) {
+        const name = this.expectIdentifier("column name");
+        return { type: "column", table: token.value, name };
+      }
+      return { type: "column", table: null, name: token.value };
+    }
+
+    this.error("expected an expression");
+  }
+
+  parseParameter() {
+    const token = this.peek();
+    if (!this.allowParameters) {
+      this.error("placeholders are not allowed in CREATE or ALTER statements");
+    }
+    const named = token.value !== null;
+    if (
+      this.parameters.length > 0 &&
+      (this.parameters[0].name !== null) !== named
+    ) {
+      this.error("cannot mix ? and :name placeholders");
+    }
+
+    this.next();
+    const parameter = {
+      type: "parameter",
+      name: token.value,
+      index: this.parameters.length,
+    };
+    this.parameters.push(parameter);
+    return parameter;
+  }
+
+  isSubquery() {
+    const next = this.peekAt(1);
+    return (
+      this.isSymbol("(") &&
+      (this.isKeyword("SELECT", next) || this.isKeyword("WITH", next))
+    );
+  }
+
+  // A SELECT in parentheses. Its text is kept for EXPLAIN.
+  parseSubquery() {
+    this.expectSymbol("(");
+    const start = this.peek().start;
+    const select = this.parseSelect();
+    const text = this.sourceFrom(start);
+    this.expectSymbol(")");
+    return { type: "subquery", select, text };
+  }
+
+  parseAggregate() {
+    const name = this.next().value.toUpperCase();
+    this.expectSymbol("(");
+
+    let arg = null;
+    let distinct = false;
+    if (name !== "COUNT" || !this.acceptSymbol("*")) {
+      distinct = this.acceptKeyword("DISTINCT");
+      arg = this.parseExpression();
+    }
+
+    this.expectSymbol(")");
+    return { type: "aggregate", name, arg, distinct };
+  }
+
+  // Token helpers
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  peekAt(offset) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.tokens[this.pos];
+    if (token.type !== "eof") this.pos++;
+    return token;
+  }
+
+  isKeyword(keyword, token = this.peek()) {
+    return (
+      token.type === "identifier" &&
+      !token.quoted &&
+      token.value.toUpperCase() === keyword
+    );
+  }
+
+  isReserved(token) {
+    return !token.quoted && RESERVED.has(token.value.toUpperCase());
+  }
+
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(keyword)) return false;
+    this.next();
+    return true;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.acceptKeyword(keyword)) this.error(`expected ${keyword}`);
+  }
+
+  isSymbol(symbol, token = this.peek()) {
+    return token.type === "symbol" && token.value === symbol;
+  }
+
+  acceptSymbol(symbol) {
+    if (!this.isSymbol(symbol)) return false;
+    this.next();
+    return true;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.acceptSymbol(symbol)) this.error(`expected '${symbol}'`);
+  }
+
+  expect(type, description) {
+    const token = this.peek();
+    if (token.type !== type) this.error(`expected ${description}`);
+    return this.next();
+  }
+
+  expectIdentifier(description) {
+    const token = this.peek();
+    if (token.type !== "identifier" || this.isReserved(token)) {
+      this.error(`expected ${description}`);
+    }
+    return this.next().value;
+  }
+
+  sourceFrom(start) {
+    return this.sql.slice(start, this.tokens[this.pos - 1].end);
+  }
+
+  error(message, token = this.peek()) {
+    throw new SqlSyntaxError(message, token.line, token.column, token.start);
+  }
+}
+
+module.exports = Parser;
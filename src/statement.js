@@ -0,0 +1,196 @@
+const Lexer = require("./lexer");
+const Parser = require("./parser");
+const { BindError } = require("./errors");
+
+// A statement parsed once by `db.prepare(sql)`. Each run binds new values to
+// its placeholders and executes it like `db.execute(sql, params)`, in the
+// session it was prepared in, if any.
+class PreparedStatement {
+  constructor(db, sql, session = null) {
+    this.db = db;
+    this.sql = sql;
+    this.session = session;
+    this.parsed = parseStatement(sql);
+  }
+
+  run(params) {
+    return this.db._run(this.sql, params, () => this.parsed, this.session);
+  }
+}
+
+function parseStatement(sql) {
+  const parser = new Parser(sql);
+  const statement = parser.parse();
+  return { statement, parameters: parser.parameters };
+}
+
+// A condition written as in WHERE, given on its own.
+function parseCondition(sql) {
+  return new Parser(sql).parseCondition();
+}
+
+// Returns a copy of the statement with each placeholder replaced by its
+// value. `?` placeholders take an array in order, `:name` ones an object.
+function bindParameters({ statement, parameters }, params) {
+  if (parameters.length === 0) {
+    const count = Array.isArray(params)
+      ? params.length
+      : Object.keys(params || {}).length;
+    if (count > 0) {
+      throw new BindError(
+        "Values were bound to a statement without placeholders"
+      );
+    }
+    return statement;
+  }
+
+  const values =
+    parameters[0].name === null
+      ? positionalValues(parameters, params)
+      : namedValues(parameters, params);
+  return substitute(statement, values);
+}
+
+function positionalValues(parameters, params) {
+  if (!Array.isArray(params)) {
+    throw new BindError(
+      "Statement expects an array of values for ? placeholders"
+    );
+  }
+  if (params.length !== parameters.length) {
+    throw new BindError(
+      `Statement expects ${parameters.length} value(s), got ${params.length}`
+    );
+  }
+  return params.map((value, i) => checkValue(value, `?${i + 1}`));
+}
+
+function namedValues(parameters, params) {
+  if (!params || typeof params !== "object" || Array.isArray(params)) {
+    throw new BindError(
+      "Statement expects an object of values for :name placeholders"
+    );
+  }
+  return parameters.map(({ name }) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) {
+      throw new BindError(`No value bound for :${name}`);
+    }
+    return checkValue(params[name], `:${name}`);
+  });
+}
+
+function checkValue(value, placeholder) {
+  if (
+    value === null ||
+    typeof value === "string" ||
+    typeof value === "boolean" ||
+    value instanceof Date ||
+    (typeof value === "number" && Number.isFinite(value))
+  ) {
+    return value;
+  }
+  throw new BindError(`Cannot bind ${String(value)} to ${placeholder}`);
+}
+
+// Splits a script into the text of its statements. Only `;` tokens end a
+// statement, so semicolons in strings, quoted names and comments do not.
+function splitStatements(sql) {
+  return scanStatements(sql).ranges.map(([start, end]) =>
+    sql.slice(start, end)
+  );
+}
+
+// Whether `sql` ends with a `;` that closes a statement. A `;` inside an
+// unterminated string or comment does not, since more input is to come;
+// nor does one inside the body of a CREATE TRIGGER.
+function endsStatement(sql) {
+  return scanStatements(sql).closed;
+}
+
+// The start and end of each statement in a script, and whether the script
+// ends with the `;` closing one. The `;`s between the BEGIN and END of a
+// CREATE TRIGGER end the statements of its body, not the trigger; its END
+// is the first one after a `;`.
+function scanStatements(sql) {
+  const ranges = [];
+  let tokens = [];
+  let inBody = false;
+  let closed = false;
+  scriptTokens(sql).forEach((token) => {
+    closed = false;
+    if (isSemicolon(token) && !inBody) {
+      if (tokens.length > 0) {
+        ranges.push([tokens[0].start, tokens[tokens.length - 1].end]);
+      }
+      tokens = [];
+      closed = true;
+      return;
+    }
+
+    const previous = tokens[tokens.length - 1];
+    if (inBody) {
+      inBody = !(isWord(token, "END") && isSemicolon(previous));
+    } else if (isWord(token, "BEGIN") && isWord(tokens[1], "TRIGGER")) {
+      inBody = isWord(tokens[0], "CREATE");
+    }
+    tokens.push(token);
+  });
+  if (tokens.length > 0) {
+    ranges.push([tokens[0].start, tokens[tokens.length - 1].end]);
+  }
+  return { ranges, closed };
+}
+
+// Text the lexer rejects becomes an "invalid" token, so the statement
+// holding it reports the error when it runs. An unterminated string or
+// comment takes the rest of the script.
+function scriptTokens(sql) {
+  const lexer = new Lexer(sql);
+  const tokens = [];
+  for (;;) {
+    try {
+      const token = lexer.nextToken();
+      if (token.type === "eof") return tokens;
+      tokens.push(token);
+    } catch (error) {
+      if (lexer.pos < sql.length) lexer.advance();
+      tokens.push({ type: "invalid", start: error.position, end: lexer.pos });
+    }
+  }
+}
+
+function isSemicolon(token) {
+  return token.type === "symbol" && token.value === ";";
+}
+
+function isWord(token, word) {
+  return (
+    Boolean(token) &&
+    token.type === "identifier" &&
+    !token.quoted &&
+    token.value.toUpperCase() === word
+  );
+}
+
+function substitute(node, values) {
+  if (Array.isArray(node)) return node.map((item) => substitute(item, values));
+  if (!node || typeof node !== "object") return node;
+  if (node.type === "parameter") {
+    return { type: "literal", value: values[node.index] };
+  }
+
+  const copy = {};
+  Object.keys(node).forEach((key) => {
+    copy[key] = substitute(node[key], values);
+  });
+  return copy;
+}
+
+module.exports = {
+  PreparedStatement,
+  parseStatement,
+  parseCondition,
+  bindParameters,
+  splitStatements,
+  endsStatement,
+};
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const { StorageError } = require("./errors");
+
+const SNAPSHOT_FILE = "snapshot.json";
+const LOG_FILE = "wal.log";
+
+// A database directory holds a snapshot of the whole database and a
+// write-ahead log of the transactions committed since. Each log record is
+// one line of JSON carrying a log sequence number (LSN); the snapshot
+// remembers the last LSN it includes, so records already in it are skipped.
+class Storage {
+  constructor(dir) {
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, SNAPSHOT_FILE);
+    this.logPath = path.join(dir, LOG_FILE);
+    this.fd = null;
+    this.lsn = 0;
+    this.logSize = 0;
+    this.logRecords = 0;
+  }
+
+  // Returns the snapshot data (or null) and the log records to replay on
+  // top of it. A record cut short by a crash ends the log: it and anything
+  // after it are cut off, since that transaction never committed.
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    let snapshot = { lsn: 0, data: null };
+    if (fs.existsSync(this.snapshotPath)) {
+      snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, "utf8"));
+    }
+    this.lsn = snapshot.lsn;
+
+    const records = [];
+    const log = fs.existsSync(this.logPath)
+      ? fs.readFileSync(this.logPath)
+      : Buffer.alloc(0);
+    let start = 0;
+    while (start < log.length) {
+      const end = log.indexOf(0x0a, start);
+      if (end === -1) break;
+      const record = parseRecord(log.toString("utf8", start, end));
+      if (!record) break;
+
+      if (record.lsn > this.lsn) {
+        records.push(record);
+        this.lsn = record.lsn;
+      }
+      this.logRecords++;
+      start = end + 1;
+    }
+
+    this.fd = fs.openSync(this.logPath, "a");
+    if (start < log.length) {
+      fs.ftruncateSync(this.fd, start);
+      fs.fsyncSync(this.fd);
+    }
+    this.logSize = start;
+
+    return { data: snapshot.data, records };
+  }
+
+  // Appends one committed transaction and waits until it is on disk. A
+  // failed write is cut off again so later records stay readable.
+  append(statements) {
+    const record = { lsn: this.lsn + 1, statements };
+    const line = Buffer.from(`${JSON.stringify(record, encodeValue)}\n`);
+    try {
+      fs.writeSync(this.fd, line);
+      fs.fsyncSync(this.fd);
+    } catch (error) {
+      fs.ftruncateSync(this.fd, this.logSize);
+      throw new StorageError(`Could not write to the log: ${error.message}`);
+    }
+
+    this.lsn = record.lsn;
+    this.logSize += line.length;
+    this.logRecords++;
+  }
+
+  // Writes a new snapshot next to the old one and renames it into place, so
+  // a crash leaves either snapshot intact. Only then is the log emptied.
+  checkpoint(data) {
+    const temporary = `${this.snapshotPath}.tmp`;
+    const fd = fs.openSync(temporary, "w");
+    try {
+      fs.writeSync(fd, JSON.stringify({ lsn: this.lsn, data }));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temporary, this.snapshotPath);
+    syncDirectory(this.dir);
+
+    fs.ftruncateSync(this.fd, 0);
+    fs.fsyncSync(this.fd);
+    this.logSize = 0;
+    this.logRecords = 0;
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+function parseRecord(line) {
+  try {
+    const record = JSON.parse(line, decodeValue);
+    return Number.isInteger(record.lsn) && Array.isArray(record.statements)
+      ? record
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Bound parameters may be Dates, which JSON would turn into plain strings
+// that a DATE column no longer accepts.
+function encodeValue(key, value) {
+  return this[key] instanceof Date ? { $date: value } : value;
+}
+
+function decodeValue(key, value) {
+  return value && typeof value.$date === "string"
+    ? new Date(value.$date)
+    : value;
+}
+
+// Makes a rename durable. Not every platform can open a directory for this,
+// and there the rename is as durable as the platform allows.
+function syncDirectory(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, "r");
+    fs.fsyncSync(fd);
+  } catch (error) {
+    return;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+module.exports = Storage;
@@ -0,0 +1,186 @@
+const { SchemaError, TypeMismatchError } = require("./errors");
+
+const ALIASES = {
+  INTEGER: "INT",
+  FLOAT: "REAL",
+  DOUBLE: "REAL",
+  BOOL: "BOOLEAN",
+  DATETIME: "TIMESTAMP",
+};
+
+const TYPES = [
+  "INT",
+  "TEXT",
+  "REAL",
+  "BOOLEAN",
+  "DATE",
+  "TIMESTAMP",
+  "VARCHAR",
+];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIMESTAMP_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(\.\d{1,3})?)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function parseType(dataType) {
+  const match = String(dataType).match(/^(\w+)(?:\((\d+)\))?$/);
+  if (!match) return null;
+  const name = match[1].toUpperCase();
+  return {
+    name: ALIASES[name] || name,
+    length: match[2] === undefined ? null : Number(match[2]),
+  };
+}
+
+function normalizeType(dataType, column) {
+  const type = parseType(dataType);
+  if (!type || !TYPES.includes(type.name)) {
+    throw new SchemaError(`Unknown type ${dataType} for column ${column}`);
+  }
+  if (type.name === "VARCHAR") {
+    if (!type.length) {
+      throw new SchemaError(`Type VARCHAR for column ${column} needs a length`);
+    }
+    return `VARCHAR(${type.length})`;
+  }
+  if (type.length !== null) {
+    throw new SchemaError(
+      `Type ${type.name} for column ${column} takes no length`
+    );
+  }
+  return type.name;
+}
+
+function coerceValue(value, dataType, column) {
+  if (value === null || value === undefined) return null;
+
+  const type = parseType(dataType);
+  const fail = () => {
+    throw new TypeMismatchError(
+      `Column ${column} expects ${dataType}, got ${formatValue(value)}`
+    );
+  };
+
+  switch (type.name) {
+    case "INT": {
+      const number = toNumber(value);
+      if (number === null || !Number.isInteger(number)) fail();
+      return number;
+    }
+    case "REAL": {
+      const number = toNumber(value);
+      if (number === null) fail();
+      return number;
+    }
+    case "TEXT":
+    case "VARCHAR": {
+      if (typeof value === "object") fail();
+      const text = String(value);
+      if (type.length !== null && text.length > type.length) {
+        throw new TypeMismatchError(
+          `Value for column ${column} exceeds ${dataType} (${text.length} characters)`
+        );
+      }
+      return text;
+    }
+    case "BOOLEAN": {
+      const bool = toBoolean(value);
+      if (bool === null) fail();
+      return bool;
+    }
+    case "DATE": {
+      const date = toTimestamp(value);
+      if (
+        date === null ||
+        (typeof value === "string" && !DATE_PATTERN.test(value.trim()))
+      ) {
+        fail();
+      }
+      return date.slice(0, 10);
+    }
+    case "TIMESTAMP": {
+      const timestamp = toTimestamp(value);
+      if (timestamp === null) fail();
+      return timestamp;
+    }
+    default:
+      return value;
+  }
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+}
+
+function toBoolean(value) {
+  if (typeof value === "boolean") return value;
+  if (value === 1 || value === 0) return value === 1;
+  if (typeof value === "string") {
+    const text = value.trim().toLowerCase();
+    if (["true", "t", "1", "yes"].includes(text)) return true;
+    if (["false", "f", "0", "no"].includes(text)) return false;
+  }
+  return null;
+}
+
+// Dates and timestamps are stored as sortable strings: "YYYY-MM-DD" and
+// "YYYY-MM-DD HH:MM:SS[.mmm]". Values carrying a UTC offset are converted to
+// UTC; values without one are kept as written.
+function toTimestamp(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : formatTimestamp(value);
+  }
+  if (typeof value !== "string") return null;
+
+  const match = value.trim().match(TIMESTAMP_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00"] = match;
+  const fraction = match[7] || "";
+  const offset = match[8];
+
+  const date = new Date(
+    Date.UTC(+year, +month - 1, +day, +hour, +minute, +second)
+  );
+  if (
+    date.getUTCFullYear() !== +year ||
+    date.getUTCMonth() !== +month - 1 ||
+    date.getUTCDate() !== +day ||
+    date.getUTCHours() !== +hour ||
+    date.getUTCMinutes() !== +minute ||
+    date.getUTCSeconds() !== +second
+  ) {
+    return null;
+  }
+
+  if (offset) {
+    const zone = /^[+-]\d{4}$/.test(offset)
+      ? `${offset.slice(0, 3)}:${offset.slice(3)}`
+      : offset;
+    return formatTimestamp(
+      new Date(
+        `${year}-${month}-${day}T${hour}:${minute}:${second}${fraction}${zone}`
+      )
+    );
+  }
+  return `${year}-${month}-${day} ${hour}:${minute}:${second}${fraction}`;
+}
+
+function formatTimestamp(date) {
+  const iso = date.toISOString();
+  const millis = iso.slice(19, 23);
+  return `${iso.slice(0, 10)} ${iso.slice(11, 19)}${
+    millis === ".000" ? "" : millis
+  }`;
+}
+
+function formatValue(value) {
+  return typeof value === "string" ? `'${value}'` : String(value);
+}
+
+module.exports = { parseType, normalizeType, coerceValue, formatTimestamp };
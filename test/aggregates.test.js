@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE sales (id INT PRIMARY KEY, region TEXT, product TEXT, amount INT)",
+    `INSERT INTO sales VALUES
+      (1, 'north', 'pen', 10),
+      (2, 'north', 'pen', 20),
+      (3, 'north', 'ink', NULL),
+      (4, 'south', 'pen', 5),
+      (5, 'south', 'ink', 15)`,
+  ]);
+}
+
+test("aggregates summarize every row without GROUP BY", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "SELECT COUNT(*), COUNT(amount), SUM(amount), AVG(amount), MIN(amount), MAX(amount) FROM sales"
+    ),
+    [
+      {
+        "COUNT(*)": 5,
+        "COUNT(amount)": 4,
+        "SUM(amount)": 50,
+        "AVG(amount)": 12.5,
+        "MIN(amount)": 5,
+        "MAX(amount)": 20,
+      },
+    ]
+  );
+});
+
+test("COUNT(DISTINCT) counts different values", () => {
+  assert.deepEqual(
+    rows(setup(), "SELECT COUNT(DISTINCT product) AS products FROM sales"),
+    [{ products: 2 }]
+  );
+});
+
+test("aggregates of no rows", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "SELECT COUNT(*) AS n, SUM(amount) AS total FROM sales WHERE id > 10"
+    ),
+    [{ n: 0, total: null }]
+  );
+});
+
+test("GROUP BY one or more columns", () => {
+  const db = setup();
+  assert.deepEqual(
+    rows(db, "SELECT region, SUM(amount) AS total FROM sales GROUP BY region"),
+    [
+      { region: "north", total: 30 },
+      { region: "south", total: 20 },
+    ]
+  );
+  assert.deepEqual(
+    rows(
+      db,
+      "SELECT region, product, COUNT(*) AS n FROM sales GROUP BY region, product"
+    ),
+    [
+      { region: "north", product: "pen", n: 2 },
+      { region: "north", product: "ink", n: 1 },
+      { region: "south", product: "pen", n: 1 },
+      { region: "south", product: "ink", n: 1 },
+    ]
+  );
+});
+
+test("HAVING filters the groups", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "SELECT product, COUNT(*) AS n FROM sales GROUP BY product HAVING SUM(amount) > 30"
+    ),
+    [{ product: "pen", n: 3 }]
+  );
+});
+
+test("a selected column must be grouped or aggregated", () => {
+  assert.equal(
+    errorOf(
+      setup(),
+      "SELECT region, product, COUNT(*) FROM sales GROUP BY region"
+    ),
+    "Column product must appear in GROUP BY or be used in an aggregate function"
+  );
+});
@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT, age INT, email TEXT UNIQUE)",
+    "CREATE INDEX idx_age ON users (age)",
+    "INSERT INTO users VALUES (1, 'Alice', 30, 'a@x'), (2, 'Bob', NULL, 'b@x')",
+  ]);
+}
+
+test("ADD COLUMN fills existing rows with the default", () => {
+  const db = setup();
+  run(db, "ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'new'");
+  assert.deepEqual(rows(db, "SELECT id, status FROM users"), [
+    { id: 1, status: "new" },
+    { id: 2, status: "new" },
+  ]);
+  assert.equal(
+    errorOf(db, "ALTER TABLE users ADD COLUMN req TEXT NOT NULL"),
+    "Column req cannot be NULL"
+  );
+  assert.deepEqual(
+    rows(db, "DESCRIBE users").map((column) => column.Field),
+    ["id", "name", "age", "email", "status"]
+  );
+});
+
+test("RENAME COLUMN carries indexes and constraints along", () => {
+  const db = setup();
+  run(db, "ALTER TABLE users RENAME COLUMN age TO years");
+  run(db, "ALTER TABLE users RENAME COLUMN email TO mail");
+  assert.deepEqual(db.tables.users.indexes.idx_age.columns, ["years"]);
+  const [scan] = rows(db, "EXPLAIN SELECT * FROM users WHERE years = 30");
+  assert.equal(scan.index, "idx_age");
+  assert.equal(
+    errorOf(db, "INSERT INTO users (id, mail) VALUES (3, 'a@x')"),
+    "Duplicate value for UNIQUE column mail: a@x"
+  );
+  assert.equal(errorOf(db, "SELECT age FROM users"), "Unknown column: age");
+});
+
+test("DROP COLUMN drops its indexes", () => {
+  const db = setup();
+  run(db, "ALTER TABLE users DROP COLUMN age");
+  assert.deepEqual(Object.keys(db.tables.users.indexes), [
+    "users_pkey",
+    "users_email_key",
+  ]);
+  assert.deepEqual(rows(db, "SELECT * FROM users WHERE id = 1"), [
+    { id: 1, name: "Alice", email: "a@x" },
+  ]);
+  assert.equal(
+    errorOf(db, "ALTER TABLE users DROP COLUMN id"),
+    "Cannot drop primary key column id"
+  );
+});
+
+test("ALTER COLUMN TYPE converts the values or changes nothing", () => {
+  const db = setup();
+  run(db, "ALTER TABLE users ALTER COLUMN age TYPE TEXT");
+  assert.deepEqual(rows(db, "SELECT age FROM users"), [
+    { age: "30" },
+    { age: null },
+  ]);
+  assert.equal(
+    errorOf(db, "ALTER TABLE users ALTER COLUMN name TYPE INT"),
+    "Column name expects INT, got 'Alice'"
+  );
+  assert.equal(db.tables.users.columns.name, "TEXT");
+});
+
+test("RENAME TO renames the table", () => {
+  const db = setup();
+  run(db, "ALTER TABLE users RENAME TO people");
+  assert.equal(errorOf(db, "SELECT * FROM users"), "Table users doesn't exist");
+  assert.deepEqual(rows(db, "SELECT name FROM people WHERE age = 30"), [
+    { name: "Alice" },
+  ]);
+  assert.ok(db.tables.people.indexes.idx_age);
+});
@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const SimpleRDBMS = require("../src/db");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY AUTOINCREMENT, name TEXT)",
+  ]);
+}
+
+test("AUTOINCREMENT numbers the rows that leave the key out", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "INSERT INTO users (name) VALUES ('a'), ('b') RETURNING id, name"
+    ),
+    [
+      { id: 1, name: "a" },
+      { id: 2, name: "b" },
+    ]
+  );
+});
+
+test("the sequence continues after a larger explicit key", () => {
+  const db = setup();
+  run(db, "INSERT INTO users (id, name) VALUES (10, 'c')");
+  assert.deepEqual(
+    rows(db, "INSERT INTO users (name) VALUES ('d') RETURNING id"),
+    [{ id: 11 }]
+  );
+});
+
+test("SERIAL is an INT AUTOINCREMENT column", () => {
+  const db = createDb(["CREATE TABLE tags (id SERIAL, name TEXT)"]);
+  const [id] = rows(db, "DESCRIBE tags");
+  assert.equal(id.Type, "INT");
+  assert.equal(id.Extra, "AUTOINCREMENT");
+  assert.deepEqual(
+    rows(db, "INSERT INTO tags (name) VALUES ('x') RETURNING id"),
+    [{ id: 1 }]
+  );
+});
+
+test("only INT columns can be AUTOINCREMENT", () => {
+  assert.equal(
+    errorOf(createDb(), "CREATE TABLE bad (id TEXT PRIMARY KEY AUTOINCREMENT)"),
+    "AUTOINCREMENT column id must be INT"
+  );
+});
+
+test("the sequence is saved with the database", () => {
+  const db = setup();
+  run(db, "INSERT INTO users (name) VALUES ('a'), ('b')");
+  run(db, "DELETE FROM users WHERE id = 2");
+  const copy = new SimpleRDBMS();
+  copy.fromJSON(JSON.parse(JSON.stringify(db.toJSON())));
+  assert.deepEqual(
+    rows(copy, "INSERT INTO users (name) VALUES ('c') RETURNING id"),
+    [{ id: 3 }]
+  );
+});
+
+test("RETURNING gives the changed rows of UPDATE and DELETE", () => {
+  const db = setup();
+  run(db, "INSERT INTO users (name) VALUES ('a'), ('b'), ('c')");
+  const updated = run(
+    db,
+    "UPDATE users SET name = 'B' WHERE id = 2 RETURNING id, name AS new_name"
+  );
+  assert.deepEqual(updated.rows, [{ id: 2, new_name: "B" }]);
+  assert.deepEqual(updated.columns, [
+    { name: "id", type: "INT" },
+    { name: "new_name", type: "TEXT" },
+  ]);
+  assert.equal(updated.rowsAffected, 1);
+
+  assert.deepEqual(rows(db, "DELETE FROM users WHERE id > 1 RETURNING *"), [
+    { id: 2, name: "B" },
+    { id: 3, name: "c" },
+  ]);
+  assert.equal(
+    errorOf(db, "INSERT INTO users (name) VALUES ('d') RETURNING nope"),
+    "Unknown column: nope"
+  );
+  assert.deepEqual(rows(db, "SELECT id FROM users"), [{ id: 1 }]);
+});
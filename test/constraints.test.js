@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    `CREATE TABLE users (
+      id INT PRIMARY KEY,
+      email TEXT UNIQUE,
+      name TEXT NOT NULL,
+      age INT CHECK (age >= 0),
+      status TEXT DEFAULT 'new',
+      created TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (age < 200)
+    )`,
+    "INSERT INTO users VALUES (1, 'a@x', 'A', NULL, DEFAULT, DEFAULT)",
+  ]);
+}
+
+test("UNIQUE is enforced on insert and update", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "INSERT INTO users VALUES (2, 'a@x', 'B', NULL, NULL, NULL)"),
+    "Duplicate value for UNIQUE column email: a@x"
+  );
+  run(db, "INSERT INTO users VALUES (2, 'b@x', 'B', NULL, NULL, NULL)");
+  assert.equal(
+    errorOf(db, "UPDATE users SET email = 'a@x' WHERE id = 2"),
+    "Duplicate value for UNIQUE column email: a@x"
+  );
+  assert.deepEqual(rows(db, "SELECT email FROM users WHERE id = 2"), [
+    { email: "b@x" },
+  ]);
+});
+
+test("UNIQUE allows any number of NULLs", () => {
+  const db = setup();
+  run(db, "INSERT INTO users VALUES (2, NULL, 'B', NULL, NULL, NULL)");
+  run(db, "INSERT INTO users VALUES (3, NULL, 'C', NULL, NULL, NULL)");
+  assert.equal(rows(db, "SELECT id FROM users WHERE email IS NULL").length, 2);
+});
+
+test("the primary key must be unique", () => {
+  assert.equal(
+    errorOf(
+      setup(),
+      "INSERT INTO users VALUES (1, NULL, 'B', NULL, NULL, NULL)"
+    ),
+    "Duplicate primary key: 1"
+  );
+});
+
+test("NOT NULL is enforced on insert and update", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "INSERT INTO users VALUES (2, NULL, NULL, NULL, NULL, NULL)"),
+    "Column name cannot be NULL"
+  );
+  assert.equal(
+    errorOf(db, "UPDATE users SET name = NULL"),
+    "Column name cannot be NULL"
+  );
+});
+
+test("column and table CHECK constraints are enforced", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "INSERT INTO users VALUES (2, NULL, 'B', -1, NULL, NULL)"),
+    "CHECK constraint failed: (age >= 0)"
+  );
+  assert.equal(
+    errorOf(db, "UPDATE users SET age = 300"),
+    "CHECK constraint failed: (age < 200)"
+  );
+  // A CHECK that is unknown because of a NULL passes.
+  run(db, "UPDATE users SET age = NULL");
+});
+
+test("DEFAULT fills in the column's default", () => {
+  const [row] = rows(setup(), "SELECT status, created, age FROM users");
+  assert.equal(row.status, "new");
+  assert.match(row.created, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/);
+  assert.equal(row.age, null);
+});
+
+test("DESCRIBE shows the constraints", () => {
+  const columns = rows(setup(), "DESCRIBE users");
+  const byName = Object.fromEntries(columns.map((c) => [c.Field, c]));
+  assert.equal(byName.id.Key, "PRI");
+  assert.equal(byName.id.Null, "NO");
+  assert.equal(byName.email.Key, "UNI");
+  assert.equal(byName.name.Null, "NO");
+  assert.equal(byName.status.Default, "'new'");
+  assert.equal(byName.created.Default, "CURRENT_TIMESTAMP");
+  assert.equal(byName.age.Extra, "CHECK (age >= 0), CHECK (age < 200)");
+});
@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const WebServer = require("../bin/web-server");
+const { createDb, run } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE items (id INT PRIMARY KEY, v INT)",
+    "CREATE TABLE other (id INT)",
+  ]);
+}
+
+function record(db) {
+  const changes = [];
+  db.on("change", (change) => changes.push(change));
+  return changes;
+}
+
+test("writes emit a change for each row with before and after images", () => {
+  const db = setup();
+  const changes = record(db);
+  run(db, "INSERT INTO items VALUES (1, 10), (2, 20)");
+  run(db, "UPDATE items SET v = 11 WHERE id = 1");
+  run(db, "DELETE FROM items WHERE id = 2");
+  assert.deepEqual(changes, [
+    { type: "insert", table: "items", before: null, after: { id: 1, v: 10 } },
+    { type: "insert", table: "items", before: null, after: { id: 2, v: 20 } },
+    {
+      type: "update",
+      table: "items",
+      before: { id: 1, v: 10 },
+      after: { id: 1, v: 11 },
+    },
+    { type: "delete", table: "items", before: { id: 2, v: 20 }, after: null },
+  ]);
+});
+
+test("changes are emitted only once committed", () => {
+  const db = setup();
+  const changes = record(db);
+  run(db, "BEGIN");
+  run(db, "INSERT INTO items VALUES (1, 10)");
+  assert.equal(changes.length, 0);
+  run(db, "COMMIT");
+  assert.equal(changes.length, 1);
+
+  run(db, "BEGIN");
+  run(db, "INSERT INTO items VALUES (2, 20)");
+  run(db, "ROLLBACK");
+  assert.equal(
+    db.execute("INSERT INTO items VALUES (1, 0)").error.code,
+    "CONSTRAINT_PRIMARY_KEY"
+  );
+  assert.equal(changes.length, 1);
+});
+
+test("watch filters by table and condition until stopped", () => {
+  const db = setup();
+  const changes = [];
+  const stop = db.watch("items", "v > 15", (change) => changes.push(change));
+  run(db, "INSERT INTO items VALUES (1, 50), (2, 5)");
+  run(db, "UPDATE items SET v = 1 WHERE id = 1");
+  run(db, "INSERT INTO other VALUES (1)");
+  stop();
+  run(db, "INSERT INTO items VALUES (3, 70)");
+  assert.deepEqual(
+    changes.map(({ type, before, after }) => [type, before, after]),
+    [
+      ["insert", null, { id: 1, v: 50 }],
+      ["update", { id: 1, v: 50 }, { id: 1, v: 1 }],
+    ]
+  );
+});
+
+test("watch checks the table and condition", () => {
+  const db = setup();
+  assert.throws(() => db.watch("nope", null, () => {}), {
+    code: "NO_SUCH_TABLE",
+  });
+  assert.throws(() => db.watch("items", "nope > 1", () => {}), {
+    code: "NO_SUCH_COLUMN",
+  });
+  assert.throws(
+    () => db.watch("items", "(SELECT id FROM other) = 1", () => {}),
+    {
+      message: "A watch condition cannot use a subquery",
+    }
+  );
+});
+
+test("a session watches only while it may read the table", () => {
+  const db = setup();
+  [
+    "CREATE USER reader PASSWORD 'reader'",
+    "CREATE ROLE readers",
+    "GRANT SELECT ON items TO readers",
+    "GRANT readers TO reader",
+  ].forEach((sql) => run(db, sql));
+  const session = db.session("reader");
+  assert.throws(() => session.watch("other", null, () => {}), {
+    code: "PERMISSION_DENIED",
+  });
+
+  const changes = [];
+  session.watch("items", null, (change) => changes.push(change));
+  run(db, "INSERT INTO items VALUES (1, 1)");
+  run(db, "REVOKE SELECT ON items FROM readers");
+  run(db, "INSERT INTO items VALUES (2, 2)");
+  assert.deepEqual(
+    changes.map((change) => change.after.id),
+    [1]
+  );
+});
+
+test("GET /events streams changes as Server-Sent Events", async () => {
+  const server = new WebServer(0, null, { adminPassword: "secret" });
+  const listener = await new Promise((resolve) => {
+    const started = server.app.listen(0, "127.0.0.1", () => resolve(started));
+  });
+  const baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  const headers = {
+    Authorization: `Basic ${Buffer.from("admin:secret").toString("base64")}`,
+  };
+  const controller = new AbortController();
+  try {
+    const response = await fetch(
+      `${baseUrl}/events?table=users&where=${encodeURIComponent("age > 40")}`,
+      { headers, signal: controller.signal }
+    );
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "text/event-stream");
+
+    run(server.db, "INSERT INTO users (name, age) VALUES ('Young', 20)");
+    run(server.db, "INSERT INTO users (name, age) VALUES ('Old', 50)");
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    while (!text.includes("event: change")) {
+      const { value, done } = await reader.read();
+      assert.equal(done, false, "the stream ended before a change came");
+      text += decoder.decode(value);
+    }
+    const data = text.match(/event: change\ndata: (.*)\n\n/)[1];
+    const change = JSON.parse(data);
+    assert.equal(change.type, "insert");
+    assert.equal(change.after.name, "Old");
+
+    const missing = await fetch(`${baseUrl}/events?table=nope`, { headers });
+    assert.equal(missing.status, 404);
+  } finally {
+    controller.abort();
+    await new Promise((resolve) => listener.close(resolve));
+  }
+});
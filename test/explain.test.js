@@ -0,0 +1,134 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT, age INT)",
+    "CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)",
+    "CREATE INDEX idx_age ON users (age)",
+    "INSERT INTO users VALUES (1, 'Alice', 30), (2, 'Bob', 25)",
+    "INSERT INTO posts VALUES (1, 1, 'Hi'), (2, 1, 'Again'), (3, 2, 'Yo')",
+  ]);
+}
+
+test("EXPLAIN returns the plan as rows", () => {
+  const result = run(
+    setup(),
+    "EXPLAIN SELECT u.name FROM users u JOIN posts p ON p.user_id = u.id WHERE u.name > 'A' ORDER BY u.name LIMIT 2"
+  );
+  assert.deepEqual(
+    result.columns.map((column) => column.name),
+    [
+      "id",
+      "parent",
+      "operation",
+      "table",
+      "index",
+      "condition",
+      "filter",
+      "estimated_rows",
+    ]
+  );
+  assert.deepEqual(
+    result.rows.map(({ id, parent, operation, table, condition, filter }) => ({
+      id,
+      parent,
+      operation,
+      table,
+      condition,
+      filter,
+    })),
+    [
+      {
+        id: 1,
+        parent: null,
+        operation: "Limit",
+        table: null,
+        condition: "LIMIT 2",
+        filter: null,
+      },
+      {
+        id: 2,
+        parent: 1,
+        operation: "  -> Sort",
+        table: null,
+        condition: "u.name ASC",
+        filter: null,
+      },
+      {
+        id: 3,
+        parent: 2,
+        operation: "    -> Nested Loop Inner Join",
+        table: null,
+        condition: "p.user_id = u.id",
+        filter: null,
+      },
+      {
+        id: 4,
+        parent: 3,
+        operation: "      -> Full Scan",
+        table: "users AS u",
+        condition: null,
+        filter: "u.name > 'A'",
+      },
+      {
+        id: 5,
+        parent: 3,
+        operation: "      -> Full Scan",
+        table: "posts AS p",
+        condition: null,
+        filter: null,
+      },
+    ]
+  );
+  result.rows.forEach((row) => {
+    assert.equal(typeof row.estimated_rows, "number");
+  });
+});
+
+test("EXPLAIN names the index a scan uses", () => {
+  const [scan] = rows(setup(), "EXPLAIN SELECT name FROM users WHERE age = 30");
+  assert.equal(scan.operation, "Index Scan");
+  assert.equal(scan.index, "idx_age");
+  assert.equal(scan.condition, "users.age = 30");
+});
+
+test("EXPLAIN shows aggregation and DISTINCT steps", () => {
+  const db = setup();
+  const operations = (sql) =>
+    rows(db, `EXPLAIN ${sql}`).map((row) => row.operation.trim());
+  assert.deepEqual(operations("SELECT age, COUNT(*) FROM users GROUP BY age"), [
+    "Aggregate",
+    "-> Full Scan",
+  ]);
+  assert.deepEqual(operations("SELECT DISTINCT age FROM users"), [
+    "Distinct",
+    "-> Full Scan",
+  ]);
+});
+
+test("EXPLAIN takes a query", () => {
+  assert.equal(
+    errorOf(setup(), "EXPLAIN UPDATE users SET age = 1"),
+    "Syntax error at 1:9: expected SELECT"
+  );
+});
+
+test("EXPLAIN ANALYZE reports actual rows, loops and time", () => {
+  const result = run(
+    setup(),
+    "EXPLAIN ANALYZE SELECT * FROM users u JOIN posts p ON p.id = u.id"
+  );
+  assert.deepEqual(
+    result.columns.slice(-3).map((column) => column.name),
+    ["actual_rows", "loops", "time_ms"]
+  );
+  const [join, outer, inner] = result.rows;
+  assert.equal(join.operation, "Index Nested Loop Inner Join");
+  assert.equal(join.actual_rows, 2);
+  assert.equal(outer.actual_rows, 2);
+  assert.equal(inner.index, "posts_pkey");
+  assert.equal(inner.loops, 2);
+  result.rows.forEach((row) => assert.ok(row.time_ms >= 0));
+});
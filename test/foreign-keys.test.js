@@ -0,0 +1,112 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT)",
+    `CREATE TABLE posts (
+      id INT PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE
+    )`,
+    `CREATE TABLE notes (
+      id INT PRIMARY KEY,
+      user_id INT DEFAULT 0,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET DEFAULT
+    )`,
+    `CREATE TABLE likes (
+      id INT PRIMARY KEY,
+      user_id INT REFERENCES users(id) ON DELETE SET NULL
+    )`,
+    "CREATE TABLE pins (id INT PRIMARY KEY, user_id INT REFERENCES users(id))",
+    "INSERT INTO users VALUES (0, 'nobody'), (1, 'A'), (2, 'B'), (3, 'C')",
+    "INSERT INTO posts VALUES (1, 1), (2, 2), (3, NULL)",
+    "INSERT INTO notes VALUES (1, 1)",
+    "INSERT INTO likes VALUES (1, 1)",
+    "INSERT INTO pins VALUES (1, 3)",
+  ]);
+}
+
+test("a reference must name an existing row", () => {
+  const db = setup();
+  const missing = "Foreign key posts(user_id) violated: users(id) has no 9";
+  assert.equal(errorOf(db, "INSERT INTO posts VALUES (4, 9)"), missing);
+  assert.equal(
+    errorOf(db, "UPDATE posts SET user_id = 9 WHERE id = 1"),
+    missing
+  );
+  assert.deepEqual(rows(db, "SELECT user_id FROM posts WHERE id = 3"), [
+    { user_id: null },
+  ]);
+});
+
+test("RESTRICT refuses to delete or change a referenced row", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "DELETE FROM users WHERE id = 3"),
+    "Cannot delete users row: pins(user_id) references it"
+  );
+  assert.equal(
+    errorOf(db, "UPDATE users SET id = 30 WHERE id = 3"),
+    "Cannot update users row: pins(user_id) references it"
+  );
+  run(db, "UPDATE users SET id = 3 WHERE id = 3");
+});
+
+test("CASCADE, SET NULL and SET DEFAULT follow a deleted row", () => {
+  const db = setup();
+  run(db, "DELETE FROM users WHERE id = 1");
+  assert.deepEqual(rows(db, "SELECT id FROM posts ORDER BY id"), [
+    { id: 2 },
+    { id: 3 },
+  ]);
+  assert.deepEqual(rows(db, "SELECT user_id FROM notes"), [{ user_id: 0 }]);
+  assert.deepEqual(rows(db, "SELECT user_id FROM likes"), [{ user_id: null }]);
+});
+
+test("ON UPDATE CASCADE follows a changed key", () => {
+  const db = setup();
+  run(db, "UPDATE users SET id = 20 WHERE id = 2");
+  assert.deepEqual(rows(db, "SELECT user_id FROM posts WHERE id = 2"), [
+    { user_id: 20 },
+  ]);
+});
+
+test("a refused delete undoes its cascades", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "DELETE FROM users WHERE id IN (2, 3)"),
+    "Cannot delete users row: pins(user_id) references it"
+  );
+  assert.equal(rows(db, "SELECT * FROM posts").length, 3);
+  assert.equal(rows(db, "SELECT * FROM users").length, 4);
+});
+
+test("DESCRIBE shows the references", () => {
+  const db = setup();
+  const [, userId] = rows(db, "DESCRIBE posts");
+  assert.equal(
+    userId.Extra,
+    "REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE"
+  );
+  assert.equal(
+    rows(db, "DESCRIBE notes")[1].Extra,
+    "REFERENCES users(id) ON DELETE SET DEFAULT"
+  );
+});
+
+test("the referenced table and column are checked", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "DROP TABLE users"),
+    "Cannot drop table users: posts references it"
+  );
+  assert.equal(
+    errorOf(db, "CREATE TABLE bad (x INT REFERENCES nope(id))"),
+    "Table nope doesn't exist"
+  );
+  assert.equal(
+    errorOf(db, "CREATE TABLE bad (x INT REFERENCES users(name))"),
+    "Foreign key column x is INT but users.name is TEXT"
+  );
+});
@@ -0,0 +1,30 @@
+const assert = require("node:assert/strict");
+const SimpleRDBMS = require("../src/db");
+
+// A new database with the given statements already run.
+function createDb(statements = []) {
+  const db = new SimpleRDBMS();
+  statements.forEach((sql) => run(db, sql));
+  return db;
+}
+
+// Runs sql with the bound params and fails the test if the statement fails.
+function run(db, sql, params) {
+  const result = db.execute(sql, params);
+  assert.equal(result.error, null, sql);
+  return result;
+}
+
+// The rows a query returns.
+function rows(db, sql, params) {
+  return run(db, sql, params).rows;
+}
+
+// The message of the error sql fails with.
+function errorOf(db, sql, params) {
+  const { error } = db.execute(sql, params);
+  assert.ok(error, `${sql} should fail`);
+  return error.message;
+}
+
+module.exports = { createDb, run, rows, errorOf };
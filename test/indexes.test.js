@@ -0,0 +1,146 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE items (id INT PRIMARY KEY, code TEXT, n INT, day DATE)",
+    "INSERT INTO items VALUES (1, '10', 1, '2024-01-01'), (2, '6', 0, '2024-02-01'), (3, '4', NULL, NULL), (4, 'x', 5, '2024-03-01')",
+    "CREATE TABLE tags (label TEXT, num INT)",
+    "INSERT INTO tags VALUES ('05', 5), ('1', 1), ('x', 0)",
+  ]);
+}
+
+function plan(db, sql) {
+  return rows(db, `EXPLAIN ${sql}`).map((row) => row.operation);
+}
+
+function sortedRows(db, sql) {
+  return rows(db, sql)
+    .map((row) => JSON.stringify(row))
+    .sort();
+}
+
+test("CREATE INDEX and DROP INDEX manage the table's indexes", () => {
+  const db = setup();
+  assert.deepEqual(Object.keys(db.tables.items.indexes), ["items_pkey"]);
+  run(db, "CREATE INDEX items_n ON items (n)");
+  assert.deepEqual(db.tables.items.indexes.items_n.columns, ["n"]);
+  assert.equal(
+    errorOf(db, "CREATE INDEX items_n ON items (n)"),
+    "Index items_n already exists"
+  );
+  run(db, "DROP INDEX items_n");
+  assert.deepEqual(Object.keys(db.tables.items.indexes), ["items_pkey"]);
+  assert.equal(
+    errorOf(db, "DROP INDEX items_n"),
+    "Index items_n doesn't exist"
+  );
+});
+
+test("an index on the filtered column is used", () => {
+  const db = setup();
+  assert.deepEqual(plan(db, "SELECT * FROM items WHERE n = 1"), ["Full Scan"]);
+  run(db, "CREATE INDEX items_n ON items (n)");
+  assert.deepEqual(plan(db, "SELECT * FROM items WHERE n = 1"), ["Index Scan"]);
+  assert.deepEqual(plan(db, "SELECT * FROM items WHERE n > 1"), ["Index Scan"]);
+  run(db, "DROP INDEX items_n");
+  assert.deepEqual(plan(db, "SELECT * FROM items WHERE n = 1"), ["Full Scan"]);
+});
+
+test("a unique index rejects duplicates", () => {
+  const db = setup();
+  run(db, "CREATE UNIQUE INDEX items_code ON items (code)");
+  assert.equal(
+    errorOf(db, "INSERT INTO items VALUES (5, '10', 1, NULL)"),
+    "Duplicate value for UNIQUE index items_code: 10"
+  );
+  run(db, "INSERT INTO items VALUES (5, 'y', 1, NULL)");
+  assert.equal(
+    errorOf(db, "CREATE UNIQUE INDEX items_n ON items (n)"),
+    "Cannot create unique index items_n: duplicate value 1"
+  );
+});
+
+test("an index keeps up with updates and deletes", () => {
+  const db = setup();
+  run(db, "CREATE INDEX items_n ON items (n)");
+  run(db, "UPDATE items SET n = 7 WHERE id = 1");
+  run(db, "DELETE FROM items WHERE id = 4");
+  assert.deepEqual(sortedRows(db, "SELECT id FROM items WHERE n = 7"), [
+    '{"id":1}',
+  ]);
+  assert.deepEqual(sortedRows(db, "SELECT id FROM items WHERE n = 5"), []);
+});
+
+test("an index never changes which rows a query returns", () => {
+  const queries = [
+    "SELECT id FROM items WHERE code = '6'",
+    "SELECT id FROM items WHERE code > 5",
+    "SELECT id FROM items WHERE code = 10",
+    "SELECT id FROM items WHERE code IN (4, '6')",
+    "SELECT id FROM items WHERE n = 5",
+    "SELECT id FROM items WHERE n = ''",
+    "SELECT id FROM items WHERE n = '1'",
+    "SELECT id FROM items WHERE n BETWEEN '0' AND 1",
+    "SELECT id FROM items WHERE n >= 1.5",
+    "SELECT id FROM items WHERE day = '2024-1-1'",
+    "SELECT id FROM items WHERE day < '2024-02-15'",
+    "SELECT i.id, t.label FROM items i JOIN tags t ON t.label = i.n",
+    "SELECT i.id, t.num FROM items i JOIN tags t ON t.num = i.code",
+    "SELECT i.id, t.label FROM items i JOIN tags t ON t.label = i.code",
+  ];
+  const scanned = setup();
+  const indexed = setup();
+  [
+    "CREATE INDEX items_code ON items (code)",
+    "CREATE INDEX items_n ON items (n)",
+    "CREATE INDEX items_day ON items (day)",
+    "CREATE INDEX tags_label ON tags (label)",
+    "CREATE INDEX tags_num ON tags (num)",
+  ].forEach((sql) => run(indexed, sql));
+
+  queries.forEach((sql) => {
+    assert.deepEqual(sortedRows(indexed, sql), sortedRows(scanned, sql), sql);
+  });
+});
+
+test("a value compared with a column is read as the column's type", () => {
+  const db = setup();
+  const ids = (where) =>
+    rows(db, `SELECT id FROM items WHERE ${where} ORDER BY id`).map(
+      (row) => row.id
+    );
+  assert.deepEqual(ids("code > 5"), [2, 4]);
+  assert.deepEqual(ids("n = '1'"), [1]);
+  assert.deepEqual(ids("n = ''"), []);
+  assert.deepEqual(ids("n != ''"), []);
+});
+
+test("a fractional value compares with an INT column as a number", () => {
+  const scanned = setup();
+  const indexed = setup();
+  run(indexed, "CREATE INDEX items_n ON items (n)");
+  const ids = (db, where, params) =>
+    rows(db, `SELECT id FROM items WHERE ${where} ORDER BY id`, params).map(
+      (row) => row.id
+    );
+  const cases = [
+    ["n > 2.5", undefined, [4]],
+    ["n < 2.5", undefined, [1, 2]],
+    ["2.5 < n", undefined, [4]],
+    ["n = 0.5", undefined, []],
+    ["n BETWEEN 0.5 AND 5.5", undefined, [1, 4]],
+    ["n IN (1.0, 4.5)", undefined, [1]],
+    ["n < ?", [1.5], [1, 2]],
+    ["n >= (SELECT AVG(n) FROM items)", undefined, [4]],
+  ];
+
+  [scanned, indexed].forEach((db) => {
+    cases.forEach(([where, params, expected]) => {
+      assert.deepEqual(ids(db, where, params), expected, where);
+    });
+    run(db, "DELETE FROM items WHERE n < (SELECT AVG(n) FROM items)");
+    assert.deepEqual(ids(db, "n IS NOT NULL"), [4]);
+  });
+});
@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    `CREATE TABLE users (
+      id INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      status TEXT DEFAULT 'new',
+      age INT
+    )`,
+  ]);
+}
+
+test("a column list may name columns in any order", () => {
+  const db = setup();
+  run(db, "INSERT INTO users (name, id) VALUES ('Alice', 1)");
+  assert.deepEqual(rows(db, "SELECT * FROM users"), [
+    { id: 1, name: "Alice", status: "new", age: null },
+  ]);
+});
+
+test("VALUES may list several rows", () => {
+  const db = setup();
+  const result = run(
+    db,
+    "INSERT INTO users (id, name) VALUES (1, 'A'), (2, 'B'), (3, 'C')"
+  );
+  assert.equal(result.message, "3 row(s) inserted");
+  assert.deepEqual(rows(db, "SELECT id, name FROM users"), [
+    { id: 1, name: "A" },
+    { id: 2, name: "B" },
+    { id: 3, name: "C" },
+  ]);
+});
+
+test("a multi-row insert is all or nothing", () => {
+  const db = setup();
+  run(db, "INSERT INTO users (id, name) VALUES (1, 'A')");
+  assert.equal(
+    errorOf(
+      db,
+      "INSERT INTO users (id, name) VALUES (2, 'B'), (3, NULL), (4, 'D')"
+    ),
+    "Column name cannot be NULL"
+  );
+  assert.equal(
+    errorOf(db, "INSERT INTO users (id, name) VALUES (5, 'E'), (5, 'F')"),
+    "Duplicate primary key: 5"
+  );
+  assert.deepEqual(rows(db, "SELECT id FROM users"), [{ id: 1 }]);
+});
+
+test("INSERT ... SELECT copies the query's rows", () => {
+  const db = setup();
+  run(db, "CREATE TABLE archive (id INT PRIMARY KEY, name TEXT)");
+  run(
+    db,
+    "INSERT INTO users (id, name, age) VALUES (1, 'A', 30), (2, 'B', 40)"
+  );
+  const result = run(
+    db,
+    "INSERT INTO archive (id, name) SELECT id, name FROM users WHERE age > 35"
+  );
+  assert.equal(result.message, "1 row(s) inserted");
+  assert.deepEqual(rows(db, "SELECT * FROM archive"), [{ id: 2, name: "B" }]);
+});
+
+test("the values must match the columns", () => {
+  const db = setup();
+  const cases = [
+    ["INSERT INTO users VALUES (1, 'A')", "Expected 4 values, got 2"],
+    ["INSERT INTO users (id, name) VALUES (1)", "Expected 2 values, got 1"],
+    [
+      "INSERT INTO users (id, name, id) VALUES (1, 'A', 2)",
+      "Column id specified more than once",
+    ],
+    ["INSERT INTO users (id, nope) VALUES (1, 2)", "Unknown column: nope"],
+  ];
+  cases.forEach(([sql, message]) => {
+    assert.equal(errorOf(db, sql), message);
+  });
+});
@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT)",
+    "CREATE TABLE posts (id INT PRIMARY KEY, user_id INT, title TEXT)",
+    "INSERT INTO users VALUES (1, 'Alice'), (2, 'Bob'), (3, 'Cara')",
+    "INSERT INTO posts VALUES (1, 1, 'Hi'), (2, 1, 'Again'), (3, 2, 'Yo'), (4, 9, 'Orphan')",
+  ]);
+}
+
+test("INNER JOIN keeps the matching pairs", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "SELECT u.name, p.title FROM users u JOIN posts p ON p.user_id = u.id"
+    ),
+    [
+      { name: "Alice", title: "Hi" },
+      { name: "Alice", title: "Again" },
+      { name: "Bob", title: "Yo" },
+    ]
+  );
+});
+
+test("LEFT JOIN keeps unmatched rows of the left table", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "SELECT u.name, p.title FROM users u LEFT JOIN posts p ON p.user_id = u.id WHERE p.id IS NULL"
+    ),
+    [{ name: "Cara", title: null }]
+  );
+});
+
+test("RIGHT JOIN keeps unmatched rows of the right table", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "SELECT u.name, p.title FROM users u RIGHT JOIN posts p ON p.user_id = u.id WHERE u.id IS NULL"
+    ),
+    [{ name: null, title: "Orphan" }]
+  );
+});
+
+test("CROSS JOIN pairs every row with every row", () => {
+  assert.equal(
+    rows(setup(), "SELECT * FROM users CROSS JOIN posts").length,
+    12
+  );
+});
+
+test("tables may be qualified by name or alias", () => {
+  assert.deepEqual(
+    rows(
+      setup(),
+      "SELECT posts.title FROM users JOIN posts ON posts.user_id = users.id WHERE users.name = 'Bob'"
+    ),
+    [{ title: "Yo" }]
+  );
+});
+
+test("columns both tables have get qualified names", () => {
+  const result = setup().execute(
+    "SELECT * FROM users u JOIN posts p ON p.user_id = u.id WHERE p.id = 3"
+  );
+  assert.deepEqual(
+    result.columns.map((column) => column.name),
+    ["u.id", "name", "p.id", "user_id", "title"]
+  );
+  assert.deepEqual(result.rows, [
+    { "u.id": 2, name: "Bob", "p.id": 3, user_id: 2, title: "Yo" },
+  ]);
+});
+
+test("an unqualified name both tables have is ambiguous", () => {
+  assert.equal(
+    errorOf(
+      setup(),
+      "SELECT id FROM users JOIN posts ON posts.user_id = users.id"
+    ),
+    "Column id is ambiguous"
+  );
+});
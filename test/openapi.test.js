@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { openApiDocument } = require("../src/openapi");
+const { createDb, run } = require("./helpers");
+
+function setup() {
+  return createDb([
+    `CREATE TABLE users (
+      id INT PRIMARY KEY AUTOINCREMENT,
+      name VARCHAR(50) NOT NULL,
+      email TEXT UNIQUE,
+      active BOOLEAN DEFAULT true
+    )`,
+    "CREATE TABLE secrets (id INT PRIMARY KEY, value TEXT)",
+    "CREATE TABLE log (message TEXT)",
+    "CREATE VIEW named AS SELECT id, NULL AS note FROM users",
+    "CREATE USER admin PASSWORD 'admin' SUPERUSER",
+    "CREATE USER reader PASSWORD 'reader'",
+    "CREATE ROLE readonly",
+    "GRANT SELECT ON users TO readonly",
+    "GRANT readonly TO reader",
+  ]);
+}
+
+test("a superuser sees every table", () => {
+  const doc = openApiDocument(setup().session("admin"));
+  assert.equal(doc.openapi, "3.0.3");
+  assert.ok(doc.paths["/api/users"]);
+  assert.ok(doc.paths["/api/secrets"]);
+  assert.ok(doc.components.schemas.Secrets);
+});
+
+test("a user sees only the tables they can read", () => {
+  const db = setup();
+  let doc = openApiDocument(db.session("reader"));
+  assert.ok(doc.paths["/api/users"]);
+  assert.equal(doc.paths["/api/secrets"], undefined);
+  assert.equal(doc.components.schemas.Secrets, undefined);
+  assert.equal(doc.paths["/api/log"], undefined);
+  assert.ok(doc.paths["/sql"]);
+
+  run(db, "GRANT SELECT ON * TO readonly");
+  doc = openApiDocument(db.session("reader"));
+  assert.ok(doc.paths["/api/secrets"]);
+  assert.ok(doc.paths["/api/log"]);
+});
+
+test("schemas follow the column types and constraints", () => {
+  const doc = openApiDocument(setup().session("admin"));
+  const { Users, UsersNew } = doc.components.schemas;
+  assert.deepEqual(Users.properties.name, { type: "string", maxLength: 50 });
+  assert.equal(Users.properties.email.nullable, true);
+  assert.equal(Users.properties.active.default, true);
+  assert.deepEqual(UsersNew.required, ["name"]);
+  assert.ok(doc.paths["/api/users/{key}"].delete);
+  assert.equal(doc.paths["/api/log/{key}"], undefined);
+});
+
+test("the document follows schema changes", () => {
+  const db = setup();
+  const session = db.session("admin");
+  run(db, "ALTER TABLE users ADD COLUMN age INT");
+  run(db, "DROP TABLE log");
+  const doc = openApiDocument(session);
+  assert.deepEqual(doc.components.schemas.Users.properties.age, {
+    type: "integer",
+    nullable: true,
+  });
+  assert.equal(doc.paths["/api/log"], undefined);
+});
+
+test("a view gets a list route only", () => {
+  const db = setup();
+  let doc = openApiDocument(db.session("admin"));
+  assert.deepEqual(Object.keys(doc.paths["/api/named"]), ["get"]);
+  assert.equal(doc.paths["/api/named/{key}"], undefined);
+  assert.equal(doc.components.schemas.NamedNew, undefined);
+  assert.deepEqual(doc.components.schemas.Named.properties, {
+    id: { type: "integer", nullable: true },
+    note: { nullable: true },
+  });
+
+  assert.equal(
+    openApiDocument(db.session("reader")).paths["/api/named"],
+    undefined
+  );
+  run(db, "GRANT SELECT ON named TO readonly");
+  doc = openApiDocument(db.session("reader"));
+  assert.ok(doc.paths["/api/named"].get);
+});
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT, age INT, city TEXT)",
+    `INSERT INTO users VALUES
+      (1, 'Alice', 30, 'Oslo'),
+      (2, 'Bob', 25, 'Rome'),
+      (3, 'Cara', NULL, 'Oslo'),
+      (4, 'Dan', 25, 'Oslo')`,
+  ]);
+}
+
+function names(db, sql) {
+  return rows(db, sql).map((row) => row.name);
+}
+
+test("ORDER BY sorts by each column in turn", () => {
+  assert.deepEqual(
+    names(setup(), "SELECT name FROM users ORDER BY age, name DESC"),
+    ["Cara", "Dan", "Bob", "Alice"]
+  );
+});
+
+test("NULLs sort first ascending and last descending unless told", () => {
+  const db = setup();
+  assert.deepEqual(names(db, "SELECT name FROM users ORDER BY age DESC, id"), [
+    "Alice",
+    "Bob",
+    "Dan",
+    "Cara",
+  ]);
+  assert.deepEqual(
+    names(db, "SELECT name FROM users ORDER BY age NULLS LAST, id"),
+    ["Bob", "Dan", "Alice", "Cara"]
+  );
+  assert.deepEqual(
+    names(db, "SELECT name FROM users ORDER BY age DESC NULLS FIRST, id"),
+    ["Cara", "Alice", "Bob", "Dan"]
+  );
+});
+
+test("ORDER BY may name a column alias", () => {
+  assert.deepEqual(
+    rows(setup(), "SELECT name AS who FROM users ORDER BY who DESC LIMIT 1"),
+    [{ who: "Dan" }]
+  );
+});
+
+test("LIMIT and OFFSET page through the rows", () => {
+  const db = setup();
+  assert.deepEqual(
+    names(db, "SELECT name FROM users ORDER BY id LIMIT 2 OFFSET 1"),
+    ["Bob", "Cara"]
+  );
+  assert.deepEqual(names(db, "SELECT name FROM users ORDER BY id OFFSET 3"), [
+    "Dan",
+  ]);
+  assert.deepEqual(names(db, "SELECT name FROM users LIMIT 0"), []);
+  assert.equal(
+    errorOf(db, "SELECT name FROM users LIMIT -1"),
+    "LIMIT must be a non-negative integer"
+  );
+});
+
+test("DISTINCT drops repeated rows", () => {
+  const db = setup();
+  assert.deepEqual(rows(db, "SELECT DISTINCT city FROM users ORDER BY city"), [
+    { city: "Oslo" },
+    { city: "Rome" },
+  ]);
+  assert.equal(rows(db, "SELECT DISTINCT city, age FROM users").length, 4);
+});
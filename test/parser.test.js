@@ -0,0 +1,121 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Lexer = require("../src/lexer");
+const Parser = require("../src/parser");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+test("statements parse to an AST", () => {
+  const statement = new Parser("SELECT name FROM users WHERE id = 1").parse();
+  assert.equal(statement.type, "select");
+  assert.deepEqual(statement.columns[0].expr, {
+    type: "column",
+    table: null,
+    name: "name",
+  });
+  assert.deepEqual(statement.from, {
+    type: "table",
+    name: "users",
+    alias: null,
+  });
+  assert.deepEqual(statement.where, {
+    type: "binary",
+    op: "=",
+    left: { type: "column", table: null, name: "id" },
+    right: { type: "literal", value: 1 },
+  });
+});
+
+test("the lexer reads quoted strings and skips comments", () => {
+  const tokens = new Lexer("SELECT 'it''s' -- note\nFROM t").tokenize();
+  assert.deepEqual(
+    tokens.map((token) => [token.type, token.value]),
+    [
+      ["identifier", "SELECT"],
+      ["string", "it's"],
+      ["identifier", "FROM"],
+      ["identifier", "t"],
+      ["eof", null],
+    ]
+  );
+  assert.equal(tokens[2].line, 2);
+});
+
+test("quoted strings may hold keywords, commas and equals signs", () => {
+  const db = createDb(["CREATE TABLE notes (id INT PRIMARY KEY, body TEXT)"]);
+  run(db, "INSERT INTO notes VALUES (1, 'a = b, WHERE c FROM d')");
+  run(
+    db,
+    "UPDATE notes SET body = 'SET x = 1, y' WHERE body = 'a = b, WHERE c FROM d'"
+  );
+  assert.deepEqual(rows(db, "SELECT body FROM notes WHERE id = 1"), [
+    { body: "SET x = 1, y" },
+  ]);
+});
+
+test("statements may span lines and keywords may be any case", () => {
+  const db = createDb([
+    `create table items (
+      id int primary key,
+      name text
+    )`,
+  ]);
+  run(db, "insert into items\nvalues (1,\n'pen')");
+  assert.deepEqual(rows(db, "Select name\nFROM items"), [{ name: "pen" }]);
+  assert.equal(
+    errorOf(db, "SELECT name FROM ITEMS"),
+    "Table ITEMS doesn't exist"
+  );
+});
+
+test("keywords that cannot be mistaken for a name may be one", () => {
+  const db = createDb([
+    "CREATE TABLE begin (key INT PRIMARY KEY, desc TEXT, set INT)",
+    "INSERT INTO begin (key, desc, set) VALUES (1, 'a', 2), (2, 'b', 1)",
+  ]);
+  assert.deepEqual(
+    rows(db, "SELECT key, desc asc FROM begin ORDER BY set DESC"),
+    [
+      { key: 1, asc: "a" },
+      { key: 2, asc: "b" },
+    ]
+  );
+  run(db, "UPDATE begin SET desc = 'c' WHERE key = 2");
+  assert.equal(
+    errorOf(db, "CREATE TABLE t (from INT)"),
+    "Syntax error at 1:17: expected column name"
+  );
+  assert.equal(
+    errorOf(db, "SELECT key FROM begin order"),
+    "Syntax error at 1:28: expected BY"
+  );
+});
+
+test("syntax errors give the line and column", () => {
+  const db = createDb();
+  assert.equal(
+    errorOf(db, "SELECT *\nFROM users\nWHERE id ="),
+    "Syntax error at 3:11: expected an expression"
+  );
+  assert.equal(
+    errorOf(db, "SELEC 1"),
+    "Syntax error at 1:1: unknown command SELEC"
+  );
+  assert.equal(
+    errorOf(db, "SELECT 'abc"),
+    "Syntax error at 1:8: unterminated string"
+  );
+  assert.throws(() => new Parser("SELECT FROM t").parse(), {
+    name: "SqlSyntaxError",
+    line: 1,
+    column: 8,
+  });
+});
+
+test("execute runs one statement at a time", () => {
+  const db = createDb();
+  assert.equal(
+    errorOf(db, "CREATE TABLE t (a INT); DROP TABLE t"),
+    "Syntax error at 1:25: only one statement can run at a time; use executeScript()"
+  );
+  assert.deepEqual(rows(db, "SHOW TABLES"), []);
+});
@@ -0,0 +1,167 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT)",
+    "CREATE TABLE secrets (id INT PRIMARY KEY, value TEXT)",
+    "INSERT INTO users VALUES (1, 'Alice')",
+    "CREATE USER admin PASSWORD 'admin' SUPERUSER",
+    "CREATE USER writer PASSWORD 'writer'",
+    "CREATE USER reader PASSWORD 'reader'",
+    "CREATE ROLE editor",
+    "CREATE ROLE readonly",
+    "GRANT SELECT, INSERT ON users TO editor",
+    "GRANT SELECT ON users TO readonly",
+    "GRANT editor TO writer",
+    "GRANT readonly TO reader",
+  ]);
+}
+
+test("authenticate checks the password", () => {
+  const db = setup();
+  assert.equal(db.authenticate("writer", "writer").user, "writer");
+  assert.throws(() => db.authenticate("writer", "wrong"), {
+    code: "AUTH_FAILED",
+  });
+  assert.throws(() => db.authenticate("nobody", "x"), { code: "AUTH_FAILED" });
+});
+
+test("passwords are stored as hashes", () => {
+  const db = setup();
+  assert.match(db.users.writer.password, /^scrypt\$/);
+  assert.doesNotMatch(JSON.stringify(db.toJSON()), /'writer'/);
+});
+
+test("a session needs a privilege on each table it uses", () => {
+  const db = setup();
+  const reader = db.session("reader");
+  assert.equal(reader.execute("SELECT * FROM users").rows.length, 1);
+  assert.equal(
+    reader.execute("SELECT * FROM secrets").error.code,
+    "PERMISSION_DENIED"
+  );
+  assert.equal(
+    reader.execute("INSERT INTO users VALUES (2, 'Bob')").error.code,
+    "PERMISSION_DENIED"
+  );
+  assert.equal(
+    reader.execute("SELECT * FROM users WHERE id IN (SELECT id FROM secrets)")
+      .error.code,
+    "PERMISSION_DENIED"
+  );
+
+  const writer = db.session("writer");
+  assert.equal(
+    writer.execute("INSERT INTO users VALUES (2, 'Bob')").error,
+    null
+  );
+  assert.equal(
+    writer.execute("DELETE FROM users").error.code,
+    "PERMISSION_DENIED"
+  );
+});
+
+test("schema changes and user management need a superuser", () => {
+  const db = setup();
+  const writer = db.session("writer");
+  ["CREATE TABLE t (a INT)", "DROP TABLE users", "CREATE USER x"].forEach(
+    (sql) => {
+      assert.equal(writer.execute(sql).error.code, "PERMISSION_DENIED");
+    }
+  );
+  assert.equal(
+    db.session("admin").execute("CREATE TABLE t (a INT)").error,
+    null
+  );
+});
+
+test("GRANT ON * covers tables created later, and REVOKE takes it back", () => {
+  const db = setup();
+  run(db, "GRANT SELECT ON * TO readonly");
+  run(db, "CREATE TABLE later (a INT)");
+  const reader = db.session("reader");
+  assert.equal(reader.execute("SELECT * FROM later").error, null);
+
+  run(db, "REVOKE SELECT ON * FROM readonly");
+  assert.equal(
+    reader.execute("SELECT * FROM later").error.code,
+    "PERMISSION_DENIED"
+  );
+});
+
+test("a dropped user's session stops working", () => {
+  const db = setup();
+  const reader = db.session("reader");
+  run(db, "DROP USER reader");
+  assert.equal(reader.execute("SELECT * FROM users").error.code, "AUTH_FAILED");
+});
+
+test("a read-only session cannot control the transaction", () => {
+  const db = setup();
+  const reader = db.session("reader");
+  ["BEGIN", "COMMIT", "ROLLBACK", "SAVEPOINT a", "RELEASE a"].forEach((sql) => {
+    assert.equal(reader.execute(sql).error.code, "PERMISSION_DENIED");
+  });
+  assert.equal(db.inTransaction, false);
+});
+
+test("only the user who began the transaction can end it", () => {
+  const db = setup();
+  const writer = db.session("writer");
+  const other = db.session("admin");
+  run(db, "CREATE USER writer2");
+  run(db, "GRANT editor TO writer2");
+  const writer2 = db.session("writer2");
+
+  assert.equal(writer.execute("BEGIN").error, null);
+  writer.execute("INSERT INTO users VALUES (2, 'Bob')");
+  ["ROLLBACK", "COMMIT", "SAVEPOINT s", "BEGIN"].forEach((sql) => {
+    assert.equal(writer2.execute(sql).error.code, "TRANSACTION_STATE");
+  });
+  assert.equal(db.inTransaction, true);
+
+  assert.equal(writer.execute("COMMIT").error, null);
+  assert.equal(other.execute("SELECT * FROM users").rows.length, 2);
+});
+
+test("other sessions wait for the transaction to end", () => {
+  const db = setup();
+  const writer = db.session("writer");
+  run(db, "CREATE USER writer2");
+  run(db, "GRANT editor TO writer2");
+  const writer2 = db.session("writer2");
+
+  run(writer, "BEGIN");
+  run(writer, "INSERT INTO users VALUES (2, 'Bob')");
+  const { error } = writer2.execute("INSERT INTO users VALUES (3, 'Carol')");
+  assert.equal(error.code, "TRANSACTION_STATE");
+  assert.equal(error.message, "A transaction begun by writer is in progress");
+  assert.equal(
+    writer2.execute("SELECT * FROM users").error.code,
+    "TRANSACTION_STATE"
+  );
+  run(writer, "ROLLBACK");
+
+  run(writer2, "INSERT INTO users VALUES (3, 'Carol')");
+  assert.deepEqual(rows(writer, "SELECT id FROM users"), [
+    { id: 1 },
+    { id: 3 },
+  ]);
+
+  run(db, "BEGIN");
+  assert.equal(
+    writer.execute("SELECT * FROM users").error.message,
+    "A transaction begun on the database is in progress"
+  );
+  run(db, "COMMIT");
+});
+
+test("a superuser can end any transaction", () => {
+  const db = setup();
+  db.session("writer").execute("BEGIN");
+  db.session("writer").execute("INSERT INTO users VALUES (2, 'Bob')");
+  assert.equal(db.session("admin").execute("ROLLBACK").error, null);
+  assert.equal(db.execute("SELECT * FROM users").rows.length, 1);
+});
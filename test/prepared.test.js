@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT, age INT)",
+  ]);
+}
+
+test("? placeholders take an array of values in order", () => {
+  const db = setup();
+  run(db, "INSERT INTO users VALUES (?, ?, ?)", [1, "O'Brien", 30]);
+  assert.deepEqual(
+    rows(db, "SELECT id, age FROM users WHERE name = ?", ["O'Brien"]),
+    [{ id: 1, age: 30 }]
+  );
+});
+
+test(":name placeholders take an object and may repeat", () => {
+  const db = setup();
+  run(db, "INSERT INTO users VALUES (:id, :name, :age)", {
+    id: 2,
+    name: "Bob",
+    age: 2,
+  });
+  assert.deepEqual(
+    rows(db, "SELECT name FROM users WHERE id = :n AND age = :n", { n: 2 }),
+    [{ name: "Bob" }]
+  );
+});
+
+test("bound values are never read as SQL", () => {
+  const db = setup();
+  const name = "x'); DROP TABLE users; --";
+  run(db, "INSERT INTO users (id, name) VALUES (?, ?)", [1, name]);
+  assert.deepEqual(rows(db, "SELECT name FROM users"), [{ name }]);
+});
+
+test("bindings must match the placeholders", () => {
+  const db = setup();
+  const cases = [
+    [
+      "SELECT * FROM users WHERE id = ?",
+      [1, 2],
+      "Statement expects 1 value(s), got 2",
+    ],
+    [
+      "SELECT * FROM users WHERE id = ?",
+      { id: 1 },
+      "Statement expects an array of values for ? placeholders",
+    ],
+    ["SELECT * FROM users WHERE id = :id", {}, "No value bound for :id"],
+    [
+      "SELECT * FROM users",
+      [1],
+      "Values were bound to a statement without placeholders",
+    ],
+    [
+      "SELECT * FROM users WHERE id = ?",
+      [{}],
+      "Cannot bind [object Object] to ?1",
+    ],
+    [
+      "SELECT * FROM users WHERE id = ? AND name = :n",
+      [1],
+      "Syntax error at 1:45: cannot mix ? and :name placeholders",
+    ],
+  ];
+  cases.forEach(([sql, params, message]) => {
+    assert.equal(errorOf(db, sql, params), message);
+  });
+});
+
+test("a prepared statement runs many times with new values", () => {
+  const db = setup();
+  const insert = db.prepare("INSERT INTO users (id, name) VALUES (?, ?)");
+  assert.equal(insert.run([1, "a"]).rowsAffected, 1);
+  assert.equal(insert.run([2, "b"]).rowsAffected, 1);
+  assert.equal(insert.run([2, "b"]).error.code, "CONSTRAINT_PRIMARY_KEY");
+
+  const find = db.prepare("SELECT name FROM users WHERE id = :id");
+  assert.deepEqual(find.run({ id: 2 }).rows, [{ name: "b" }]);
+  assert.deepEqual(find.run({ id: 3 }).rows, []);
+});
+
+test("prepare throws on a syntax error", () => {
+  assert.throws(() => setup().prepare("SELEC 1"), {
+    name: "SqlSyntaxError",
+    code: "SYNTAX_ERROR",
+    message: "Syntax error at 1:1: unknown command SELEC",
+  });
+});
@@ -0,0 +1,219 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const WebServer = require("../bin/web-server");
+
+const ADMIN = `Basic ${Buffer.from("admin:secret").toString("base64")}`;
+
+// Each test gets a server with the sample data on a free port.
+let server;
+let listener;
+let baseUrl;
+
+beforeEach(async () => {
+  server = new WebServer(0, null, { adminPassword: "secret" });
+  await new Promise((resolve) => {
+    listener = server.app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise((resolve) => listener.close(resolve));
+});
+
+async function call(method, path, { body, auth = ADMIN } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (auth) headers.Authorization = auth;
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test("routes need a signed-in user", async () => {
+  const { status, body } = await call("GET", "/api/users", { auth: null });
+  assert.equal(status, 401);
+  assert.equal(body.error.code, "AUTH_FAILED");
+});
+
+test("GET /api/:table lists rows with filters, sorting and paging", async () => {
+  let { status, body } = await call("GET", "/api/users?age[gte]=25&sort=-age");
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.rows.map((row) => row.name),
+    ["Bob Johnson", "Alice Smith"]
+  );
+
+  ({ body } = await call("GET", "/api/users?name[like]=C%25&id[in]=1,3"));
+  assert.deepEqual(
+    body.rows.map((row) => row.id),
+    [3]
+  );
+
+  ({ body } = await call("GET", "/api/users?sort=id&limit=1&offset=1"));
+  assert.deepEqual(
+    body.rows.map((row) => row.id),
+    [2]
+  );
+});
+
+test("filters are checked against the columns", async () => {
+  const cases = [
+    ["/api/users?age[zz]=1", "Unknown filter operator: zz"],
+    ["/api/users?nope=1", "Unknown filter column: nope"],
+    ["/api/users?age=abc", "age must be INT, got abc"],
+  ];
+  for (const [path, message] of cases) {
+    const { status, body } = await call("GET", path);
+    assert.equal(status, 400, path);
+    assert.deepEqual(body.error, { code: "BAD_REQUEST", message });
+  }
+});
+
+test("GET /api/:table/:key reads one row by primary key", async () => {
+  let { status, body } = await call("GET", "/api/users/2");
+  assert.equal(status, 200);
+  assert.equal(body.rows[0].name, "Bob Johnson");
+
+  ({ status, body } = await call("GET", "/api/users/99"));
+  assert.equal(status, 404);
+  assert.equal(body.error.message, "No row in users with id 99");
+
+  ({ status } = await call("GET", "/api/users/abc"));
+  assert.equal(status, 400);
+  ({ status, body } = await call("GET", "/api/nope"));
+  assert.equal(status, 404);
+  assert.equal(body.error.code, "NO_SUCH_TABLE");
+});
+
+test("POST /api/:table inserts a row checked against the column types", async () => {
+  let { status, body } = await call("POST", "/api/users", {
+    body: { name: "Dee", email: "d@x", age: 40 },
+  });
+  assert.equal(status, 201);
+  assert.equal(body.rows[0].id, 4);
+  assert.match(body.rows[0].created_at, /^\d{4}-/);
+
+  ({ status, body } = await call("POST", "/api/users", {
+    body: { name: "Dee", email: "d@x" },
+  }));
+  assert.equal(status, 409);
+  assert.equal(body.error.code, "CONSTRAINT_UNIQUE");
+
+  ({ status, body } = await call("POST", "/api/users", {
+    body: { name: "E", age: "abc" },
+  }));
+  assert.equal(status, 400);
+  assert.equal(body.error.message, "age must be INT or null");
+
+  ({ status, body } = await call("POST", "/api/users", {
+    body: { name: "E", bogus: 1 },
+  }));
+  assert.equal(status, 400);
+  assert.equal(body.error.message, "Unknown column: bogus");
+});
+
+test("PATCH changes the given columns and PUT replaces the row", async () => {
+  let { status, body } = await call("PATCH", "/api/users/2", {
+    body: { age: 31 },
+  });
+  assert.equal(status, 200);
+  assert.equal(body.rows[0].age, 31);
+  assert.equal(body.rows[0].email, "bob@example.com");
+
+  ({ body } = await call("PUT", "/api/users/2", { body: { name: "Rob" } }));
+  assert.deepEqual(body.rows[0], {
+    id: 2,
+    name: "Rob",
+    email: null,
+    age: null,
+    created_at: null,
+  });
+
+  ({ status, body } = await call("PUT", "/api/users/2", {
+    body: { id: 5, name: "x" },
+  }));
+  assert.equal(status, 400);
+  assert.equal(body.error.message, "The body cannot change id");
+  ({ status } = await call("PATCH", "/api/users/2", { body: {} }));
+  assert.equal(status, 400);
+});
+
+test("DELETE /api/:table/:key deletes the row and its cascades", async () => {
+  let { status, body } = await call("DELETE", "/api/users/1");
+  assert.equal(status, 200);
+  assert.equal(body.rows[0].name, "Alice Smith");
+  ({ body } = await call("GET", "/api/posts"));
+  assert.deepEqual(
+    body.rows.map((row) => row.user_id),
+    [2]
+  );
+  ({ status } = await call("DELETE", "/api/users/1"));
+  assert.equal(status, 404);
+});
+
+test("routes run with the user's privileges", async () => {
+  const auth = `Bearer ${server.consoleToken()}`;
+  let { status, body } = await call("GET", "/api/users/2", { auth });
+  assert.equal(status, 200);
+  ({ status, body } = await call("POST", "/api/users", {
+    body: { name: "Z" },
+    auth,
+  }));
+  assert.equal(status, 403);
+  assert.equal(body.error.code, "PERMISSION_DENIED");
+});
+
+test("error codes map to HTTP statuses", async () => {
+  const cases = [
+    ["SELEC", 400, "SYNTAX_ERROR"],
+    ["SELECT * FROM nope", 404, "NO_SUCH_TABLE"],
+    [
+      "INSERT INTO users (id, name) VALUES (1, 'x')",
+      409,
+      "CONSTRAINT_PRIMARY_KEY",
+    ],
+  ];
+  for (const [query, status, code] of cases) {
+    const response = await call("POST", "/sql", { body: { query } });
+    assert.equal(response.status, status, query);
+    assert.equal(response.body.error.code, code);
+  }
+  const { status, body } = await call("POST", "/sql", {
+    body: { query: "SELECT name FROM users WHERE id = ?", params: [2] },
+  });
+  assert.equal(status, 200);
+  assert.deepEqual(body.rows, [{ name: "Bob Johnson" }]);
+});
+
+test("/tables/:name describes the table it names", async () => {
+  let { status, body } = await call("GET", "/tables/users");
+  assert.equal(status, 200);
+  assert.equal(body.rows[0].Field, "id");
+  ({ status, body } = await call(
+    "GET",
+    `/tables/${encodeURIComponent("users; DROP TABLE users")}`
+  ));
+  assert.equal(status, 404);
+  assert.equal(body.error.code, "NO_SUCH_TABLE");
+});
+
+test("/users takes sort, limit and offset", async () => {
+  let { status, body } = await call("GET", "/users?sort=-age&limit=2&offset=1");
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.rows.map((row) => row.age),
+    [25, 22]
+  );
+  ({ status } = await call("GET", "/users?limit=x"));
+  assert.equal(status, 400);
+});
+
+test("GET /openapi.json describes the routes", async () => {
+  const { status, body } = await call("GET", "/openapi.json");
+  assert.equal(status, 200);
+  assert.equal(body.openapi, "3.0.3");
+  assert.ok(body.paths["/api/users/{key}"].patch);
+});
@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DatabaseError,
+  ConstraintError,
+  NotFoundError,
+  SqlSyntaxError,
+} = require("../src/errors");
+const { createDb, run } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, email TEXT UNIQUE)",
+  ]);
+}
+
+test("every statement returns the same result shape", () => {
+  const db = setup();
+  const results = [
+    db.execute("INSERT INTO users VALUES (1, 'a'), (2, 'b')"),
+    db.execute("SELECT * FROM users"),
+    db.execute("UPDATE users SET email = 'c' WHERE id = 2"),
+    db.execute("SELECT * FROM nope"),
+  ];
+  results.forEach((result) => {
+    assert.deepEqual(Object.keys(result), [
+      "rows",
+      "columns",
+      "rowsAffected",
+      "message",
+      "error",
+      "timing",
+    ]);
+    assert.equal(typeof result.timing.elapsedMs, "number");
+  });
+});
+
+test("writes report rowsAffected as a number", () => {
+  const db = setup();
+  const inserted = run(db, "INSERT INTO users VALUES (1, 'a'), (2, 'b')");
+  assert.equal(inserted.rowsAffected, 2);
+  assert.equal(inserted.message, "2 row(s) inserted");
+  assert.deepEqual(inserted.rows, []);
+  assert.equal(run(db, "DELETE FROM users").rowsAffected, 2);
+});
+
+test("queries give their columns with types", () => {
+  const db = setup();
+  run(db, "INSERT INTO users VALUES (1, 'a')");
+  const result = run(
+    db,
+    "SELECT id, email AS mail, COUNT(*) AS n FROM users GROUP BY id, email"
+  );
+  assert.deepEqual(result.columns, [
+    { name: "id", type: "INT" },
+    { name: "mail", type: "TEXT" },
+    { name: "n", type: "INT" },
+  ]);
+  assert.deepEqual(result.rows, [{ id: 1, mail: "a", n: 1 }]);
+  assert.equal(result.rowsAffected, 0);
+});
+
+test("errors are typed and carry stable codes", () => {
+  const db = setup();
+  run(db, "INSERT INTO users VALUES (1, 'a')");
+  const cases = [
+    ["INSERT INTO users VALUES (2, 'a')", ConstraintError, "CONSTRAINT_UNIQUE"],
+    ["SELECT * FROM nope", NotFoundError, "NO_SUCH_TABLE"],
+    ["SELECT FROM users", SqlSyntaxError, "SYNTAX_ERROR"],
+  ];
+  cases.forEach(([sql, ErrorClass, code]) => {
+    const { error } = db.execute(sql);
+    assert.ok(error instanceof ErrorClass, sql);
+    assert.ok(error instanceof DatabaseError, sql);
+    assert.equal(error.code, code);
+  });
+});
+
+test("errors serialize with their position", () => {
+  const db = setup();
+  const { error } = JSON.parse(JSON.stringify(db.execute("SELECT FROM users")));
+  assert.deepEqual(error, {
+    name: "SqlSyntaxError",
+    code: "SYNTAX_ERROR",
+    message: "Syntax error at 1:8: expected an expression",
+    line: 1,
+    column: 8,
+    position: 7,
+  });
+  assert.deepEqual(
+    JSON.parse(JSON.stringify(db.execute("SELECT * FROM nope"))).error,
+    {
+      name: "NotFoundError",
+      code: "NO_SUCH_TABLE",
+      message: "Table nope doesn't exist",
+    }
+  );
+});
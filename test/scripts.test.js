@@ -0,0 +1,93 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SimpleRDBMS = require("../src/db");
+const { splitStatements, endsStatement } = require("../src/statement");
+const { createDb, rows } = require("./helpers");
+
+test("splitStatements ignores semicolons in strings and comments", () => {
+  const script = `
+    CREATE TABLE t (s TEXT);
+    INSERT INTO t VALUES ('a;b'); -- x; y
+    /* c; d */ SELECT * FROM t;
+    ;
+  `;
+  assert.deepEqual(splitStatements(script), [
+    "CREATE TABLE t (s TEXT)",
+    "INSERT INTO t VALUES ('a;b')",
+    "SELECT * FROM t",
+  ]);
+});
+
+test("endsStatement tells whether input ends with a real semicolon", () => {
+  assert.equal(endsStatement("SELECT 1;"), true);
+  assert.equal(endsStatement("SELECT 1; -- done"), true);
+  assert.equal(endsStatement("SELECT ';"), false);
+  assert.equal(endsStatement("SELECT 1 -- ;"), false);
+  assert.equal(endsStatement("SELECT 1 /* ; */"), false);
+});
+
+test("executeScript returns a result for each statement", () => {
+  const db = new SimpleRDBMS();
+  const results = db.executeScript(`
+    CREATE TABLE t (s TEXT);
+    INSERT INTO t VALUES ('a;b');
+    SELECT * FROM nope;
+    SELECT * FROM t;
+  `);
+  assert.deepEqual(
+    results.map(({ message, error, rows }) => [
+      message,
+      error && error.code,
+      rows,
+    ]),
+    [
+      ["Table t created", null, []],
+      ["1 row(s) inserted", null, []],
+      [null, "NO_SUCH_TABLE", []],
+      [null, null, [{ s: "a;b" }]],
+    ]
+  );
+});
+
+test("comments may appear anywhere in a statement", () => {
+  const db = createDb([
+    "CREATE TABLE t (s TEXT)",
+    "INSERT INTO t VALUES ('x')",
+  ]);
+  const sql = `
+    /* which rows */ SELECT s -- the only column
+    FROM t; -- done
+  `;
+  assert.deepEqual(rows(db, sql), [{ s: "x" }]);
+});
+
+test(".import in the REPL quotes the table and column names", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rdbms-import-"));
+  try {
+    const csv = path.join(dir, "rows.csv");
+    fs.writeFileSync(csv, 'id,"we`ird"\n1,a\n2,"b, c"\n');
+    const input = [
+      "CREATE TABLE `odd``name` (id INT, `we``ird` TEXT);",
+      `.import ${csv} odd\`name`,
+    ].join("\n");
+    const { stdout } = spawnSync(
+      process.execPath,
+      [path.join(__dirname, "../bin/repl.js"), path.join(dir, "db")],
+      { input, encoding: "utf8", timeout: 10000 }
+    );
+    assert.match(stdout, /Imported 2 row\(s\) into odd`name/);
+
+    const db = new SimpleRDBMS({ path: path.join(dir, "db") });
+    assert.deepEqual(rows(db, "SELECT * FROM `odd``name`"), [
+      { id: 1, "we`ird": "a" },
+      { id: 2, "we`ird": "b, c" },
+    ]);
+    db.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,165 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SimpleRDBMS = require("../src/db");
+const { rows } = require("./helpers");
+
+// Runs fn with an empty database directory and removes it afterwards.
+function withDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rdbms-storage-"));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Stops using the database as a crash would: no checkpoint, nothing
+// flushed beyond what the log already has.
+function crash(db) {
+  db.storage.close();
+  db.storage = null;
+}
+
+function ids(db) {
+  return rows(db, "SELECT id FROM items ORDER BY id").map((r) => r.id);
+}
+
+function logLines(dir) {
+  const log = fs.readFileSync(path.join(dir, "wal.log"), "utf8");
+  return log.split("\n").filter(Boolean);
+}
+
+test("committed changes survive a crash", () => {
+  withDir((dir) => {
+    const db = new SimpleRDBMS({ path: dir });
+    db.execute("CREATE TABLE items (id INT PRIMARY KEY, name TEXT)");
+    db.execute("INSERT INTO items VALUES (1, 'a'), (2, 'b')");
+    db.execute("DELETE FROM items WHERE id = 1");
+    crash(db);
+    assert.equal(fs.existsSync(path.join(dir, "snapshot.json")), false);
+    assert.equal(logLines(dir).length, 3);
+
+    const reopened = new SimpleRDBMS({ path: dir });
+    assert.deepEqual(ids(reopened), [2]);
+    reopened.close();
+  });
+});
+
+test("only committed transactions are logged", () => {
+  withDir((dir) => {
+    const db = new SimpleRDBMS({ path: dir });
+    db.execute("CREATE TABLE items (id INT PRIMARY KEY)");
+    db.execute("BEGIN");
+    db.execute("INSERT INTO items VALUES (1)");
+    db.execute("INSERT INTO items VALUES (2)");
+    db.execute("COMMIT");
+    db.execute("BEGIN");
+    db.execute("INSERT INTO items VALUES (3)");
+    db.execute("ROLLBACK");
+    db.execute("INSERT INTO items VALUES (1)");
+    db.execute("BEGIN");
+    db.execute("INSERT INTO items VALUES (4)");
+    crash(db);
+    // One record for CREATE TABLE and one for the committed transaction.
+    assert.equal(logLines(dir).length, 2);
+
+    const reopened = new SimpleRDBMS({ path: dir });
+    assert.deepEqual(ids(reopened), [1, 2]);
+    reopened.close();
+  });
+});
+
+test("a record cut short by a crash is dropped", () => {
+  withDir((dir) => {
+    const db = new SimpleRDBMS({ path: dir });
+    db.execute("CREATE TABLE items (id INT PRIMARY KEY)");
+    db.execute("INSERT INTO items VALUES (1)");
+    crash(db);
+    const logPath = path.join(dir, "wal.log");
+    const complete = fs.readFileSync(logPath, "utf8");
+    fs.appendFileSync(logPath, '{"lsn":3,"statements":[{"sql":"INSE');
+
+    const reopened = new SimpleRDBMS({ path: dir });
+    assert.deepEqual(ids(reopened), [1]);
+    assert.equal(fs.readFileSync(logPath, "utf8"), complete);
+    reopened.execute("INSERT INTO items VALUES (2)");
+    crash(reopened);
+
+    const again = new SimpleRDBMS({ path: dir });
+    assert.deepEqual(ids(again), [1, 2]);
+    again.close();
+  });
+});
+
+test("a checkpoint writes a snapshot and empties the log", () => {
+  withDir((dir) => {
+    const db = new SimpleRDBMS({ path: dir });
+    db.execute("CREATE TABLE items (id INT PRIMARY KEY)");
+    db.execute("INSERT INTO items VALUES (1)");
+    db.checkpoint();
+    assert.deepEqual(logLines(dir), []);
+    db.execute("INSERT INTO items VALUES (2)");
+    crash(db);
+
+    const reopened = new SimpleRDBMS({ path: dir });
+    assert.deepEqual(ids(reopened), [1, 2]);
+    reopened.close();
+  });
+});
+
+test("the log is checkpointed after checkpointInterval records", () => {
+  withDir((dir) => {
+    const db = new SimpleRDBMS({ path: dir, checkpointInterval: 3 });
+    db.execute("CREATE TABLE items (id INT PRIMARY KEY)");
+    db.execute("INSERT INTO items VALUES (1)");
+    assert.equal(logLines(dir).length, 2);
+    db.execute("INSERT INTO items VALUES (2)");
+    assert.deepEqual(logLines(dir), []);
+    assert.ok(fs.existsSync(path.join(dir, "snapshot.json")));
+    db.close();
+  });
+});
+
+test("a snapshot left half written by a crash is ignored", () => {
+  withDir((dir) => {
+    const db = new SimpleRDBMS({ path: dir });
+    db.execute("CREATE TABLE items (id INT PRIMARY KEY)");
+    db.execute("INSERT INTO items VALUES (1)");
+    db.checkpoint();
+    db.execute("INSERT INTO items VALUES (2)");
+    crash(db);
+    fs.writeFileSync(path.join(dir, "snapshot.json.tmp"), '{"lsn":9,"da');
+
+    const reopened = new SimpleRDBMS({ path: dir });
+    assert.deepEqual(ids(reopened), [1, 2]);
+    reopened.close();
+  });
+});
+
+test("replayed statements see the time they first ran at", () => {
+  withDir((dir) => {
+    const db = new SimpleRDBMS({ path: dir });
+    db.execute(`CREATE TABLE items (
+      id INT PRIMARY KEY,
+      created TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.execute("INSERT INTO items (id) VALUES (1)");
+    const before = rows(db, "SELECT created FROM items");
+    crash(db);
+    // Let the clock move on, so a replay at the current time would differ.
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 5);
+
+    const reopened = new SimpleRDBMS({ path: dir });
+    assert.deepEqual(rows(reopened, "SELECT created FROM items"), before);
+    reopened.close();
+  });
+});
+
+test("a database without a path cannot checkpoint", () => {
+  assert.throws(() => new SimpleRDBMS().checkpoint(), {
+    code: "NOT_PERSISTENT",
+  });
+});
@@ -0,0 +1,154 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT, manager_id INT)",
+    "CREATE TABLE orders (id INT PRIMARY KEY, user_id INT, total INT)",
+    `INSERT INTO users VALUES
+      (1, 'Boss', NULL), (2, 'Mid', 1), (3, 'Low', 2), (4, 'Solo', NULL)`,
+    "INSERT INTO orders VALUES (1, 1, 10), (2, 1, 20), (3, 3, 5)",
+  ]);
+}
+
+function names(db, sql) {
+  return rows(db, sql).map((row) => row.name);
+}
+
+test("a scalar subquery may refer to the outer row", () => {
+  const counts = rows(
+    setup(),
+    `SELECT name, (SELECT COUNT(*) FROM orders o WHERE o.user_id = u.id) AS n
+    FROM users u ORDER BY id`
+  );
+  assert.deepEqual(
+    counts.map((row) => row.n),
+    [2, 0, 1, 0]
+  );
+});
+
+test("a scalar subquery gives one value or NULL", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "SELECT name FROM users WHERE id = (SELECT id FROM users)"),
+    "Subquery returned more than one row"
+  );
+  assert.deepEqual(
+    names(
+      db,
+      "SELECT name FROM users WHERE id = (SELECT user_id FROM orders WHERE total = 999)"
+    ),
+    []
+  );
+});
+
+test("IN and NOT IN take a subquery", () => {
+  const db = setup();
+  assert.deepEqual(
+    names(
+      db,
+      "SELECT name FROM users WHERE id IN (SELECT user_id FROM orders)"
+    ),
+    ["Boss", "Low"]
+  );
+  assert.deepEqual(
+    names(
+      db,
+      "SELECT name FROM users WHERE id NOT IN (SELECT user_id FROM orders)"
+    ),
+    ["Mid", "Solo"]
+  );
+  db.execute("INSERT INTO orders VALUES (4, NULL, 1)");
+  assert.deepEqual(
+    names(
+      db,
+      "SELECT name FROM users WHERE id NOT IN (SELECT user_id FROM orders)"
+    ),
+    []
+  );
+});
+
+test("EXISTS and NOT EXISTS test for correlated rows", () => {
+  const db = setup();
+  assert.deepEqual(
+    names(
+      db,
+      "SELECT name FROM users u WHERE EXISTS (SELECT 1 FROM orders o WHERE o.user_id = u.id AND o.total > 15)"
+    ),
+    ["Boss"]
+  );
+  assert.deepEqual(
+    names(
+      db,
+      "SELECT name FROM users u WHERE NOT EXISTS (SELECT 1 FROM orders o WHERE o.user_id = u.id)"
+    ),
+    ["Mid", "Solo"]
+  );
+});
+
+test("a derived table is queried like a table", () => {
+  const sql = `
+    SELECT t.user_id, t.spent
+    FROM (SELECT user_id, SUM(total) AS spent FROM orders GROUP BY user_id) t
+    WHERE t.spent > 6
+  `;
+  assert.deepEqual(rows(setup(), sql), [{ user_id: 1, spent: 30 }]);
+});
+
+test("WITH names a query for the statement", () => {
+  const sql = `
+    WITH big AS (SELECT user_id FROM orders WHERE total >= 10)
+    SELECT DISTINCT user_id FROM big
+  `;
+  assert.deepEqual(rows(setup(), sql), [{ user_id: 1 }]);
+});
+
+test("WITH RECURSIVE walks a hierarchy", () => {
+  const db = setup();
+  assert.deepEqual(
+    names(
+      db,
+      `WITH RECURSIVE reports (id, name) AS (
+        SELECT id, name FROM users WHERE id = 1
+        UNION ALL
+        SELECT u.id, u.name FROM users u JOIN reports r ON u.manager_id = r.id
+      )
+      SELECT name FROM reports`
+    ),
+    ["Boss", "Mid", "Low"]
+  );
+  const endless = `
+    WITH RECURSIVE n (id) AS (
+      SELECT id FROM users WHERE id = 1 UNION ALL SELECT id FROM n
+    )
+    SELECT COUNT(*) FROM n
+  `;
+  assert.equal(
+    errorOf(db, endless),
+    "WITH RECURSIVE n did not finish within 1000 steps"
+  );
+});
+
+test("UPDATE and DELETE conditions may use subqueries", () => {
+  const db = setup();
+  const updated = run(
+    db,
+    "UPDATE orders SET total = 0 WHERE user_id IN (SELECT id FROM users WHERE name = 'Low')"
+  );
+  assert.equal(updated.rowsAffected, 1);
+  assert.deepEqual(rows(db, "SELECT total FROM orders WHERE id = 3"), [
+    { total: 0 },
+  ]);
+
+  const deleted = run(
+    db,
+    "DELETE FROM users WHERE manager_id IS NULL AND NOT EXISTS (SELECT 1 FROM orders WHERE orders.user_id = users.id)"
+  );
+  assert.equal(deleted.rowsAffected, 1);
+  assert.deepEqual(names(db, "SELECT name FROM users ORDER BY id"), [
+    "Boss",
+    "Mid",
+    "Low",
+  ]);
+});
@@ -0,0 +1,149 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE accounts (id INT PRIMARY KEY, balance INT CHECK (balance < 3))",
+    "CREATE UNIQUE INDEX idx_balance ON accounts (balance)",
+    "INSERT INTO accounts VALUES (1, 1), (2, 2)",
+  ]);
+}
+
+function ids(db) {
+  return rows(db, "SELECT id FROM accounts ORDER BY id").map((r) => r.id);
+}
+
+test("a statement that fails part way changes nothing", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "UPDATE accounts SET balance = 0"),
+    "Duplicate value for UNIQUE index idx_balance: 0"
+  );
+  assert.deepEqual(rows(db, "SELECT * FROM accounts"), [
+    { id: 1, balance: 1 },
+    { id: 2, balance: 2 },
+  ]);
+  assert.deepEqual(rows(db, "SELECT id FROM accounts WHERE balance = 0"), []);
+});
+
+test("COMMIT keeps the changes and ROLLBACK undoes them", () => {
+  const db = setup();
+  run(db, "BEGIN");
+  run(db, "INSERT INTO accounts VALUES (3, 0)");
+  run(db, "COMMIT");
+  assert.deepEqual(ids(db), [1, 2, 3]);
+
+  run(db, "BEGIN");
+  run(db, "DELETE FROM accounts WHERE id = 1");
+  run(db, "UPDATE accounts SET id = 20 WHERE id = 2");
+  run(db, "CREATE TABLE scratch (x INT)");
+  run(db, "ROLLBACK");
+  assert.deepEqual(ids(db), [1, 2, 3]);
+  assert.equal(
+    errorOf(db, "SELECT * FROM scratch"),
+    "Table scratch doesn't exist"
+  );
+});
+
+test("ROLLBACK restores the indexes", () => {
+  const db = setup();
+  run(db, "BEGIN");
+  run(db, "DELETE FROM accounts");
+  run(db, "INSERT INTO accounts VALUES (5, 1)");
+  run(db, "ROLLBACK");
+  assert.equal(
+    errorOf(db, "INSERT INTO accounts VALUES (1, 0)"),
+    "Duplicate primary key: 1"
+  );
+  assert.equal(
+    errorOf(db, "INSERT INTO accounts VALUES (6, 1)"),
+    "Duplicate value for UNIQUE index idx_balance: 1"
+  );
+  assert.deepEqual(rows(db, "SELECT id FROM accounts WHERE id = 5"), []);
+  assert.deepEqual(rows(db, "SELECT id FROM accounts WHERE balance = 2"), [
+    { id: 2 },
+  ]);
+});
+
+test("a failed statement in a transaction leaves the others", () => {
+  const db = setup();
+  run(db, "BEGIN");
+  run(db, "INSERT INTO accounts VALUES (5, 0)");
+  assert.equal(
+    errorOf(db, "INSERT INTO accounts VALUES (5, 0)"),
+    "Duplicate primary key: 5"
+  );
+  run(db, "COMMIT");
+  assert.deepEqual(ids(db), [1, 2, 5]);
+});
+
+test("savepoints undo part of a transaction", () => {
+  const db = setup();
+  run(db, "BEGIN");
+  run(db, "INSERT INTO accounts VALUES (3, 0)");
+  run(db, "SAVEPOINT s1");
+  run(db, "DELETE FROM accounts");
+  assert.deepEqual(ids(db), []);
+  assert.equal(
+    run(db, "ROLLBACK TO s1").message,
+    "Rolled back to savepoint s1"
+  );
+  assert.deepEqual(ids(db), [1, 2, 3]);
+
+  run(db, "RELEASE s1");
+  assert.equal(errorOf(db, "ROLLBACK TO s1"), "Savepoint s1 doesn't exist");
+  run(db, "ROLLBACK");
+  assert.deepEqual(ids(db), [1, 2]);
+});
+
+test("transaction statements check the transaction state", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "COMMIT"),
+    "COMMIT requires a transaction in progress"
+  );
+  assert.equal(
+    errorOf(db, "SAVEPOINT s"),
+    "SAVEPOINT requires a transaction in progress"
+  );
+  run(db, "BEGIN");
+  assert.equal(errorOf(db, "BEGIN"), "A transaction is already in progress");
+  assert.equal(errorOf(db, "ROLLBACK TO nope"), "Savepoint nope doesn't exist");
+});
+
+test("transaction() commits what fn does, or undoes it if fn throws", () => {
+  const db = setup();
+  const value = db.transaction((tx) => {
+    tx.execute("INSERT INTO accounts VALUES (3, 0)");
+    return 7;
+  });
+  assert.equal(value, 7);
+  assert.equal(db.inTransaction, false);
+
+  assert.throws(
+    () =>
+      db.transaction((tx) => {
+        tx.execute("DELETE FROM accounts");
+        throw new Error("boom");
+      }),
+    /boom/
+  );
+  assert.equal(db.inTransaction, false);
+  assert.deepEqual(ids(db), [1, 2, 3]);
+});
+
+test("a nested transaction() undoes only its own changes", () => {
+  const db = setup();
+  run(db, "BEGIN");
+  run(db, "INSERT INTO accounts VALUES (3, 0)");
+  assert.throws(() =>
+    db.transaction((tx) => {
+      tx.execute("DELETE FROM accounts WHERE id = 1");
+      throw new Error("boom");
+    })
+  );
+  assert.equal(db.inTransaction, true);
+  run(db, "COMMIT");
+  assert.deepEqual(ids(db), [1, 2, 3]);
+});
@@ -0,0 +1,193 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const SimpleRDBMS = require("../src/db");
+const { rows } = require("./helpers");
+
+function setup(db = new SimpleRDBMS()) {
+  db.executeScript(`
+    CREATE TABLE items (id INT PRIMARY KEY, qty INT, price REAL, total REAL);
+    CREATE TABLE log (item INT, action TEXT, before INT, after INT);
+  `);
+  return db;
+}
+
+test("a BEFORE trigger computes a derived column with SET NEW", () => {
+  const db = setup();
+  db.executeScript(`
+    CREATE TRIGGER totals BEFORE INSERT ON items
+    BEGIN
+      SET NEW.total = NEW.qty * NEW.price;
+    END;
+    CREATE TRIGGER retotal BEFORE UPDATE ON items
+    WHEN (NEW.qty <> OLD.qty)
+    BEGIN
+      SET NEW.total = NEW.qty * NEW.price - (OLD.qty - NEW.qty) / 2;
+    END;
+    INSERT INTO items (id, qty, price) VALUES (1, 4, 2.5);
+  `);
+  assert.deepEqual(rows(db, "SELECT total FROM items"), [{ total: 10 }]);
+
+  db.execute("UPDATE items SET qty = 2 WHERE id = 1");
+  assert.deepEqual(rows(db, "SELECT total FROM items"), [{ total: 4 }]);
+});
+
+test("AFTER triggers see NEW and OLD", () => {
+  const db = setup();
+  db.executeScript(`
+    CREATE TRIGGER log_insert AFTER INSERT ON items FOR EACH ROW
+    BEGIN
+      INSERT INTO log VALUES (NEW.id, 'insert', NULL, NEW.qty);
+    END;
+    CREATE TRIGGER log_update AFTER UPDATE ON items
+    BEGIN
+      INSERT INTO log VALUES (NEW.id, 'update', OLD.qty, NEW.qty);
+    END;
+    CREATE TRIGGER log_delete AFTER DELETE ON items
+    BEGIN
+      INSERT INTO log VALUES (OLD.id, 'delete', OLD.qty, NULL);
+    END;
+    INSERT INTO items (id, qty) VALUES (1, 1), (2, 2);
+    UPDATE items SET qty = qty + 10 WHERE id = 1;
+    DELETE FROM items WHERE id = 2;
+  `);
+  assert.deepEqual(rows(db, "SELECT * FROM log"), [
+    { item: 1, action: "insert", before: null, after: 1 },
+    { item: 2, action: "insert", before: null, after: 2 },
+    { item: 1, action: "update", before: 1, after: 11 },
+    { item: 2, action: "delete", before: 2, after: null },
+  ]);
+});
+
+test("a failing trigger aborts the statement that fired it", () => {
+  const db = setup();
+  db.executeScript(`
+    CREATE TRIGGER log_insert AFTER INSERT ON items
+    BEGIN
+      INSERT INTO log VALUES (NEW.id, 'insert', NULL, NEW.qty);
+    END;
+    CREATE TRIGGER no_negative BEFORE INSERT ON items WHEN (NEW.qty < 0)
+    BEGIN
+      SELECT 1 / 0;
+    END;
+  `);
+  const result = db.execute(
+    "INSERT INTO items (id, qty) VALUES (1, 1), (2, -1)"
+  );
+  assert.equal(result.error.code, "INVALID_QUERY");
+  assert.match(result.error.message, /^Trigger no_negative: Division by zero/);
+  assert.deepEqual(rows(db, "SELECT * FROM items"), []);
+  assert.deepEqual(rows(db, "SELECT * FROM log"), []);
+});
+
+test("a trigger that fires itself stops at the depth limit", () => {
+  const db = setup();
+  db.execute(`CREATE TRIGGER again AFTER INSERT ON log
+    BEGIN INSERT INTO log VALUES (NEW.item + 1, 'again', NULL, NULL); END`);
+  const result = db.execute("INSERT INTO log VALUES (0, 'start', NULL, NULL)");
+  assert.match(result.error.message, /nested more than 16 deep/);
+  assert.deepEqual(rows(db, "SELECT * FROM log"), []);
+});
+
+test("CREATE TRIGGER checks the rows and columns it uses", () => {
+  const db = setup();
+  const error = (sql) => db.execute(sql).error;
+  assert.equal(
+    error("CREATE TRIGGER t AFTER INSERT ON items BEGIN SET NEW.qty = 1; END")
+      .code,
+    "INVALID_QUERY"
+  );
+  assert.equal(
+    error(
+      "CREATE TRIGGER t AFTER INSERT ON items BEGIN DELETE FROM log WHERE item = OLD.id; END"
+    ).code,
+    "INVALID_QUERY"
+  );
+  assert.equal(
+    error(
+      "CREATE TRIGGER t AFTER DELETE ON items BEGIN DELETE FROM log WHERE item = OLD.nope; END"
+    ).code,
+    "NO_SUCH_COLUMN"
+  );
+  assert.equal(
+    error("CREATE TRIGGER t AFTER DELETE ON nope BEGIN SELECT 1; END").code,
+    "NO_SUCH_TABLE"
+  );
+  db.execute("CREATE TRIGGER t AFTER DELETE ON items BEGIN SELECT 1; END");
+  assert.equal(
+    error("CREATE TRIGGER t AFTER DELETE ON items BEGIN SELECT 1; END").code,
+    "TRIGGER_EXISTS"
+  );
+  assert.equal(error("DROP TRIGGER nope").code, "NO_SUCH_TRIGGER");
+});
+
+test("SHOW TRIGGERS lists triggers, and DROP TABLE drops them", () => {
+  const db = setup();
+  db.execute(`CREATE TRIGGER log_delete BEFORE DELETE ON items
+    WHEN (OLD.qty > 0) BEGIN INSERT INTO log (item) VALUES (OLD.id); END`);
+  assert.deepEqual(rows(db, "SHOW TRIGGERS"), [
+    {
+      Trigger: "log_delete",
+      Table: "items",
+      Timing: "BEFORE",
+      Event: "DELETE",
+      When: "(OLD.qty > 0)",
+      Statement: "INSERT INTO log (item) VALUES (OLD.id);",
+    },
+  ]);
+  assert.equal(
+    db.execute("ALTER TABLE items RENAME TO things").error.code,
+    "SCHEMA_ERROR"
+  );
+  db.execute("DROP TABLE items");
+  assert.deepEqual(rows(db, "SHOW TRIGGERS"), []);
+});
+
+test("triggers are saved with the database", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rdbms-triggers-"));
+  try {
+    const db = setup(new SimpleRDBMS({ path: dir }));
+    db.execute(`CREATE TRIGGER totals BEFORE INSERT ON items
+      BEGIN SET NEW.total = NEW.qty * NEW.price; END`);
+    db.close();
+
+    const reopened = new SimpleRDBMS({ path: dir });
+    reopened.execute("INSERT INTO items (id, qty, price) VALUES (1, 3, 2)");
+    assert.deepEqual(rows(reopened, "SELECT total FROM items"), [{ total: 6 }]);
+    reopened.checkpoint();
+    reopened.close();
+
+    const fromSnapshot = new SimpleRDBMS({ path: dir });
+    assert.equal(rows(fromSnapshot, "SHOW TRIGGERS").length, 1);
+    fromSnapshot.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("arithmetic follows precedence, and SELECT needs no FROM", () => {
+  const db = setup();
+  assert.deepEqual(
+    rows(db, "SELECT 1 + 2 * 3 AS a, (1 + 2) * 3 AS b, 10 - 2 - 3 AS c"),
+    [{ a: 7, b: 9, c: 5 }]
+  );
+  assert.deepEqual(rows(db, "SELECT 7 / 2 AS q, 7 % 3 AS r, -(2 - 5) AS n"), [
+    { q: 3.5, r: 1, n: 3 },
+  ]);
+  assert.deepEqual(rows(db, "SELECT NULL + 1 AS x"), [{ x: null }]);
+  assert.equal(db.execute("SELECT 1 / 0").error.code, "INVALID_QUERY");
+  assert.equal(db.execute("SELECT 'a' * 2").error.code, "TYPE_MISMATCH");
+
+  db.execute(
+    "INSERT INTO items (id, qty, price) VALUES (1, 2, 1.5), (2, 3, 2)"
+  );
+  assert.deepEqual(rows(db, "SELECT 3 - id AS rest FROM items"), [
+    { rest: 2 },
+    { rest: 1 },
+  ]);
+  assert.deepEqual(rows(db, "SELECT id FROM items WHERE qty * price > 4"), [
+    { id: 2 },
+  ]);
+});
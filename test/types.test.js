@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    `CREATE TABLE t (
+      i INT, r REAL, s TEXT, v VARCHAR(3), b BOOLEAN, d DATE, ts TIMESTAMP
+    )`,
+  ]);
+}
+
+test("values are converted to the column type", () => {
+  const db = setup();
+  run(
+    db,
+    "INSERT INTO t VALUES ('42', '2.5', 5, 'ab', 'yes', '2024-02-29', '2024-01-15 09:30:00')"
+  );
+  run(db, "INSERT INTO t VALUES (NULL, 2, 'x', NULL, 0, NULL, NULL)");
+  assert.deepEqual(rows(db, "SELECT * FROM t"), [
+    {
+      i: 42,
+      r: 2.5,
+      s: "5",
+      v: "ab",
+      b: true,
+      d: "2024-02-29",
+      ts: "2024-01-15 09:30:00",
+    },
+    { i: null, r: 2, s: "x", v: null, b: false, d: null, ts: null },
+  ]);
+});
+
+test("values that do not fit the column type are refused", () => {
+  const db = setup();
+  const cases = [
+    ["'abc', 1, 1, 1, 1, NULL, NULL", "Column i expects INT, got 'abc'"],
+    ["1.5, 1, 1, 1, 1, NULL, NULL", "Column i expects INT, got 1.5"],
+    ["1, 'x', 1, 1, 1, NULL, NULL", "Column r expects REAL, got 'x'"],
+    [
+      "1, 1, 1, 1, 1, '2024-02-30', NULL",
+      "Column d expects DATE, got '2024-02-30'",
+    ],
+    [
+      "1, 1, 1, 'abcd', 1, NULL, NULL",
+      "Value for column v exceeds VARCHAR(3) (4 characters)",
+    ],
+  ];
+  cases.forEach(([values, message]) => {
+    assert.equal(errorOf(db, `INSERT INTO t VALUES (${values})`), message);
+  });
+  assert.deepEqual(rows(db, "SELECT * FROM t"), []);
+});
+
+test("UPDATE checks types too", () => {
+  const db = setup();
+  run(db, "INSERT INTO t VALUES (1, NULL, NULL, 'ab', NULL, NULL, NULL)");
+  assert.equal(
+    errorOf(db, "UPDATE t SET i = 'x'"),
+    "Column i expects INT, got 'x'"
+  );
+  assert.equal(
+    errorOf(db, "UPDATE t SET v = 'abcd'"),
+    "Value for column v exceeds VARCHAR(3) (4 characters)"
+  );
+  run(db, "UPDATE t SET i = '7'");
+  assert.deepEqual(rows(db, "SELECT i, v FROM t"), [{ i: 7, v: "ab" }]);
+});
+
+test("unknown types are refused by CREATE TABLE", () => {
+  assert.equal(
+    errorOf(createDb(), "CREATE TABLE u (x BLOB)"),
+    "Unknown type BLOB for column x"
+  );
+});
+
+test("DESCRIBE shows the declared types", () => {
+  assert.deepEqual(
+    rows(setup(), "DESCRIBE t").map((column) => column.Type),
+    ["INT", "REAL", "TEXT", "VARCHAR(3)", "BOOLEAN", "DATE", "TIMESTAMP"]
+  );
+});
@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const SimpleRDBMS = require("../src/db");
+const { createDb, run, rows, errorOf } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE users (id INT PRIMARY KEY, name TEXT, age INT)",
+    "INSERT INTO users VALUES (1, 'A', 30), (2, 'B', 17), (3, 'C', 45)",
+    "CREATE VIEW adults AS SELECT id, name FROM users WHERE age >= 18",
+    "CREATE VIEW late AS SELECT name FROM adults WHERE id > 1",
+  ]);
+}
+
+test("a view is queried like a table", () => {
+  const db = setup();
+  assert.deepEqual(rows(db, "SELECT * FROM adults ORDER BY name DESC"), [
+    { id: 3, name: "C" },
+    { id: 1, name: "A" },
+  ]);
+  assert.deepEqual(rows(db, "SELECT * FROM late"), [{ name: "C" }]);
+  assert.deepEqual(
+    rows(db, "SELECT a.name, u.age FROM adults a JOIN users u ON u.id = a.id"),
+    [
+      { name: "A", age: 30 },
+      { name: "C", age: 45 },
+    ]
+  );
+});
+
+test("a view shows the rows as they are now", () => {
+  const db = setup();
+  rows(db, "INSERT INTO users VALUES (4, 'D', 50)");
+  rows(db, "UPDATE users SET age = 10 WHERE id = 1");
+  assert.deepEqual(rows(db, "SELECT id FROM adults ORDER BY id"), [
+    { id: 3 },
+    { id: 4 },
+  ]);
+});
+
+test("SHOW TABLES lists views and DESCRIBE shows their columns", () => {
+  const db = setup();
+  assert.deepEqual(rows(db, "SHOW TABLES"), [
+    { Table: "users", Type: "TABLE" },
+    { Table: "adults", Type: "VIEW" },
+    { Table: "late", Type: "VIEW" },
+  ]);
+  assert.deepEqual(
+    rows(db, "DESCRIBE adults").map(({ Field, Type }) => [Field, Type]),
+    [
+      ["id", "INT"],
+      ["name", "TEXT"],
+    ]
+  );
+});
+
+test("views cannot be written to or dropped as tables", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "INSERT INTO adults VALUES (4, 'D')"),
+    "adults is a view, not a table"
+  );
+  assert.equal(db.execute("DROP TABLE adults").error.code, "INVALID_QUERY");
+});
+
+test("a table or view that a view depends on cannot be dropped", () => {
+  const db = setup();
+  assert.equal(
+    errorOf(db, "DROP TABLE users"),
+    "Cannot drop table users: view adults depends on it"
+  );
+  assert.equal(
+    errorOf(db, "DROP VIEW adults"),
+    "Cannot drop view adults: view late depends on it"
+  );
+  run(db, "DROP VIEW late");
+  run(db, "DROP VIEW adults");
+  run(db, "DROP TABLE users");
+});
+
+test("view names are checked", () => {
+  const db = setup();
+  const cases = [
+    ["CREATE VIEW adults AS SELECT id FROM users", "VIEW_EXISTS"],
+    ["CREATE VIEW users AS SELECT id FROM users", "TABLE_EXISTS"],
+    ["CREATE VIEW bad AS SELECT * FROM nope", "NO_SUCH_TABLE"],
+    ["DROP VIEW nope", "NO_SUCH_VIEW"],
+  ];
+  cases.forEach(([sql, code]) => {
+    assert.equal(db.execute(sql).error.code, code, sql);
+  });
+});
+
+test("views are saved with the database", () => {
+  const copy = new SimpleRDBMS();
+  copy.fromJSON(JSON.parse(JSON.stringify(setup().toJSON())));
+  assert.deepEqual(rows(copy, "SELECT * FROM late"), [{ name: "C" }]);
+  assert.equal(copy.execute("DROP TABLE users").error.code, "SCHEMA_ERROR");
+});
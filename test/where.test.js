@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, rows } = require("./helpers");
+
+function setup() {
+  return createDb([
+    "CREATE TABLE people (id INT PRIMARY KEY, name TEXT, age INT, city TEXT)",
+    "INSERT INTO people VALUES (1, 'Alice', 30, 'Paris')",
+    "INSERT INTO people VALUES (2, 'Bob', 17, 'Berlin')",
+    "INSERT INTO people VALUES (3, 'Carol', 45, NULL)",
+    "INSERT INTO people VALUES (4, 'Dave', NULL, 'Paris')",
+  ]);
+}
+
+function ids(db, where) {
+  return rows(db, `SELECT id FROM people WHERE ${where}`).map((row) => row.id);
+}
+
+test("AND binds tighter than OR, and parentheses override it", () => {
+  const db = setup();
+  assert.deepEqual(
+    ids(db, "city = 'Paris' OR age > 40 AND age < 50"),
+    [1, 3, 4]
+  );
+  assert.deepEqual(
+    ids(db, "(city = 'Paris' OR age > 40) AND age < 50"),
+    [1, 3]
+  );
+  assert.deepEqual(ids(db, "NOT (city = 'Paris')"), [2]);
+});
+
+test("IN, BETWEEN and LIKE, with NOT", () => {
+  const db = setup();
+  assert.deepEqual(ids(db, "id IN (1, 3, 9)"), [1, 3]);
+  assert.deepEqual(ids(db, "id NOT IN (1, 3)"), [2, 4]);
+  assert.deepEqual(ids(db, "age BETWEEN 17 AND 30"), [1, 2]);
+  assert.deepEqual(ids(db, "age NOT BETWEEN 17 AND 30"), [3]);
+  assert.deepEqual(ids(db, "name LIKE '_a%'"), [3, 4]);
+  assert.deepEqual(ids(db, "name NOT LIKE '%o%'"), [1, 4]);
+});
+
+test("NULL compares as unknown and is found with IS NULL", () => {
+  const db = setup();
+  assert.deepEqual(ids(db, "age > 0 OR age <= 0"), [1, 2, 3]);
+  assert.deepEqual(ids(db, "age IS NULL"), [4]);
+  assert.deepEqual(ids(db, "city IS NOT NULL"), [1, 2, 4]);
+  assert.deepEqual(ids(db, "id NOT IN (1, NULL)"), []);
+});
+
+test("values of different types are compared as one type", () => {
+  const db = setup();
+  assert.deepEqual(ids(db, "'' = 0"), []);
+  assert.deepEqual(ids(db, "'0' = false"), []);
+  assert.deepEqual(ids(db, "'' != 0"), []);
+  assert.deepEqual(ids(db, "'5' = 5 AND id = 1"), [1]);
+  assert.deepEqual(ids(db, "' 5' < 10 AND id = 1"), [1]);
+  assert.deepEqual(ids(db, "true = true AND id = 1"), [1]);
+});